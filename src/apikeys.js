@@ -0,0 +1,179 @@
+import { createHash, randomBytes } from "node:crypto";
+import { z } from "zod";
+import { ObjectId } from "mongodb";
+import { apiKeysCol, apiUsageCol } from "./db.js";
+
+// Issued API keys. Only a SHA-256 of the key is stored; the key itself is shown
+// once, when it is created.
+//   { _id, name, key_hash, prefix, scopes, origins, rate_limit_per_min,
+//     daily_quota, disabled, created_at, updated_at }
+// Usage is one document per key per UTC day:
+//   { _id: "<key id>:<day>", key_id, day, total, endpoints: { "GET /wells/:id": n } }
+
+export const SCOPES = ["read", "export", "admin"];
+
+const KEY_PREFIX = "mw_";
+const CACHE_MS = 60 * 1000;
+
+export const DEFAULT_KEY_RATE_LIMIT = Number(process.env.DEFAULT_KEY_RATE_LIMIT) || 300;
+export const DEFAULT_KEY_DAILY_QUOTA = Number(process.env.DEFAULT_KEY_DAILY_QUOTA) || 100000;
+
+// Unknown keys are cached too (as null), so repeating a bad key costs one lookup
+// a minute. Bounded, oldest first out, so random guesses can't grow it; auth.js
+// also limits how many bad keys one IP may present.
+const cache = new Map(); // key_hash -> { doc, at }
+const MAX_CACHED_KEYS = 10000;
+
+function remember(key_hash, doc) {
+  cache.delete(key_hash);
+  cache.set(key_hash, { doc, at: Date.now() });
+  if (cache.size > MAX_CACHED_KEYS) cache.delete(cache.keys().next().value);
+}
+
+export function isApiKey(s) {
+  return typeof s === "string" && s.startsWith(KEY_PREFIX);
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+export async function findKey(key) {
+  const key_hash = hashKey(key);
+  const hit = cache.get(key_hash);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.doc;
+
+  const doc = await apiKeysCol().findOne({ key_hash });
+  remember(key_hash, doc);
+  return doc;
+}
+
+const originSchema = z.url().transform(u => new URL(u).origin);
+
+const keyFields = {
+  name: z.string().trim().min(1).max(200),
+  scopes: z.array(z.enum(SCOPES)).min(1).transform(s => [...new Set(s)]),
+  // Browser Origins allowed to use the key; empty means any (server-side callers send none)
+  origins: z.array(originSchema).max(50),
+  rate_limit_per_min: z.number().int().min(1).max(100000),
+  // null means unlimited
+  daily_quota: z.number().int().min(1).nullable()
+};
+
+export const keyCreateSchema = z.object({
+  name: keyFields.name,
+  scopes: keyFields.scopes.default(["read"]),
+  origins: keyFields.origins.default([]),
+  rate_limit_per_min: keyFields.rate_limit_per_min.default(DEFAULT_KEY_RATE_LIMIT),
+  daily_quota: keyFields.daily_quota.default(DEFAULT_KEY_DAILY_QUOTA)
+});
+
+export const keyPatchSchema = z.object({
+  name: keyFields.name.optional(),
+  scopes: keyFields.scopes.optional(),
+  origins: keyFields.origins.optional(),
+  rate_limit_per_min: keyFields.rate_limit_per_min.optional(),
+  daily_quota: keyFields.daily_quota.optional(),
+  disabled: z.boolean().optional()
+});
+
+export const apiKeySchema = z
+  .object({
+    _id: z.string(),
+    name: z.string(),
+    prefix: z.string().meta({ description: "Start of the key, to tell keys apart" }),
+    scopes: z.array(z.enum(SCOPES)),
+    origins: z.array(z.string()),
+    rate_limit_per_min: z.number().int(),
+    daily_quota: z.number().int().nullable(),
+    disabled: z.boolean(),
+    created_at: z.iso.datetime(),
+    updated_at: z.iso.datetime()
+  })
+  .meta({ id: "ApiKey" });
+
+export function serializeKey({ _id, key_hash, ...key }) {
+  return { _id: String(_id), ...key };
+}
+
+// Returns the plaintext key alongside the stored document
+export async function createKey(fields) {
+  const key = KEY_PREFIX + randomBytes(24).toString("base64url");
+  const now = new Date();
+  const doc = {
+    ...fields,
+    key_hash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    disabled: false,
+    created_at: now,
+    updated_at: now
+  };
+  const { insertedId } = await apiKeysCol().insertOne(doc);
+  cache.delete(doc.key_hash);
+  return { key, doc: { _id: insertedId, ...doc } };
+}
+
+export async function listKeys() {
+  return apiKeysCol().find({}).sort({ created_at: 1 }).toArray();
+}
+
+export async function updateKey(id, fields) {
+  const doc = await apiKeysCol().findOneAndUpdate(
+    { _id: new ObjectId(id) },
+    { $set: { ...fields, updated_at: new Date() } },
+    { returnDocument: "after" }
+  );
+  cache.clear();
+  return doc;
+}
+
+export async function deleteKey(id) {
+  const { deletedCount } = await apiKeysCol().deleteOne({ _id: new ObjectId(id) });
+  cache.clear();
+  return deletedCount > 0;
+}
+
+// ---- Usage ----
+
+export function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Route patterns become field names, which can't contain "." or start with "$"
+const encodeEndpoint = (s) => s.replace(/%/g, "%25").replace(/\./g, "%2E").replace(/\$/g, "%24");
+const decodeEndpoint = (s) => s.replace(/%2E/g, ".").replace(/%24/g, "$").replace(/%25/g, "%");
+
+// Counts one request against today's quota; returns today's total so far
+export async function countRequest(keyId, day) {
+  const doc = await apiUsageCol().findOneAndUpdate(
+    { _id: `${keyId}:${day}` },
+    { $inc: { total: 1 }, $setOnInsert: { key_id: keyId, day } },
+    { upsert: true, returnDocument: "after", projection: { total: 1 } }
+  );
+  return doc.total;
+}
+
+export async function recordEndpoint(keyId, day, endpoint) {
+  await apiUsageCol().updateOne({ _id: `${keyId}:${day}` }, { $inc: { [`endpoints.${encodeEndpoint(endpoint)}`]: 1 } });
+}
+
+export const usageDaySchema = z
+  .object({
+    day: z.iso.date(),
+    total: z.number().int(),
+    endpoints: z.array(z.object({ endpoint: z.string().meta({ description: "e.g. GET /wells/:id" }), count: z.number().int() }))
+  })
+  .meta({ id: "UsageDay" });
+
+// Most recent day first, busiest endpoint first
+export async function usageFor(keyId, days) {
+  const from = utcDay(new Date(Date.now() - (days - 1) * 86400000));
+  const rows = await apiUsageCol().find({ key_id: keyId, day: { $gte: from } }).sort({ day: -1 }).toArray();
+  return rows.map(r => ({
+    day: r.day,
+    total: r.total,
+    endpoints: Object.entries(r.endpoints ?? {})
+      .map(([endpoint, count]) => ({ endpoint: decodeEndpoint(endpoint), count }))
+      .sort((a, b) => b.count - a.count || a.endpoint.localeCompare(b.endpoint))
+  }));
+}
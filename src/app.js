@@ -0,0 +1,94 @@
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+import { wellsRouter } from "./routes.wells.js";
+import { statsRouter } from "./routes.stats.js";
+import { companiesRouter } from "./routes.companies.js";
+import { adminRouter } from "./routes.admin.js";
+import { changesRouter } from "./routes.changes.js";
+import { areasRouter } from "./routes.areas.js";
+import { meRouter } from "./routes.me.js";
+import { docsRouter } from "./routes.docs.js";
+import { failedAuthLimiter, authenticate, meterApiKey, requireScope } from "./auth.js";
+import { FilterError } from "./filters.js";
+
+// The HTTP app without a database connection or a listener; server.js starts it
+export const app = express();
+
+
+app.set("trust proxy", 1);
+// Hash of the body, so equal responses get equal ETags on every instance
+app.set("etag", "strong");
+
+
+app.use(helmet());
+// Any origin may call anonymously; API keys can be pinned to origins (see auth.js)
+app.use(
+  cors({
+    origin: true,
+    exposedHeaders: ["ETag", "X-Data-Version", "X-Cache", "X-Quota-Limit", "X-Quota-Remaining", "Retry-After"]
+  })
+);
+// /admin parses its own (much bigger) bodies, and only once the caller is known to be an admin
+const jsonBody = express.json({ limit: "1mb" });
+app.use((req, res, next) => (/^\/admin(\/|$)/i.test(req.path) ? next() : jsonBody(req, res, next)));
+
+
+app.use(failedAuthLimiter);
+app.use(authenticate);
+
+// Per key when one is presented (its own rate_limit_per_min), else per IP
+app.use(
+  rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.auth.key?.rate_limit_per_min ?? 120,
+    keyGenerator: (req) => (req.auth.key ? `key:${req.auth.key._id}` : ipKeyGenerator(req.ip)),
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+  })
+);
+
+app.use(meterApiKey);
+
+
+app.use((req, res, next) => {
+  if (req.method === "GET") {
+    // Revalidated on every use, which costs a 304 until the data changes (see cache.js).
+    // Keyed responses mustn't be served to other callers from a shared cache.
+    res.setHeader("Cache-Control", req.auth.key ? "private, no-cache" : "public, no-cache");
+  }
+  next();
+});
+
+
+app.get("/health", (req, res) => {
+  res.json({ ok: true });
+});
+
+// /openapi.json and the /docs page
+app.use(docsRouter);
+
+
+// /wells/export takes the export scope instead of read, so export-only keys work
+const readScope = requireScope("read");
+app.use("/wells/export", requireScope("export"));
+app.use("/wells", (req, res, next) => (/^\/export\/?$/i.test(req.path) ? next() : readScope(req, res, next)), wellsRouter);
+app.use("/stats", requireScope("read"), statsRouter);
+app.use("/companies", requireScope("read"), companiesRouter);
+app.use("/changes", requireScope("read"), changesRouter);
+app.use("/areas", areasRouter);
+app.use("/admin", adminRouter);
+app.use("/me", meRouter);
+
+
+app.use((err, req, res, next) => {
+  // buildWellsFilter can only tell once crs has converted bbox or polygon
+  if (err instanceof FilterError && !res.headersSent) {
+    return res.status(400).json({ error: "Invalid query", details: { formErrors: [], fieldErrors: { [err.field]: [err.message] } } });
+  }
+  console.error(err);
+  // Streaming responses (e.g. /wells/export) may fail after headers are out
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: "Internal server error" });
+});
@@ -0,0 +1,200 @@
+import { z } from "zod";
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import { wellsCol, areasCol } from "./db.js";
+import { filterSchema, buildWellsFilter, addLocation } from "./filters.js";
+
+// Saved areas of interest: a (Multi)Polygon plus well filters, with a baseline
+// of the wells that matched when it was last checked.
+//   { _id, name, geometry, filters, webhooks: [{ url, last_delivery }], secret,
+//     baseline: { computed_at, count, wells: [{ licence, name, map_status, status }] },
+//     last_change, created_at, updated_at }
+// After each applied ingest every area is re-run against the baseline; wells
+// that entered, left or changed map_status/status are POSTed to the area's
+// webhooks, signed with the area secret, and the baseline moves forward.
+
+// The area itself is the location filter, so bbox/polygon/crs don't apply
+const areaFilterShape = filterSchema.omit({ bbox: true, polygon: true, crs: true });
+
+// Filters are stored as given and re-parsed on every check, so company
+// aliases added later still apply. JSON booleans/numbers are read like query strings.
+export const areaFiltersSchema = z.preprocess(
+  f =>
+    f && typeof f === "object" && !Array.isArray(f)
+      ? Object.fromEntries(
+        Object.entries(f).map(([k, v]) => [k, typeof v === "boolean" || typeof v === "number" ? String(v) : v])
+      )
+      : f,
+  areaFilterShape.strict()
+);
+
+const webhookUrl = z.url({ protocol: /^https?$/ });
+
+// Checked separately against areaGeometrySchema (after crs) and areaFiltersSchema
+const areaGeometry = z.unknown().meta({ description: "GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection" });
+const areaFilters = z
+  .record(z.string(), z.unknown())
+  .meta({ description: "Any GET /wells filter except bbox, polygon and crs, e.g. { \"status\": \"Active\" }" });
+
+export const areaCreateSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  geometry: areaGeometry,
+  filters: areaFilters.default({}),
+  webhooks: z.array(webhookUrl).max(10).default([])
+});
+
+export const areaPatchSchema = z.object({
+  name: z.string().trim().min(1).max(200).optional(),
+  geometry: areaGeometry.optional(),
+  filters: areaFilters.optional(),
+  webhooks: z.array(webhookUrl).max(10).optional(),
+  rotate_secret: z.boolean().optional()
+});
+
+export function newSecret() {
+  return randomBytes(32).toString("base64url");
+}
+
+// Mongo filter for the wells inside an area
+export function areaQuery(area) {
+  const filters = areaFiltersSchema.parse(area.filters ?? {});
+  return addLocation(buildWellsFilter(filters), { $geoWithin: { $geometry: area.geometry } });
+}
+
+const SNAPSHOT_PROJECTION = { _id: 0, licence: 1, name: 1, map_status: 1, status: 1 };
+
+export async function snapshotArea(area) {
+  const rows = await wellsCol().find(areaQuery(area), { projection: SNAPSHOT_PROJECTION }).toArray();
+  const wells = rows
+    .map(r => ({ licence: r.licence, name: r.name ?? null, map_status: r.map_status ?? null, status: r.status ?? null }))
+    .sort((a, b) => a.licence - b.licence);
+  return { computed_at: new Date(), count: wells.length, wells };
+}
+
+export function diffSnapshots(before, after) {
+  const old = new Map(before.map(w => [w.licence, w]));
+  const now = new Map(after.map(w => [w.licence, w]));
+
+  const entered = after.filter(w => !old.has(w.licence));
+  const left = before.filter(w => !now.has(w.licence));
+  const status_changed = [];
+  for (const w of after) {
+    const prev = old.get(w.licence);
+    if (!prev) continue;
+    const change = { licence: w.licence, name: w.name };
+    for (const f of ["map_status", "status"]) {
+      if (prev[f] !== w[f]) change[f] = { from: prev[f], to: w[f] };
+    }
+    if (change.map_status || change.status) status_changed.push(change);
+  }
+  return { entered, left, status_changed };
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to
+// X-Webhook-Signature; the timestamp lets them reject replays.
+export function signPayload(secret, timestamp, body) {
+  return "sha256=" + createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RETRY_DELAYS_MS = [1000, 5000];
+
+// Retries network errors and 5xx; a 4xx is the receiver's answer and final
+export async function deliver(url, secret, payload) {
+  const body = JSON.stringify(payload);
+  let last;
+  for (let attempt = 1; attempt <= RETRY_DELAYS_MS.length + 1; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "man-wells-webhooks",
+          "X-Webhook-Id": payload.delivery_id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signPayload(secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      last = { at: new Date(), ok: res.ok, status: res.status, error: null, attempts: attempt };
+      if (res.status < 500) return last;
+    } catch (err) {
+      last = { at: new Date(), ok: false, status: null, error: err.message, attempts: attempt };
+    }
+    if (attempt <= RETRY_DELAYS_MS.length) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS_MS[attempt - 1]));
+    }
+  }
+  return last;
+}
+
+// Re-runs one area against its baseline, notifies its webhooks if anything
+// moved, and stores the new baseline. Returns the change summary.
+export async function checkArea(area, { runId = null } = {}) {
+  const current = await snapshotArea(area);
+  const diff = diffSnapshots(area.baseline?.wells ?? [], current.wells);
+  const changed = diff.entered.length + diff.left.length + diff.status_changed.length > 0;
+
+  const summary = {
+    run_id: runId == null ? null : String(runId),
+    detected_at: current.computed_at,
+    baseline_at: area.baseline?.computed_at ?? null,
+    counts: {
+      entered: diff.entered.length,
+      left: diff.left.length,
+      status_changed: diff.status_changed.length,
+      total: current.count
+    },
+    ...diff
+  };
+
+  const set = { baseline: current, last_checked_at: current.computed_at };
+  let deliveries = [];
+  if (changed) {
+    set.last_change = summary;
+    if (area.webhooks?.length) {
+      const payload = {
+        event: "area.changed",
+        delivery_id: randomUUID(),
+        area: { id: String(area._id), name: area.name },
+        ...summary
+      };
+      deliveries = await Promise.all(area.webhooks.map(w => deliver(w.url, area.secret, payload)));
+    }
+  }
+
+  // Deliveries can take a while, so only their own fields are written back:
+  // webhooks edited meanwhile stay as edited, and removed ones aren't revived
+  const arrayFilters = [];
+  const byUrl = new Map(deliveries.map((d, i) => [area.webhooks[i].url, d]));
+  for (const [url, d] of byUrl) {
+    const w = `w${arrayFilters.length}`;
+    set[`webhooks.$[${w}].last_delivery`] = d;
+    arrayFilters.push({ [`${w}.url`]: url });
+  }
+
+  await areasCol().updateOne({ _id: area._id }, { $set: set }, arrayFilters.length ? { arrayFilters } : {});
+  return { changed, ...summary, deliveries: deliveries.map((d, i) => ({ url: area.webhooks[i].url, ...d })) };
+}
+
+// Called after an applied ingest; areas are checked one at a time
+export async function checkAllAreas({ runId } = {}) {
+  const areas = await areasCol().find({}).toArray();
+  for (const area of areas) {
+    try {
+      await checkArea(area, { runId });
+    } catch (err) {
+      console.error(`Area check failed for ${area._id}:`, err);
+    }
+  }
+}
+
+// Public view: no secret, baseline reduced to its size
+export function serializeArea({ _id, secret, baseline, ...area }) {
+  return {
+    _id: String(_id),
+    ...area,
+    baseline: baseline ? { computed_at: baseline.computed_at, count: baseline.count } : null
+  };
+}
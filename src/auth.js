@@ -0,0 +1,129 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+import { SCOPES, isApiKey, findKey, utcDay, countRequest, recordEndpoint } from "./apikeys.js";
+
+// Callers are either anonymous or present an API key (see apikeys.js) as
+// `X-API-Key: <key>`, `Authorization: Bearer <key>`, or ?api_key= for map tile
+// URLs. `Authorization: Bearer <ADMIN_TOKEN>` has every scope; with no
+// ADMIN_TOKEN configured only keys with the admin scope reach admin endpoints.
+
+// What anonymous callers may do. Exports are uncapped, so they need a key by
+// default; ANONYMOUS_SCOPES="" requires a key for everything.
+export const ANONYMOUS_SCOPES = (process.env.ANONYMOUS_SCOPES ?? "read")
+  .split(",")
+  .map(s => s.trim())
+  .filter(s => s && s !== "admin");
+
+function sameSecret(a, b) {
+  // Hash first so the comparison is constant-time regardless of length
+  const ha = createHash("sha256").update(a).digest();
+  const hb = createHash("sha256").update(b).digest();
+  return timingSafeEqual(ha, hb);
+}
+
+function bearerToken(req) {
+  return /^Bearer\s+(\S+)$/i.exec(req.get("authorization") ?? "")?.[1] ?? null;
+}
+
+function presentedKey(req, bearer) {
+  const query = req.query.api_key;
+  return req.get("x-api-key") ?? (isApiKey(bearer) ? bearer : null) ?? (typeof query === "string" ? query : null);
+}
+
+// Refused credentials per IP per minute. Only requests that carry a key or
+// bearer token count, and only when they come back 401.
+const FAILED_AUTH_LIMIT = Number(process.env.FAILED_AUTH_LIMIT_PER_MIN) || 20;
+
+// Mounted before authenticate: once an IP is over the limit its requests are
+// refused before the key is looked up, so guessing keys costs no queries
+export const failedAuthLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: FAILED_AUTH_LIMIT,
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+  skip: (req) => !bearerToken(req) && !presentedKey(req, null),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { error: "Too many requests with invalid credentials" }
+});
+
+// Sets req.auth = { key, scopes }; key is null for anonymous and admin-token callers
+export async function authenticate(req, res, next) {
+  const bearer = bearerToken(req);
+  const token = process.env.ADMIN_TOKEN;
+  if (token && bearer && !isApiKey(bearer) && sameSecret(bearer, token)) {
+    req.auth = { key: null, scopes: SCOPES };
+    return next();
+  }
+
+  const presented = presentedKey(req, bearer);
+  if (!presented) {
+    req.auth = { key: null, scopes: ANONYMOUS_SCOPES };
+    return next();
+  }
+
+  const key = await findKey(presented);
+  if (!key || key.disabled) return res.status(401).json({ error: "Invalid API key" });
+
+  // Browsers always send Origin cross-site; server-side callers don't, and aren't restricted
+  const origin = req.get("origin");
+  if (origin && key.origins?.length && !key.origins.includes(origin)) {
+    return res.status(403).json({ error: "Origin not allowed for this API key" });
+  }
+
+  req.auth = { key, scopes: key.scopes };
+  next();
+}
+
+// admin implies every other scope
+function hasScope(req, scope) {
+  const scopes = req.auth?.scopes ?? [];
+  return scopes.includes(scope) || scopes.includes("admin");
+}
+
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req, scope)) return next();
+    if (!req.auth?.key) return res.status(401).json({ error: `An API key with the "${scope}" scope is required` });
+    res.status(403).json({ error: `This API key does not have the "${scope}" scope` });
+  };
+}
+
+export function requireAdmin(req, res, next) {
+  if (hasScope(req, "admin")) return next();
+  if (req.auth?.key) return res.status(403).json({ error: 'This API key does not have the "admin" scope' });
+
+  res.set("WWW-Authenticate", 'Bearer realm="admin"');
+  res.status(401).json({ error: "Unauthorized" });
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+}
+
+// Daily quota and per-endpoint metering for keyed requests
+export async function meterApiKey(req, res, next) {
+  const key = req.auth?.key;
+  if (!key) return next();
+
+  const day = utcDay();
+  const total = await countRequest(key._id, day);
+
+  if (key.daily_quota != null) {
+    res.set("X-Quota-Limit", String(key.daily_quota));
+    res.set("X-Quota-Remaining", String(Math.max(0, key.daily_quota - total)));
+    if (total > key.daily_quota) {
+      res.set("Retry-After", String(secondsUntilUtcMidnight()));
+      return res.status(429).json({ error: "Daily quota exceeded" });
+    }
+  }
+
+  // The matched route pattern is only known once the request has been handled
+  res.on("finish", () => {
+    const endpoint = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} (unmatched)`;
+    recordEndpoint(key._id, day, endpoint).catch(err => console.error("Usage metering failed:", err));
+  });
+  next();
+}
@@ -0,0 +1,204 @@
+import { createHash } from "node:crypto";
+import { metaCol } from "./db.js";
+
+// Server-side cache of JSON responses from the read endpoints. Entries are
+// keyed by the data version plus the normalised request and never expire by
+// age: applied ingests and alias writes bump a version stamp in Mongo, and
+// each instance moves to a fresh key space once it has seen the new stamp.
+// Entries of older versions simply fall out of the LRU (or expire in Redis).
+//
+// The store is in-process by default; connectCacheStore() switches to any
+// Redis-compatible server so instances share entries.
+
+const ENABLED = process.env.RESPONSE_CACHE !== "off";
+const MAX_BYTES = (Number(process.env.RESPONSE_CACHE_MAX_MB) || 64) * 1024 * 1024;
+// Bigger responses (large pages, exports of thousands of wells) aren't worth the memory
+const MAX_ENTRY_BYTES = (Number(process.env.RESPONSE_CACHE_MAX_ENTRY_MB) || 2) * 1024 * 1024;
+// How often other instances' bumps are picked up
+const VERSION_POLL_MS = Number(process.env.DATA_VERSION_POLL_MS) || 5000;
+// Only reclaims entries of old versions; a current entry is valid until the next bump
+const REDIS_TTL_S = Number(process.env.RESPONSE_CACHE_REDIS_TTL_S) || 24 * 60 * 60;
+const REDIS_PREFIX = process.env.RESPONSE_CACHE_REDIS_PREFIX || "wells:cache:";
+
+// ---- Stores: get(key) -> entry | null, set(key, entry); entry = { etag, body } ----
+
+// Least recently used first, by Map insertion order; sized in UTF-8 bytes like MAX_ENTRY_BYTES
+function memoryStore(maxBytes) {
+  const entries = new Map();
+  let bytes = 0;
+  const sizeOf = (e) => Buffer.byteLength(e.body) + Buffer.byteLength(e.etag);
+
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      entries.set(key, e);
+      return e;
+    },
+    async set(key, e) {
+      const old = entries.get(key);
+      if (old) {
+        entries.delete(key);
+        bytes -= sizeOf(old);
+      }
+      entries.set(key, e);
+      bytes += sizeOf(e);
+      for (const [k, v] of entries) {
+        if (bytes <= maxBytes) break;
+        entries.delete(k);
+        bytes -= sizeOf(v);
+      }
+    }
+  };
+}
+
+async function redisStore(url) {
+  // Optional dependency, only loaded when a Redis URL is configured
+  const { createClient } = await import("redis");
+  const client = createClient({ url });
+  client.on("error", err => console.error("Response cache store error:", err.message));
+  await client.connect();
+
+  return {
+    async get(key) {
+      const value = await client.get(REDIS_PREFIX + key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, e) {
+      await client.set(REDIS_PREFIX + key, JSON.stringify(e), { expiration: { type: "EX", value: REDIS_TTL_S } });
+    }
+  };
+}
+
+let store = memoryStore(MAX_BYTES);
+
+export async function connectCacheStore(url) {
+  store = await redisStore(url);
+}
+
+// ---- Data version ----
+
+let current = null; // { version, checkedAt }
+let checking = null;
+const reloaders = [];
+
+// In-memory indexes that must be rebuilt before responses are cached under a
+// new version, or the first requests after a bump would cache stale results
+export function onDataVersionChange(fn) {
+  reloaders.push(fn);
+}
+
+async function adopt(version) {
+  if (current && version <= current.version) {
+    current.checkedAt = Date.now();
+    return current.version;
+  }
+  if (current) {
+    await Promise.all(reloaders.map(fn => fn())).catch(err => console.error("Reload after data change failed:", err));
+  }
+  current = { version, checkedAt: Date.now() };
+  return version;
+}
+
+function check() {
+  checking ??= metaCol()
+    .findOne({ _id: "data_version" })
+    .then(doc => adopt(doc?.version ?? 0))
+    .finally(() => {
+      checking = null;
+    });
+  return checking;
+}
+
+// Same stale-while-revalidate scheme as the search index, on a much shorter clock
+export async function dataVersion() {
+  if (!current) return check();
+  if (Date.now() - current.checkedAt > VERSION_POLL_MS) {
+    check().catch(err => console.error("Data version check failed:", err));
+  }
+  return current.version;
+}
+
+// Call after writes that change what read endpoints return; resolves once
+// this instance serves the new version
+export async function bumpDataVersion(reason) {
+  const doc = await metaCol().findOneAndUpdate(
+    { _id: "data_version" },
+    { $inc: { version: 1 }, $set: { updated_at: new Date(), reason } },
+    { upsert: true, returnDocument: "after" }
+  );
+  await adopt(doc.version);
+  return { version: doc.version, updated_at: doc.updated_at, reason };
+}
+
+// ---- Middleware ----
+
+// Sorted keys, so bodies that differ only in key order share an entry
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+// Query parameters sorted by name then value. api_key is left out: scopes are
+// checked before the cache, and responses (next links included) never echo it.
+function cacheKey(req, version) {
+  const url = new URL(req.originalUrl, "http://localhost");
+  url.searchParams.delete("api_key");
+  const params = [...url.searchParams].sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0));
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+  const body = req.method === "GET" ? "" : canonicalJson(req.body ?? null);
+  return createHash("sha256").update(JSON.stringify([version, req.method, path, params, body])).digest("base64url");
+}
+
+export function etagFor(body) {
+  return `"${createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+// For responses that depend only on the request and the data version: known
+// before the response is built, so a matching If-None-Match skips the work
+export async function versionEtag(req) {
+  return `"${cacheKey(req, await dataVersion())}"`;
+}
+
+// res.send answers a matching If-None-Match with 304 once ETag is set
+function sendEntry(res, entry) {
+  res.set("ETag", entry.etag);
+  res.type("json").send(entry.body);
+}
+
+// Per route, on read-only handlers whose 200 responses depend only on the
+// request and the data (not on the time or randomness)
+export async function cached(req, res, next) {
+  if (!ENABLED) return next();
+
+  const version = await dataVersion();
+  res.set("X-Data-Version", String(version));
+
+  const key = cacheKey(req, version);
+  const hit = await store.get(key).catch(err => {
+    console.error("Response cache read failed:", err.message);
+    return null;
+  });
+  if (hit) {
+    res.set("X-Cache", "HIT");
+    return sendEntry(res, hit);
+  }
+
+  res.set("X-Cache", "MISS");
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) return json(body);
+    const text = JSON.stringify(body);
+    const entry = { etag: etagFor(text), body: text };
+    if (Buffer.byteLength(text) <= MAX_ENTRY_BYTES) {
+      store.set(key, entry).catch(err => console.error("Response cache write failed:", err.message));
+    }
+    return sendEntry(res, entry);
+  };
+  next();
+}
@@ -0,0 +1,237 @@
+import { wellsCol, companyAliasesCol } from "./db.js";
+import { editDistance } from "./search.js";
+
+// Company names are free text in the source data ("Tundra Oil & Gas Ltd.",
+// "TUNDRA OIL AND GAS LIMITED"). companyKey() folds case, punctuation, "&" and
+// trailing corporate suffixes so spelling variants of one operator compare equal.
+// The company_aliases collection then maps keys that companyKey() can't merge
+// (renames, abbreviations) onto a canonical operator:
+//   { _id: <alias key>, alias, canonical_key, canonical, updated_at }
+// Groupings and filters go through the resolver below, never the raw string.
+
+const SUFFIXES = new Set([
+  "ltd",
+  "limited",
+  "inc",
+  "incorporated",
+  "corp",
+  "corporation",
+  "co",
+  "company",
+  "llc",
+  "lp",
+  "ulc",
+  "plc"
+]);
+
+// Words too common in operator names to say two names are the same company
+const GENERIC = new Set(["oil", "gas", "and", "resources", "energy", "petroleum", "exploration", "canada", "the"]);
+
+const REFRESH_MS = Number(process.env.COMPANY_RESOLVER_REFRESH_MS) || 10 * 60 * 1000;
+
+let resolver = null;
+let building = null;
+
+export function companyKey(name) {
+  const words = String(name ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  while (words.length > 1 && SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(" ");
+}
+
+async function build() {
+  const [counts, aliases] = await Promise.all([
+    wellsCol().aggregate([
+      { $match: { company: { $type: "string" } } },
+      { $group: { _id: "$company", count: { $sum: 1 } } }
+    ]).toArray(),
+    companyAliasesCol().find({}).toArray()
+  ]);
+
+  const aliasByKey = new Map(aliases.map(a => [a._id, a]));
+  const canonicalKey = (raw) => {
+    const key = companyKey(raw);
+    return aliasByKey.get(key)?.canonical_key ?? key;
+  };
+
+  const groups = new Map(); // canonical key -> { key, company, curated, wells, variants }
+  for (const { _id: raw, count } of counts) {
+    const key = canonicalKey(raw);
+    let g = groups.get(key);
+    if (!g) groups.set(key, (g = { key, company: null, curated: false, wells: 0, variants: [] }));
+    g.wells += count;
+    g.variants.push({ company: raw, count });
+  }
+
+  for (const a of aliases) {
+    const g = groups.get(a.canonical_key);
+    if (g) {
+      g.company = a.canonical;
+      g.curated = true;
+    }
+  }
+  for (const g of groups.values()) {
+    g.variants.sort((a, b) => b.count - a.count || a.company.localeCompare(b.company));
+    g.company ??= g.variants[0].company;
+  }
+
+  return {
+    groups,
+    aliasByKey,
+    builtAt: Date.now(),
+
+    canonicalKey,
+
+    // Display name of the operator a raw value belongs to (null stays null)
+    canonicalOf(raw) {
+      if (raw == null) return null;
+      return groups.get(canonicalKey(raw))?.company ?? raw;
+    },
+
+    // Every raw value in the data that resolves to the same operator as name
+    variantsOf(name) {
+      return groups.get(canonicalKey(name))?.variants.map(v => v.company) ?? [];
+    }
+  };
+}
+
+function rebuild() {
+  building ??= build()
+    .then(next => {
+      resolver = next;
+      return next;
+    })
+    .finally(() => {
+      building = null;
+    });
+  return building;
+}
+
+// Same stale-while-revalidate scheme as the search index
+export async function getCompanyResolver() {
+  if (!resolver) return rebuild();
+  if (Date.now() - resolver.builtAt > REFRESH_MS) {
+    rebuild().catch(err => console.error("Company resolver rebuild failed:", err));
+  }
+  return resolver;
+}
+
+// After an alias write or a data reload: a build already in flight may have read the old data
+export async function refreshCompanyResolver() {
+  await building?.catch(() => {});
+  return rebuild();
+}
+
+// Raw values to match for company filters: all variants of each operator named.
+// Synchronous for buildWellsFilter, so it uses whatever resolver is loaded
+// (none only before the startup warm-up finishes; names then match exactly).
+export function expandCompanies(names) {
+  if (!resolver) return names;
+  return [...new Set(names.flatMap(n => {
+    const variants = resolver.variantsOf(n);
+    return variants.length ? variants : [n];
+  }))];
+}
+
+// Merges rows of { company, count } that belong to the same operator, biggest first
+export function foldCompanyCounts(rows, r = resolver) {
+  const merged = new Map();
+  for (const row of rows) {
+    const company = (r ? r.canonicalOf(row.company) : row.company) ?? "Unknown";
+    merged.set(company, (merged.get(company) ?? 0) + row.count);
+  }
+  return [...merged.entries()]
+    .map(([company, count]) => ({ company, count }))
+    .sort((a, b) => b.count - a.count || a.company.localeCompare(b.company));
+}
+
+// ---- Alias table ----
+
+// Rejected alias writes (reported as 400s)
+export class AliasError extends Error {}
+
+export async function listAliases() {
+  return companyAliasesCol().find({}).sort({ canonical_key: 1, _id: 1 }).toArray();
+}
+
+// Points alias at canonical. Chains are flattened on write, so lookups are one hop.
+export async function setAlias(alias, canonical) {
+  const aliasKey = companyKey(alias);
+  const target = await companyAliasesCol().findOne({ _id: companyKey(canonical) });
+  const canonicalKey = target?.canonical_key ?? companyKey(canonical);
+  const canonicalName = target?.canonical ?? canonical.trim();
+
+  if (!aliasKey || !canonicalKey) throw new AliasError("alias and canonical must contain letters or digits");
+  if (aliasKey === canonicalKey) throw new AliasError("alias already resolves to the canonical company");
+
+  const now = new Date();
+  const doc = { _id: aliasKey, alias: alias.trim(), canonical_key: canonicalKey, canonical: canonicalName, updated_at: now };
+  await companyAliasesCol().replaceOne({ _id: aliasKey }, doc, { upsert: true });
+
+  // Anything that pointed at the alias now points at its new canonical
+  await companyAliasesCol().updateMany(
+    { canonical_key: aliasKey },
+    { $set: { canonical_key: canonicalKey, canonical: canonicalName, updated_at: now } }
+  );
+  // One display name per canonical operator
+  await companyAliasesCol().updateMany({ canonical_key: canonicalKey }, { $set: { canonical: canonicalName } });
+
+  await refreshCompanyResolver();
+  return doc;
+}
+
+export async function deleteAlias(alias) {
+  const { deletedCount } = await companyAliasesCol().deleteOne({ _id: companyKey(alias) });
+  if (deletedCount) await refreshCompanyResolver();
+  return deletedCount > 0;
+}
+
+// ---- Probable duplicates ----
+
+function distinctiveWords(key) {
+  return key.split(" ").filter(w => !GENERIC.has(w));
+}
+
+// 0..1: the better of word overlap (ignoring generic words) and character edit similarity
+function similarity(a, b) {
+  const wa = new Set(distinctiveWords(a));
+  const wb = new Set(distinctiveWords(b));
+  let jaccard = 0;
+  if (wa.size && wb.size) {
+    const shared = [...wa].filter(w => wb.has(w)).length;
+    jaccard = shared / (wa.size + wb.size - shared);
+  }
+
+  const ca = a.replace(/ /g, "");
+  const cb = b.replace(/ /g, "");
+  const longest = Math.max(ca.length, cb.length);
+  const max = Math.floor(longest * 0.25);
+  const d = editDistance(ca, cb, max);
+  const chars = d > max ? 0 : 1 - d / longest;
+
+  return Math.max(jaccard, chars);
+}
+
+// Pairs of operators that are probably the same company and aren't aliased yet
+export function suggestDuplicates(r, { minScore, limit }) {
+  const groups = [...r.groups.values()];
+  const out = [];
+  for (let i = 0; i < groups.length; i++) {
+    for (let j = i + 1; j < groups.length; j++) {
+      const score = similarity(groups[i].key, groups[j].key);
+      if (score < minScore) continue;
+      const [a, b] = groups[i].wells >= groups[j].wells ? [groups[i], groups[j]] : [groups[j], groups[i]];
+      out.push({
+        score,
+        canonical: { company: a.company, key: a.key, wells: a.wells },
+        alias: { company: b.company, key: b.key, wells: b.wells }
+      });
+    }
+  }
+  return out.sort((x, y) => y.score - x.score || y.canonical.wells - x.canonical.wells).slice(0, limit);
+}
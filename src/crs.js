@@ -0,0 +1,126 @@
+import proj4 from "proj4";
+import { z } from "zod";
+import { isLonLat } from "./geo.js";
+
+// Coordinate reference systems accepted by the `crs` parameter. Everything is
+// stored and queried as WGS84 lon/lat; these convert at the edges, in-process.
+// NAD83 is treated as WGS84 (sub-2 m in Manitoba), like most GIS defaults.
+
+const DEFS = {
+  "EPSG:4326": "+proj=longlat +datum=WGS84 +no_defs",
+  "EPSG:4269": "+proj=longlat +datum=NAD83 +no_defs",
+  "EPSG:4617": "+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs",
+  "EPSG:26913": "+proj=utm +zone=13 +datum=NAD83 +units=m +no_defs",
+  "EPSG:26914": "+proj=utm +zone=14 +datum=NAD83 +units=m +no_defs",
+  "EPSG:26915": "+proj=utm +zone=15 +datum=NAD83 +units=m +no_defs",
+  "EPSG:2957": "+proj=utm +zone=13 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  "EPSG:3158": "+proj=utm +zone=14 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  "EPSG:3159": "+proj=utm +zone=15 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  "EPSG:32613": "+proj=utm +zone=13 +datum=WGS84 +units=m +no_defs",
+  "EPSG:32614": "+proj=utm +zone=14 +datum=WGS84 +units=m +no_defs",
+  "EPSG:32615": "+proj=utm +zone=15 +datum=WGS84 +units=m +no_defs",
+  "EPSG:3857": "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs",
+  "EPSG:3347":
+    "+proj=lcc +lat_0=63.390675 +lon_0=-91.8666666666667 +lat_1=49 +lat_2=77 +x_0=6200000 +y_0=3000000 " +
+    "+ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs"
+};
+
+export const WGS84 = "EPSG:4326";
+
+for (const [code, def] of Object.entries(DEFS)) proj4.defs(code, def);
+
+const converters = new Map();
+function converter(crs) {
+  if (!converters.has(crs)) converters.set(crs, proj4(WGS84, crs));
+  return converters.get(crs);
+}
+
+// "26914", "EPSG:26914", "epsg:26914" or "urn:ogc:def:crs:EPSG::26914"
+export const crsSchema = z.string().transform((s, ctx) => {
+  const m = /^(?:urn:ogc:def:crs:)?(?:epsg:{1,2})?(\d+)$/i.exec(s.trim());
+  const code = m ? `EPSG:${m[1]}` : null;
+  if (!code || !DEFS[code]) {
+    ctx.addIssue({ code: "custom", message: `Unsupported crs. Use one of: ${Object.keys(DEFS).join(", ")}` });
+    return z.NEVER;
+  }
+  return code;
+}).meta({ description: `CRS of coordinates in the request and response: ${Object.keys(DEFS).join(", ")}` });
+
+export function isWgs84(crs) {
+  return !crs || crs === WGS84;
+}
+
+export function toWgs84(crs, xy) {
+  if (isWgs84(crs)) return xy;
+  return converter(crs).inverse([xy[0], xy[1]]);
+}
+
+export function fromWgs84(crs, lonLat) {
+  if (isWgs84(crs)) return lonLat;
+  return converter(crs).forward([lonLat[0], lonLat[1]]);
+}
+
+// proj4 folds some points far outside a projection back into lon/lat range, so
+// a point only counts as converted if it converts back to where it started.
+// null when crs can't place the point.
+export function toWgs84Checked(crs, xy) {
+  const lonLat = toWgs84(crs, xy);
+  if (!isLonLat(lonLat)) return null;
+  if (isWgs84(crs)) return lonLat;
+  const [x, y] = fromWgs84(crs, lonLat);
+  const tolerance = 1e-6 * Math.max(1, Math.abs(xy[0]), Math.abs(xy[1]));
+  return Math.abs(x - xy[0]) <= tolerance && Math.abs(y - xy[1]) <= tolerance ? lonLat : null;
+}
+
+// Maps every position of a GeoJSON geometry, Feature or FeatureCollection
+export function mapPositions(gj, fn) {
+  if (!gj || typeof gj !== "object") return gj;
+  if (gj.type === "FeatureCollection") {
+    return { ...gj, features: (gj.features ?? []).map(f => mapPositions(f, fn)) };
+  }
+  if (gj.type === "Feature") return { ...gj, geometry: mapPositions(gj.geometry, fn) };
+  if (gj.type === "GeometryCollection") {
+    return { ...gj, geometries: (gj.geometries ?? []).map(g => mapPositions(g, fn)) };
+  }
+
+  const walk = (c) => (Array.isArray(c) && typeof c[0] === "number" ? fn(c) : Array.isArray(c) ? c.map(walk) : c);
+  return gj.coordinates ? { ...gj, coordinates: walk(gj.coordinates) } : gj;
+}
+
+export function geometryToWgs84(crs, gj) {
+  return isWgs84(crs) ? gj : mapPositions(gj, xy => toWgs84(crs, xy));
+}
+
+export function geometryFromWgs84(crs, gj) {
+  return isWgs84(crs) ? gj : mapPositions(gj, ll => fromWgs84(crs, ll));
+}
+
+// Projected bbox -> lon/lat envelope. Edges are sampled because straight
+// edges in a projected CRS are curves in lon/lat. null when crs can't place
+// part of it.
+export function bboxToWgs84(crs, [minX, minY, maxX, maxY]) {
+  if (isWgs84(crs)) return [minX, minY, maxX, maxY];
+
+  const steps = 8;
+  const pts = [];
+  for (let i = 0; i <= steps; i++) {
+    const x = minX + ((maxX - minX) * i) / steps;
+    const y = minY + ((maxY - minY) * i) / steps;
+    pts.push([x, minY], [x, maxY], [minX, y], [maxX, y]);
+  }
+
+  const ll = pts.map(p => toWgs84Checked(crs, p));
+  if (ll.includes(null)) return null;
+  return [
+    Math.min(...ll.map(p => p[0])),
+    Math.min(...ll.map(p => p[1])),
+    Math.max(...ll.map(p => p[0])),
+    Math.max(...ll.map(p => p[1]))
+  ];
+}
+
+// Pre-RFC 7946 "crs" member, still what QGIS/GDAL look for on non-WGS84 GeoJSON
+export function crsMember(crs) {
+  if (isWgs84(crs)) return undefined;
+  return { type: "name", properties: { name: `urn:ogc:def:crs:${crs.replace(":", "::")}` } };
+}
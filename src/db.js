@@ -14,11 +14,67 @@ export async function connectDB({ mongoUri, dbName }) {
   return db;
 }
 
+// Tests run against an in-memory stand-in instead of a server
+export function useDB(instance) {
+  db = instance;
+}
+
 export function getDB() {
   if (!db) throw new Error("DB not initialized. Call connectDB() first.");
   return db;
 }
 
+export function wellsCol() {
+  return getDB().collection(process.env.WELLS_COLLECTION || "wells");
+}
+
+// Curated company aliases, see companies.js
+export function companyAliasesCol() {
+  return getDB().collection("company_aliases");
+}
+
+// One document per admin ingest (dry runs included), see routes.admin.js
+export function ingestRunsCol() {
+  return getDB().collection("ingest_runs");
+}
+
+// Per-licence change log written by applied ingests, see history.js
+export function wellChangesCol() {
+  return getDB().collection("well_changes");
+}
+
+// Saved areas of interest with their baselines and webhooks, see areas.js
+export function areasCol() {
+  return getDB().collection("areas");
+}
+
+// Issued API keys and their daily usage, see apikeys.js
+export function apiKeysCol() {
+  return getDB().collection("api_keys");
+}
+
+export function apiUsageCol() {
+  return getDB().collection("api_usage");
+}
+
+// Singleton documents such as the data version stamp, see cache.js
+export function metaCol() {
+  return getDB().collection("meta");
+}
+
+// Indexes the code relies on for correctness or to keep hot queries off
+// collection scans; createIndex is a no-op when an index already exists
+export async function ensureIndexes() {
+  await Promise.all([
+    // recordChanges retries on a duplicate version instead of logging it twice
+    wellChangesCol().createIndex({ licence: 1, version: 1 }, { unique: true }),
+    // the /changes feed: a recorded_at range in _id order
+    wellChangesCol().createIndex({ recorded_at: 1, _id: 1 }),
+    // every keyed request looks its key up by hash, and a hash must name one key
+    apiKeysCol().createIndex({ key_hash: 1 }, { unique: true })
+  ]);
+}
+
 export async function closeDB() {
   if (client) await client.close();
 }
@@ -0,0 +1,148 @@
+import { z } from "zod";
+
+// Dominion Land Survey (Manitoba) <-> lon/lat, computed from the theoretical
+// third-system grid: 6-mile townships counted north from 49°, ranges counted
+// from the meridian with their width fixed on each base line (every 4 townships),
+// and sections / LSDs numbered back and forth from the SE corner.
+// It ignores correction-line jogs and survey irregularities, so it is good for
+// search and display but is not survey-grade.
+
+const CHAIN = 20.1168; // m
+const MILE = 1609.344; // m
+const TWP_HEIGHT = 6 * MILE + 3 * CHAIN; // E-W road allowances on every other section line
+const RANGE_WIDTH = 6 * MILE + 6 * CHAIN; // N-S road allowances on every section line
+const M_PER_DEG_LAT = 111250; // ~52°N, middle of the settled grid
+const BASE_LAT = 49;
+
+const MERIDIANS = {
+  W1: { lon: -97.457875, dir: -1 }, // Principal Meridian, ranges counted west
+  E1: { lon: -97.457875, dir: 1 }, //  ... and east
+  W2: { lon: -102, dir: -1 }
+};
+
+function metersPerDegLon(lat) {
+  const r = (lat * Math.PI) / 180;
+  return 111412.84 * Math.cos(r) - 93.5 * Math.cos(3 * r);
+}
+
+function townshipSouthLat(twp) {
+  return BASE_LAT + ((twp - 1) * TWP_HEIGHT) / M_PER_DEG_LAT;
+}
+
+// Range width (degrees of longitude) for a township, set on its block's base line
+function rangeWidthDeg(twp) {
+  const baseTwp = 4 * Math.round((twp - 1) / 4) + 1;
+  return RANGE_WIDTH / metersPerDegLon(townshipSouthLat(baseTwp));
+}
+
+function pickMeridian(lon) {
+  if (lon < MERIDIANS.W2.lon) return "W2";
+  return lon < MERIDIANS.W1.lon ? "W1" : "E1";
+}
+
+// Boustrophedon numbering used for both sections (n = 6) and LSDs (n = 4):
+// 1 in the SE corner, running west, then back east on the next row.
+function gridNumber(col, row, n) {
+  return row % 2 === 0 ? row * n + col + 1 : row * n + n - col;
+}
+
+function gridCell(num, n) {
+  const row = Math.floor((num - 1) / n);
+  const k = (num - 1) % n;
+  return { row, col: row % 2 === 0 ? k : n - 1 - k };
+}
+
+export function formatDls({ lsd, section, township, range, meridian }) {
+  const tr = `${String(township).padStart(3, "0")}-${String(range).padStart(2, "0")}${meridian}`;
+  if (section == null) return tr;
+  const sec = `${String(section).padStart(2, "0")}-${tr}`;
+  return lsd == null ? sec : `${String(lsd).padStart(2, "0")}-${sec}`;
+}
+
+export function lonLatToDls([lon, lat]) {
+  if (lat < BASE_LAT) return null;
+
+  const township = Math.floor(((lat - BASE_LAT) * M_PER_DEG_LAT) / TWP_HEIGHT) + 1;
+  const meridian = pickMeridian(lon);
+  const { lon: mLon, dir } = MERIDIANS[meridian];
+  const width = rangeWidthDeg(township);
+
+  const offset = ((lon - mLon) * dir) / width; // ranges from the meridian, fractional
+  const range = Math.floor(offset) + 1;
+
+  // Fractions inside the township: x measured west from its east edge, y north from its south edge
+  const fx = dir < 0 ? offset - Math.floor(offset) : 1 - (offset - Math.floor(offset));
+  const fy = ((lat - townshipSouthLat(township)) * M_PER_DEG_LAT) / TWP_HEIGHT;
+
+  const sx = Math.min(5, Math.floor(fx * 6));
+  const sy = Math.min(5, Math.floor(fy * 6));
+  const section = gridNumber(sx, sy, 6);
+
+  const lx = Math.min(3, Math.floor((fx * 6 - sx) * 4));
+  const ly = Math.min(3, Math.floor((fy * 6 - sy) * 4));
+  const lsd = gridNumber(lx, ly, 4);
+
+  const parts = { lsd, section, township, range, meridian };
+  return { ...parts, label: formatDls(parts) };
+}
+
+// [w, s, e, n] of a township, section or LSD
+export function dlsBounds({ lsd, section, township, range, meridian }) {
+  const { lon: mLon, dir } = MERIDIANS[meridian];
+  const width = rangeWidthDeg(township);
+  const south = townshipSouthLat(township);
+  const height = TWP_HEIGHT / M_PER_DEG_LAT;
+
+  // x0/x1 and y0/y1 are fractions of the township, x westward from its east edge
+  let x0 = 0, x1 = 1, y0 = 0, y1 = 1;
+  if (section != null) {
+    const s = gridCell(section, 6);
+    [x0, x1, y0, y1] = [s.col / 6, (s.col + 1) / 6, s.row / 6, (s.row + 1) / 6];
+    if (lsd != null) {
+      const l = gridCell(lsd, 4);
+      [x0, x1, y0, y1] = [
+        x0 + l.col / 24, x0 + (l.col + 1) / 24,
+        y0 + l.row / 24, y0 + (l.row + 1) / 24
+      ];
+    }
+  }
+
+  // East edge of the range in longitude
+  const eastLon = dir < 0 ? mLon - (range - 1) * width : mLon + range * width;
+  return [eastLon - x1 * width, south + y0 * height, eastLon - x0 * width, south + y1 * height];
+}
+
+// "04-12-010-28W1" (LSD-section-township-range+meridian), "12-010-28W1" or "010-28W1"
+const DLS_RE = /^(?:(\d{1,2})-)?(?:(\d{1,2})-)?(\d{1,3})-(\d{1,2})\s*([WE])\s*(\d)$/i;
+
+export function parseDls(s) {
+  const m = DLS_RE.exec(String(s).trim());
+  if (!m) return null;
+
+  const [, a, b, twp, rge, dirLetter, merNo] = m;
+  const meridian = `${dirLetter.toUpperCase()}${merNo}`;
+  if (!MERIDIANS[meridian]) return null;
+
+  // With one leading number it's the section; with two it's LSD then section
+  const section = b != null ? Number(b) : a != null ? Number(a) : null;
+  const lsd = b != null ? Number(a) : null;
+  const township = Number(twp);
+  const range = Number(rge);
+
+  if (township < 1 || township > 130 || range < 1 || range > 34) return null;
+  if (section != null && (section < 1 || section > 36)) return null;
+  if (lsd != null && (lsd < 1 || lsd > 16)) return null;
+
+  const parts = { lsd, section, township, range, meridian };
+  return { ...parts, level: lsd != null ? "lsd" : section != null ? "section" : "township", label: formatDls(parts) };
+}
+
+export const dlsSchema = z.string().transform((s, ctx) => {
+  const parsed = parseDls(s);
+  if (!parsed) {
+    ctx.addIssue({ code: "custom", message: "dls must look like 04-12-010-28W1, 12-010-28W1 or 010-28W1" });
+    return z.NEVER;
+  }
+  return parsed;
+}).meta({ description: "Legal land description: LSD-section-township-range+meridian, e.g. 04-12-010-28W1" });
+
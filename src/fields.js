@@ -0,0 +1,119 @@
+import { z } from "zod";
+import { lonLatToDls } from "./dls.js";
+import { pointSchema } from "./openapi.js";
+
+// Response shaping shared by every endpoint that returns wells. Clients pick
+// fields with ?fields= (a preset name, a comma list, or both: "map,status").
+// Collection endpoints default to "map", single-well lookups to "full".
+
+// dls is derived from location, never stored
+export const WELL_FIELDS = [
+  "licence",
+  "name",
+  "company",
+  "map_status",
+  "status",
+  "status_date",
+  "mineral_ri",
+  "deviation",
+  "techdoc_url",
+  "easting",
+  "northing",
+  "location",
+  "dls"
+];
+
+const WELL_FIELD_SET = new Set(WELL_FIELDS);
+
+export const PRESETS = {
+  minimal: ["licence", "name"],
+  map: ["licence", "name", "company", "map_status", "location", "dls"],
+  full: WELL_FIELDS
+};
+
+const nullableText = z.string().nullable();
+
+// A serialized well as documented in the OpenAPI spec; which keys are present
+// depends on ?fields=
+export const wellSchema = z
+  .object({
+    _id: z.string(),
+    licence: z.number().int(),
+    name: nullableText,
+    company: nullableText,
+    map_status: nullableText,
+    status: nullableText,
+    status_date: nullableText.meta({ description: "YYYY-MM-DD HH:MM:SS" }),
+    mineral_ri: nullableText,
+    deviation: nullableText,
+    techdoc_url: nullableText,
+    easting: z.number().nullable(),
+    northing: z.number().nullable(),
+    location: pointSchema.nullable(),
+    dls: z
+      .object({
+        lsd: z.number().int(),
+        section: z.number().int(),
+        township: z.number().int(),
+        range: z.number().int(),
+        meridian: z.string(),
+        label: z.string()
+      })
+      .nullable()
+      .meta({ description: "Dominion Land Survey position derived from location" })
+  })
+  .partial()
+  .meta({ id: "Well" });
+
+// Accepts "a,b" or ["a", "b"] (POST bodies); resolves to a list of WELL_FIELDS
+export function fieldsParam(defaultPreset) {
+  return z
+    .union([z.string(), z.array(z.string())])
+    .default(defaultPreset)
+    .transform((v, ctx) => {
+      const tokens = [].concat(v).flatMap(s => s.split(",")).map(s => s.trim()).filter(Boolean);
+      const fields = new Set();
+      for (const t of tokens) {
+        if (PRESETS[t]) PRESETS[t].forEach(f => fields.add(f));
+        else if (WELL_FIELD_SET.has(t)) fields.add(t);
+        else {
+          ctx.addIssue({
+            code: "custom",
+            message: `Unknown field "${t}". Use ${Object.keys(PRESETS).join(", ")} or any of: ${WELL_FIELDS.join(", ")}`
+          });
+          return z.NEVER;
+        }
+      }
+      if (!fields.size) {
+        ctx.addIssue({ code: "custom", message: "fields must name at least one field" });
+        return z.NEVER;
+      }
+      return [...fields];
+    })
+    .meta({
+      description: `Preset (${Object.keys(PRESETS).join(", ")}) and/or comma list of: ${WELL_FIELDS.join(", ")}. Default ${defaultPreset}`
+    });
+}
+
+// Mongo projection for the requested fields (plus whatever `also` the route needs internally)
+export function projectionFor(fields, also = []) {
+  const projection = {};
+  for (const f of [...fields, ...also]) projection[f === "dls" ? "location" : f] = 1;
+  return projection;
+}
+
+// Requested well fields with a string _id. Keys that aren't well fields
+// (distance_m, score, highlights, ...) are computed by the route and kept.
+export function serializeWell(doc, fields) {
+  const wanted = new Set(fields);
+  const out = {};
+  for (const [k, v] of Object.entries(doc)) {
+    if (k === "_id") out._id = String(v);
+    else if (!WELL_FIELD_SET.has(k) || wanted.has(k)) out[k] = v;
+  }
+  if (wanted.has("dls")) {
+    const c = doc.location?.coordinates;
+    out.dls = Array.isArray(c) ? lonLatToDls(c) : null;
+  }
+  return out;
+}
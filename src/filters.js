@@ -0,0 +1,161 @@
+import { z } from "zod";
+import { boundsPolygon, clampLonLat, preparePolygon, MAX_AREA_VERTICES } from "./geo.js";
+import { dlsSchema, dlsBounds } from "./dls.js";
+import { crsSchema, isWgs84, bboxToWgs84, toWgs84Checked } from "./crs.js";
+import { expandCompanies } from "./companies.js";
+
+// status_date is stored as "YYYY-MM-DD HH:MM:SS", so string comparison is
+// chronological. Partial dates ("1984", "1984-06") are padded to the start or
+// end of the period they name.
+const STATUS_DATE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const DATE_FLOOR = "0000-01-01 00:00:00";
+const DATE_CEIL = "0000-12-31 23:59:59";
+
+const statusDate = z
+  .string()
+  .trim()
+  .regex(STATUS_DATE_RE, "expected YYYY, YYYY-MM or YYYY-MM-DD")
+  .meta({ description: "YYYY, YYYY-MM or YYYY-MM-DD" });
+
+export const bboxSchema = z.string().transform((s, ctx) => {
+  const parts = s.split(",").map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    ctx.addIssue({ code: "custom", message: "bbox must be minLon,minLat,maxLon,maxLat" });
+    return z.NEVER;
+  }
+  return parts;
+}).meta({ description: "minLon,minLat,maxLon,maxLat (minX,minY,maxX,maxY in crs units when crs is given)" });
+
+// "lon,lat,lon,lat,..." outer ring (x,y,... in crs units when a crs is given).
+// Checked like an area outline, in its own units: a projection keeps a ring
+// that crosses itself crossed.
+export const polygonParamSchema = z.string().transform((s, ctx) => {
+  const nums = s.split(",").map(Number);
+  if (nums.length < 6 || nums.length % 2 !== 0 || !nums.every(Number.isFinite)) {
+    ctx.addIssue({ code: "custom", message: "polygon must be lon,lat,lon,lat,... with at least 3 points" });
+    return z.NEVER;
+  }
+  if (nums.length / 2 > MAX_AREA_VERTICES) {
+    ctx.addIssue({ code: "custom", message: `polygon has ${nums.length / 2} points; at most ${MAX_AREA_VERTICES} are allowed` });
+    return z.NEVER;
+  }
+  const ring = [];
+  for (let i = 0; i < nums.length; i += 2) ring.push([nums[i], nums[i + 1]]);
+  const { problem, rings } = preparePolygon([ring]);
+  if (problem) {
+    ctx.addIssue({ code: "custom", message: problem });
+    return z.NEVER;
+  }
+  return rings[0];
+}).meta({ description: "Outer ring as lon,lat,lon,lat,... (x,y in crs units when crs is given)" });
+
+// Repeat the param for multiple values (?company=A&company=B). Commas are not
+// split because company names contain them.
+const listParam = z
+  .union([z.string().min(1), z.array(z.string().min(1)).min(1)])
+  .transform(v => [].concat(v))
+  .meta({ description: "Repeat the parameter to match any of several values" });
+
+export const filterSchema = z.object({
+  // bbox and polygon are in `crs` units when crs is given
+  bbox: bboxSchema.optional(),
+  polygon: polygonParamSchema.optional(),
+  crs: crsSchema.optional(),
+  dls: dlsSchema.optional(),
+  company: listParam.optional(),
+  map_status: listParam.optional(),
+  status: listParam.optional(),
+  mineral_ri: listParam.optional(),
+  deviation: listParam.optional(),
+  status_date_from: statusDate.optional(),
+  status_date_to: statusDate.optional(),
+  licence_min: z.coerce.number().int().optional(),
+  licence_max: z.coerce.number().int().optional(),
+  has_techdoc: z.stringbool().optional().meta({ description: "Only wells with (true) or without (false) a techdoc_url" })
+});
+
+// A filter that only turns out invalid once converted (reported as a 400 by
+// the app's error handler, with the same shape as a zod flatten())
+export class FilterError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.field = field;
+  }
+}
+
+function oneOf(values) {
+  return values.length === 1 ? values[0] : { $in: values };
+}
+
+export function bboxQuery([minLon, minLat, maxLon, maxLat]) {
+  return {
+    $geoWithin: {
+      $box: [
+        [minLon, minLat],
+        [maxLon, maxLat]
+      ]
+    }
+  };
+}
+
+// Adds a location condition, keeping any that is already there (both must match)
+export function addLocation(query, condition) {
+  if (!query.location) return { ...query, location: condition };
+  return { ...query, $and: [...(query.$and ?? []), { location: condition }] };
+}
+
+// Turns parsed filterSchema output into a Mongo filter on the wells collection.
+// Throws FilterError when bbox or polygon fall outside what crs can convert.
+export function buildWellsFilter(f) {
+  let query = {};
+  const converted = !isWgs84(f.crs);
+
+  if (f.bbox) {
+    const bbox = bboxToWgs84(f.crs, f.bbox);
+    if (!bbox) {
+      throw new FilterError("bbox", "bbox is outside the range of crs");
+    }
+    query.location = bboxQuery(bbox);
+  }
+  if (f.polygon) {
+    // plain lon/lat past the edges is clamped instead
+    const ring = converted ? f.polygon.map(p => toWgs84Checked(f.crs, p)) : f.polygon;
+    if (ring.includes(null)) {
+      throw new FilterError("polygon", "polygon is outside the range of crs");
+    }
+    query = addLocation(query, { $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring.map(clampLonLat)] } } });
+  }
+  if (f.dls) {
+    query = addLocation(query, { $geoWithin: { $geometry: boundsPolygon(dlsBounds(f.dls)) } });
+  }
+  // any spelling of an operator matches all of its variants
+  if (f.company) query.company = oneOf(expandCompanies(f.company));
+  if (f.map_status) query.map_status = oneOf(f.map_status);
+  if (f.status) query.status = oneOf(f.status);
+  if (f.mineral_ri) query.mineral_ri = oneOf(f.mineral_ri);
+  if (f.deviation) query.deviation = oneOf(f.deviation);
+
+  if (f.status_date_from || f.status_date_to) {
+    query.status_date = {};
+    if (f.status_date_from) {
+      query.status_date.$gte = f.status_date_from + DATE_FLOOR.slice(f.status_date_from.length);
+    }
+    if (f.status_date_to) {
+      query.status_date.$lte = f.status_date_to + DATE_CEIL.slice(f.status_date_to.length);
+    }
+  }
+
+  if (f.licence_min != null || f.licence_max != null) {
+    query.licence = {};
+    if (f.licence_min != null) query.licence.$gte = f.licence_min;
+    if (f.licence_max != null) query.licence.$lte = f.licence_max;
+  }
+
+  if (f.has_techdoc != null) {
+    query.techdoc_url = f.has_techdoc
+      ? { $exists: true, $nin: [null, ""] }
+      : { $in: [null, ""] };
+  }
+
+  return query;
+}
@@ -0,0 +1,122 @@
+// Row serializers for /wells/geojson and the streaming /wells/export.
+// Each export format is written as head + row* + tail so nothing is buffered.
+// opts.crs reprojects GeoJSON/NDJSON geometry; CSV keeps lon/lat and KML is WGS84 by spec.
+// opts.fields (see fields.js) picks the properties/columns; everything by default.
+
+import { lonLatToDls } from "./dls.js";
+import { crsMember, geometryFromWgs84 } from "./crs.js";
+import { PRESETS, serializeWell } from "./fields.js";
+
+export function hasPoint(d) {
+  return d.location && d.location.type === "Point" && Array.isArray(d.location.coordinates);
+}
+
+// Properties are flat for GIS tools: the location is the geometry and dls is its label
+export function toFeature(d, fields = PRESETS.full) {
+  const { location, ...properties } = serializeWell(d, fields);
+  if ("dls" in properties) properties.dls = properties.dls?.label ?? null;
+  return { type: "Feature", id: String(d._id), geometry: d.location, properties };
+}
+
+// column -> the well field it comes from
+const CSV_COLUMNS = [
+  ["licence", "licence"],
+  ["name", "name"],
+  ["company", "company"],
+  ["map_status", "map_status"],
+  ["status", "status"],
+  ["status_date", "status_date"],
+  ["mineral_ri", "mineral_ri"],
+  ["deviation", "deviation"],
+  ["techdoc_url", "techdoc_url"],
+  ["lon", "location"],
+  ["lat", "location"],
+  ["easting", "easting"],
+  ["northing", "northing"],
+  ["dls", "dls"]
+];
+
+function csvColumns(fields = PRESETS.full) {
+  return CSV_COLUMNS.filter(([, field]) => fields.includes(field)).map(([column]) => column);
+}
+
+// Text that a spreadsheet would run as a formula ("=HYPERLINK(...)", "@SUM(...)")
+// gets a leading quote. Numbers are left alone, so negative longitudes stay numbers.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "string" && FORMULA_START.test(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function xmlEscape(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const KML_FIELDS = ["licence", "company", "map_status", "status", "status_date", "mineral_ri", "deviation", "techdoc_url", "dls"];
+
+export const exportFormats = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    ext: "csv",
+    head: (opts = {}) => csvColumns(opts.fields).join(",") + "\r\n",
+    row: (d, i, opts = {}) => {
+      const [lon, lat] = hasPoint(d) ? d.location.coordinates : [];
+      const rec = { ...d, lon, lat, dls: hasPoint(d) ? lonLatToDls(d.location.coordinates)?.label : null };
+      return csvColumns(opts.fields).map(c => csvCell(rec[c])).join(",") + "\r\n";
+    },
+    tail: () => ""
+  },
+
+  ndjson: {
+    contentType: "application/x-ndjson",
+    ext: "ndjson",
+    head: () => "",
+    row: (d, i, opts = {}) => {
+      const rec = serializeWell(d, opts.fields ?? PRESETS.full);
+      if (rec.location) rec.location = geometryFromWgs84(opts.crs, rec.location);
+      return JSON.stringify(rec) + "\n";
+    },
+    tail: () => ""
+  },
+
+  geojson: {
+    contentType: "application/geo+json",
+    ext: "geojson",
+    head: (opts = {}) => {
+      const crs = crsMember(opts.crs);
+      return `{"type":"FeatureCollection",${crs ? `"crs":${JSON.stringify(crs)},` : ""}"features":[\n`;
+    },
+    row: (d, i, opts = {}) => (i ? ",\n" : "") + JSON.stringify(geometryFromWgs84(opts.crs, toFeature(d, opts.fields))),
+    tail: () => "\n]}\n",
+    skip: (d) => !hasPoint(d)
+  },
+
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    ext: "kml",
+    head: () =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>Manitoba wells</name>\n',
+    row: (d, i, opts = {}) => {
+      const [lon, lat] = d.location.coordinates;
+      const rec = toFeature(d, opts.fields).properties;
+      const data = KML_FIELDS
+        .filter(f => rec[f] != null)
+        .map(f => `<Data name="${f}"><value>${xmlEscape(rec[f])}</value></Data>`)
+        .join("");
+      return (
+        `<Placemark id="${xmlEscape(String(d._id))}"><name>${xmlEscape(d.name ?? d.licence)}</name>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${lon},${lat}</coordinates></Point></Placemark>\n`
+      );
+    },
+    tail: () => "</Document>\n</kml>\n",
+    skip: (d) => !hasPoint(d)
+  }
+};
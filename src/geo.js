@@ -0,0 +1,340 @@
+import { z } from "zod";
+
+// Shared lon/lat geometry helpers. Coordinates are always [lon, lat] (WGS84).
+
+export function closeRingIfNeeded(ring) {
+  if (ring.length < 3) return ring;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  const same = first[0] === last[0] && first[1] === last[1];
+  return same ? ring : [...ring, first];
+}
+
+// NaN (from a projection that can't invert the point) fails too
+export function isLonLat([lon, lat]) {
+  return Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+}
+
+export function clampLonLat([lon, lat]) {
+  return [
+    Math.max(-180, Math.min(180, lon)),
+    Math.max(-90, Math.min(90, lat))
+  ];
+}
+
+export function haversineMeters(aLonLat, bLonLat) {
+  const R = 6371000; // meters
+  const toRad = (d) => (d * Math.PI) / 180;
+
+  const [lon1, lat1] = aLonLat;
+  const [lon2, lat2] = bLonLat;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+
+  const lat1r = toRad(lat1);
+  const lat2r = toRad(lat2);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1r) * Math.cos(lat2r) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// Initial great-circle bearing from a to b, degrees clockwise from north (0..360)
+export function bearingDegrees(aLonLat, bLonLat) {
+  const toRad = (d) => (d * Math.PI) / 180;
+
+  const [lon1, lat1] = aLonLat.map(toRad);
+  const [lon2, lat2] = bLonLat.map(toRad);
+
+  const y = Math.sin(lon2 - lon1) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+// Geodesic polygon area (m²) from lon/lat ring (closed)
+export function polygonAreaMeters2(ringLonLat) {
+  const R = 6378137; // meters
+  const toRad = (d) => (d * Math.PI) / 180;
+
+  let sum = 0;
+  for (let i = 0; i < ringLonLat.length - 1; i++) {
+    const [lon1, lat1] = ringLonLat[i];
+    const [lon2, lat2] = ringLonLat[i + 1];
+
+    const lon1r = toRad(lon1);
+    const lon2r = toRad(lon2);
+    const lat1r = toRad(lat1);
+    const lat2r = toRad(lat2);
+
+    sum += (lon2r - lon1r) * (2 + Math.sin(lat1r) + Math.sin(lat2r));
+  }
+  return Math.abs(sum) * (R * R) / 2;
+}
+
+// GeoJSON Polygon for a bounds box. Edges are densified so the geodesic edges
+// Mongo uses for 2dsphere queries stay close to the parallels.
+export function boundsPolygon([w, s, e, n], step = 1) {
+  const top = [];
+  const bottom = [];
+  const segments = Math.max(1, Math.ceil((e - w) / step));
+  for (let i = 0; i <= segments; i++) {
+    const lon = w + ((e - w) * i) / segments;
+    bottom.push([lon, s]);
+    top.unshift([lon, n]);
+  }
+  return { type: "Polygon", coordinates: [[...bottom, ...top, bottom[0]]] };
+}
+
+// Area of a Polygon or MultiPolygon with holes subtracted
+export function geometryAreaMeters2(geometry) {
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  let total = 0;
+  for (const [outer, ...holes] of polygons) {
+    total += polygonAreaMeters2(outer);
+    for (const hole of holes) total -= polygonAreaMeters2(hole);
+  }
+  return Math.max(0, total);
+}
+
+// ---- Area geometry input (Polygon / MultiPolygon / Feature / FeatureCollection) ----
+
+// Planar shoelace in degrees; only the sign matters (> 0 = counter-clockwise)
+function signedRingArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+}
+
+function orient(a, b, c) {
+  const v = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return v > 0 ? 1 : v < 0 ? -1 : 0;
+}
+
+function onSegment(a, b, p) {
+  return (
+    Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1])
+  );
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const d1 = orient(p3, p4, p1);
+  const d2 = orient(p3, p4, p2);
+  const d3 = orient(p1, p2, p3);
+  const d4 = orient(p1, p2, p4);
+  if (d1 !== d2 && d3 !== d4) return true;
+  if (d1 === 0 && onSegment(p3, p4, p1)) return true;
+  if (d2 === 0 && onSegment(p3, p4, p2)) return true;
+  if (d3 === 0 && onSegment(p1, p2, p3)) return true;
+  if (d4 === 0 && onSegment(p1, p2, p4)) return true;
+  return false;
+}
+
+export function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function pointInPolygon(point, [outer, ...holes]) {
+  return pointInRing(point, outer) && !holes.some(h => pointInRing(point, h));
+}
+
+// Works in any planar units; lon/lat callers clamp first
+function cleanRing(pts) {
+  // drop consecutive duplicates, they'd show up as zero-length segments
+  const out = pts.filter((p, i) => i === 0 || p[0] !== pts[i - 1][0] || p[1] !== pts[i - 1][1]);
+  return closeRingIfNeeded(out);
+}
+
+// Returns an error message, or null when the polygon is usable by $geoWithin.
+// Every segment is tested against every other segment of the polygon (all rings),
+// which is O(n²); callers cap the vertex count at MAX_AREA_VERTICES first.
+function polygonProblem(rings, label) {
+  for (let r = 0; r < rings.length; r++) {
+    const name = r === 0 ? `${label} exterior ring` : `${label} hole ${r}`;
+    if (rings[r].length < 4) return `${name} must have at least 3 distinct points`;
+  }
+
+  const segments = [];
+  rings.forEach((ring, r) => {
+    for (let i = 0; i < ring.length - 1; i++) segments.push({ r, i, n: ring.length - 1, a: ring[i], b: ring[i + 1] });
+  });
+
+  for (let s = 0; s < segments.length; s++) {
+    for (let t = s + 1; t < segments.length; t++) {
+      const A = segments[s];
+      const B = segments[t];
+      // neighbouring edges of the same ring share a vertex
+      if (A.r === B.r && (B.i === A.i + 1 || (A.i === 0 && B.i === A.n - 1))) continue;
+      if (segmentsIntersect(A.a, A.b, B.a, B.b)) {
+        return A.r === B.r
+          ? `${label} ring ${A.r} self-intersects (edges ${A.i} and ${B.i})`
+          : `${label} rings ${A.r} and ${B.r} intersect`;
+      }
+    }
+  }
+
+  for (let r = 0; r < rings.length; r++) {
+    if (signedRingArea(rings[r]) === 0) return `${label} ring ${r} has zero area`;
+  }
+
+  for (let r = 1; r < rings.length; r++) {
+    if (!pointInRing(rings[r][0], rings[0])) return `${label} hole ${r} is outside the exterior ring`;
+  }
+
+  return null;
+}
+
+// RFC 7946 winding: exterior counter-clockwise, holes clockwise
+function rewind(rings) {
+  return rings.map((ring, r) => {
+    const ccw = signedRingArea(ring) > 0;
+    return (r === 0) === ccw ? ring : [...ring].reverse();
+  });
+}
+
+// One polygon's rings cleaned, checked and rewound: { rings } or { problem }
+export function preparePolygon(rings, label = "Polygon") {
+  const cleaned = rings.map(cleanRing);
+  const problem = polygonProblem(cleaned, label);
+  return problem ? { problem } : { rings: rewind(cleaned) };
+}
+
+const position = z.tuple([z.number(), z.number()]).rest(z.number());
+const polygonCoords = z.array(z.array(position).min(3)).min(1);
+
+const polygonGeometry = z.object({ type: z.literal("Polygon"), coordinates: polygonCoords });
+const multiPolygonGeometry = z.object({ type: z.literal("MultiPolygon"), coordinates: z.array(polygonCoords).min(1) });
+const areaGeometry = z.discriminatedUnion("type", [polygonGeometry, multiPolygonGeometry]);
+
+const areaFeature = z.object({ type: z.literal("Feature"), geometry: areaGeometry });
+
+// Across every ring of every polygon. Keeps the O(n²) intersection test in
+// polygonProblem to a few milliseconds; simplify bigger outlines first.
+export const MAX_AREA_VERTICES = 2000;
+
+// Raw GeoJSON geometry, Feature or FeatureCollection of (Multi)Polygons.
+// The original { coordinates: [[...]] } body (no type) is still read as a Polygon.
+// Output is a validated, rewound { type: "Polygon" | "MultiPolygon", coordinates }.
+export const areaGeometrySchema = z
+  .union([
+    areaGeometry,
+    areaFeature,
+    z.object({ type: z.literal("FeatureCollection"), features: z.array(areaFeature).min(1) }),
+    z.object({ type: z.undefined(), coordinates: polygonCoords })
+  ])
+  .transform((input, ctx) => {
+    let polygons;
+    if (input.type === "FeatureCollection") {
+      polygons = input.features.flatMap(f =>
+        f.geometry.type === "MultiPolygon" ? f.geometry.coordinates : [f.geometry.coordinates]
+      );
+    } else {
+      const g = input.type === "Feature" ? input.geometry : input;
+      polygons = g.type === "MultiPolygon" ? g.coordinates : [g.coordinates];
+    }
+
+    const vertices = polygons.reduce((n, rings) => n + rings.reduce((m, ring) => m + ring.length, 0), 0);
+    if (vertices > MAX_AREA_VERTICES) {
+      ctx.addIssue({ code: "custom", message: `Polygon has ${vertices} vertices; at most ${MAX_AREA_VERTICES} are allowed` });
+      return z.NEVER;
+    }
+
+    const cleaned = [];
+    for (let p = 0; p < polygons.length; p++) {
+      const rings = polygons[p].map(ring => ring.map(clampLonLat));
+      const { problem, rings: prepared } = preparePolygon(rings, polygons.length > 1 ? `Polygon ${p}` : "Polygon");
+      if (problem) {
+        ctx.addIssue({ code: "custom", message: problem });
+        return z.NEVER;
+      }
+      cleaned.push(prepared);
+    }
+
+    return cleaned.length === 1
+      ? { type: "Polygon", coordinates: cleaned[0] }
+      : { type: "MultiPolygon", coordinates: cleaned };
+  })
+  .meta({ id: "AreaGeometry", description: "GeoJSON Polygon or MultiPolygon, as a geometry, Feature or FeatureCollection" });
+
+// ---- Distance from a point to lines and areas ----
+
+// Closest point on segment a-b to p. t is solved in a local equirectangular frame
+// around p (accurate at corridor scales); the distance itself is haversine.
+export function pointToSegment(p, a, b) {
+  const k = Math.cos((p[1] * Math.PI) / 180);
+  const ax = (a[0] - p[0]) * k;
+  const ay = a[1] - p[1];
+  const dx = (b[0] - a[0]) * k;
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+  const closest = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+  return { distance_m: haversineMeters(p, closest), t, closest };
+}
+
+// Distance to a LineString plus how far along it (from its first vertex) the closest point is
+export function nearestOnLine(p, line) {
+  let best = { distance_m: Infinity, along_m: 0 };
+  let walked = 0;
+  for (let i = 0; i < line.length - 1; i++) {
+    const segLen = haversineMeters(line[i], line[i + 1]);
+    const hit = pointToSegment(p, line[i], line[i + 1]);
+    if (hit.distance_m < best.distance_m) {
+      best = { distance_m: hit.distance_m, along_m: walked + hit.t * segLen };
+    }
+    walked += segLen;
+  }
+  return best;
+}
+
+// 0 inside the area, otherwise the distance to the nearest ring edge
+export function distanceToArea(p, geometry) {
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  if (polygons.some(poly => pointInPolygon(p, poly))) return 0;
+
+  let best = Infinity;
+  for (const poly of polygons) {
+    for (const ring of poly) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        best = Math.min(best, pointToSegment(p, ring[i], ring[i + 1]).distance_m);
+      }
+    }
+  }
+  return best;
+}
+
+// [w, s, e, n] of a set of positions grown by `meters` on every side
+export function bufferedBounds(positions, meters) {
+  let [w, s, e, n] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [lon, lat] of positions) {
+    w = Math.min(w, lon);
+    e = Math.max(e, lon);
+    s = Math.min(s, lat);
+    n = Math.max(n, lat);
+  }
+  const dLat = meters / 111320;
+  const maxLat = Math.min(89, Math.max(Math.abs(s), Math.abs(n)) + dLat);
+  const dLon = meters / (111320 * Math.cos((maxLat * Math.PI) / 180));
+  return [
+    Math.max(-180, w - dLon),
+    Math.max(-90, s - dLat),
+    Math.min(180, e + dLon),
+    Math.min(90, n + dLat)
+  ];
+}
+
+export const lineStringSchema = z
+  .object({ type: z.literal("LineString"), coordinates: z.array(position).min(2).max(10000) })
+  .transform(g => ({ type: "LineString", coordinates: g.coordinates.map(clampLonLat) }));
@@ -0,0 +1,66 @@
+import { fromWgs84, toWgs84 } from "./crs.js";
+
+// Hexagon / square binning for density maps. Cells are laid out in UTM 14N
+// metres (the zone most of Manitoba sits in) so a cell is the same size
+// everywhere, then their outlines are converted back to lon/lat.
+
+const GRID_CRS = "EPSG:26914";
+const SQRT3 = Math.sqrt(3);
+
+// Pointy-top axial hex coordinates, `radius` = centre-to-corner distance
+function hexKey(x, y, radius) {
+  const q = ((SQRT3 / 3) * x - y / 3) / radius;
+  const r = ((2 / 3) * y) / radius;
+
+  // cube rounding
+  let rx = Math.round(q);
+  let rz = Math.round(r);
+  const ry = Math.round(-q - r);
+  const dx = Math.abs(rx - q);
+  const dy = Math.abs(ry - (-q - r));
+  const dz = Math.abs(rz - r);
+  if (dx > dy && dx > dz) rx = -ry - rz;
+  else if (dy <= dz) rz = -rx - ry;
+
+  return [rx, rz];
+}
+
+function hexRing([q, r], radius) {
+  const cx = radius * SQRT3 * (q + r / 2);
+  const cy = radius * 1.5 * r;
+  const ring = [];
+  for (let i = 0; i < 6; i++) {
+    const a = (Math.PI / 180) * (60 * i - 30);
+    ring.push([cx + radius * Math.cos(a), cy + radius * Math.sin(a)]);
+  }
+  return [...ring, ring[0]];
+}
+
+function squareRing([i, j], size) {
+  const x = i * size;
+  const y = j * size;
+  return [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+}
+
+// points: [{ coords: [lon, lat], ...anything }] -> [{ id, polygon (WGS84), items }]
+// size is the cell width in metres for both shapes: a square's side, or the
+// distance between a hexagon's opposite edges (its corners are size/√3 out)
+export function binPoints(points, { shape, size }) {
+  const cells = new Map();
+  const radius = size / SQRT3;
+
+  for (const p of points) {
+    const [x, y] = fromWgs84(GRID_CRS, p.coords);
+    const key = shape === "hex" ? hexKey(x, y, radius) : [Math.floor(x / size), Math.floor(y / size)];
+    const id = `${shape}:${size}:${key[0]}:${key[1]}`;
+
+    let cell = cells.get(id);
+    if (!cell) cells.set(id, (cell = { id, key, items: [] }));
+    cell.items.push(p);
+  }
+
+  return [...cells.values()].map(({ id, key, items }) => {
+    const ring = (shape === "hex" ? hexRing(key, radius) : squareRing(key, size)).map(xy => toWgs84(GRID_CRS, xy));
+    return { id, polygon: { type: "Polygon", coordinates: [ring] }, items };
+  });
+}
@@ -0,0 +1,115 @@
+import { z } from "zod";
+import { wellChangesCol } from "./db.js";
+import { INGEST_FIELDS } from "./ingest.js";
+
+// Versioned change log per licence, written whenever an ingest is applied.
+// One document per well per release that touched it:
+//   { licence, version, kind, fields, changes: { field: { from, to } }, run_id, recorded_at }
+// kind is "added", "changed" or "removed"; version counts up from 1 per licence.
+// Added wells log their non-null fields as from: null, removed wells the reverse,
+// so replaying a licence's entries in version order rebuilds every snapshot.
+// Wells loaded before tracking began start at their first change.
+
+export const CHANGE_KINDS = ["added", "changed", "removed"];
+
+const TRACKED_FIELDS = INGEST_FIELDS.filter(f => f !== "licence");
+
+const fieldListDescription = `Comma list of: ${TRACKED_FIELDS.join(", ")}`;
+
+// ?field=map_status,status keeps entries that touched any of those fields
+export const changeFieldParam = z.string().meta({ description: fieldListDescription }).transform((s, ctx) => {
+  const fields = s.split(",").map(f => f.trim()).filter(Boolean);
+  const unknown = fields.filter(f => !TRACKED_FIELDS.includes(f));
+  if (!fields.length || unknown.length) {
+    ctx.addIssue({ code: "custom", message: `field must be a comma list of: ${TRACKED_FIELDS.join(", ")}` });
+    return z.NEVER;
+  }
+  return fields;
+});
+
+function snapshotChanges(doc, direction) {
+  const changes = {};
+  for (const f of TRACKED_FIELDS) {
+    if (doc[f] == null) continue;
+    changes[f] = direction === "in" ? { from: null, to: doc[f] } : { from: doc[f], to: null };
+  }
+  return changes;
+}
+
+async function latestVersions(licences) {
+  if (!licences.length) return new Map();
+  const rows = await wellChangesCol().aggregate([
+    { $match: { licence: { $in: licences } } },
+    { $group: { _id: "$licence", version: { $max: "$version" } } }
+  ]).toArray();
+  return new Map(rows.map(r => [r._id, r.version]));
+}
+
+// Concurrent ingests can pick the same next version for a licence; the unique
+// { licence, version } index (see db.js) rejects the loser, which tries again
+const MAX_VERSION_ATTEMPTS = 5;
+const DUPLICATE_KEY = 11000;
+
+// Next versions on top of what is stored; a licence may appear more than once
+async function versioned(entries) {
+  const versions = await latestVersions([...new Set(entries.map(e => e.licence))]);
+  return entries.map(e => {
+    const version = (versions.get(e.licence) ?? 0) + 1;
+    versions.set(e.licence, version);
+    return { ...e, version };
+  });
+}
+
+// added: incoming records; changed: [{ licence, changes }] (see changedFields);
+// removed: the documents being deleted
+export async function recordChanges({ added = [], changed = [], removed = [] }, { runId, recordedAt = new Date() }) {
+  let pending = [
+    ...added.map(r => ({ licence: r.licence, kind: "added", changes: snapshotChanges(r, "in") })),
+    ...changed.map(c => ({ licence: c.licence, kind: "changed", changes: c.changes })),
+    ...removed.map(d => ({ licence: d.licence, kind: "removed", changes: snapshotChanges(d, "out") }))
+  ];
+  const total = pending.length;
+
+  for (let attempt = 1; pending.length; attempt++) {
+    const docs = (await versioned(pending)).map(e => ({
+      licence: e.licence,
+      version: e.version,
+      kind: e.kind,
+      fields: Object.keys(e.changes),
+      changes: e.changes,
+      run_id: runId,
+      recorded_at: recordedAt
+    }));
+
+    try {
+      await wellChangesCol().insertMany(docs);
+      pending = [];
+    } catch (err) {
+      // Ordered, so everything before the rejected entry went in; retrying the
+      // rest in order keeps a licence's versions in the order of its changes
+      const [failed] = [].concat(err.writeErrors ?? []);
+      if (failed?.code !== DUPLICATE_KEY || attempt >= MAX_VERSION_ATTEMPTS) throw err;
+      pending = pending.slice(failed.index);
+    }
+  }
+
+  return total;
+}
+
+// Response shape of serializeChange, for the OpenAPI spec
+export const changeSchema = z
+  .object({
+    _id: z.string(),
+    licence: z.number().int(),
+    version: z.number().int(),
+    kind: z.enum(CHANGE_KINDS),
+    fields: z.array(z.string()),
+    changes: z.record(z.string(), z.object({ from: z.unknown(), to: z.unknown() })),
+    run_id: z.string().nullable(),
+    recorded_at: z.iso.datetime()
+  })
+  .meta({ id: "WellChange" });
+
+export function serializeChange({ _id, run_id, ...entry }) {
+  return { _id: String(_id), ...entry, run_id: run_id == null ? null : String(run_id) };
+}
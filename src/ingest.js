@@ -0,0 +1,198 @@
+import { z } from "zod";
+import { toWgs84, geometryToWgs84 } from "./crs.js";
+import { clampLonLat } from "./geo.js";
+
+// Turns a provincial well data release (CSV, or GeoJSON exported from the
+// shapefile) into validated well records, and diffs them against the
+// collection. Source columns are matched case-insensitively, including the
+// 10-character names shapefile DBFs truncate to (MINERAL_RI, TECHDOC_UR).
+
+// Fields owned by the data release; anything else on a document is left alone
+export const INGEST_FIELDS = [
+  "licence",
+  "name",
+  "company",
+  "map_status",
+  "status",
+  "status_date",
+  "mineral_ri",
+  "deviation",
+  "techdoc_url",
+  "easting",
+  "northing",
+  "location"
+];
+
+const COLUMN_ALIASES = {
+  licence: ["licence", "license", "licence_no", "lic_no", "well_licence", "wellicence"],
+  name: ["name", "well_name", "wellname"],
+  company: ["company", "operator", "licensee", "licencee"],
+  map_status: ["map_status", "mapstatus", "map_stat"],
+  status: ["status", "well_status"],
+  status_date: ["status_date", "status_dat", "statusdate"],
+  mineral_ri: ["mineral_ri", "mineral_rights", "mineral_rig"],
+  deviation: ["deviation", "deviated"],
+  techdoc_url: ["techdoc_url", "techdoc_ur", "techdoc"],
+  easting: ["easting", "utm_e", "x_utm"],
+  northing: ["northing", "utm_n", "y_utm"],
+  lon: ["lon", "long", "longitude"],
+  lat: ["lat", "latitude"]
+};
+
+const COLUMN_LOOKUP = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, names]) => names.map(n => [n, field]))
+);
+
+function canonicalColumn(name) {
+  return COLUMN_LOOKUP.get(String(name).trim().toLowerCase().replace(/[\s.-]+/g, "_")) ?? null;
+}
+
+// ---- CSV (RFC 4180: quoted fields, "" escapes, CRLF or LF) ----
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// Raw source rows keyed by our field names; unknown columns are dropped
+export function rowsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const fields = header.map(canonicalColumn);
+  return rows.map(cells => {
+    const raw = {};
+    fields.forEach((f, i) => {
+      if (f) raw[f] = cells[i];
+    });
+    return raw;
+  });
+}
+
+// Feature properties become fields; a Point geometry (in `crs`) supplies lon/lat
+export function rowsFromGeoJson(body, crs) {
+  const features = body?.type === "FeatureCollection" ? body.features : body?.type === "Feature" ? [body] : null;
+  if (!Array.isArray(features)) return null;
+
+  return features.map(f => {
+    const raw = {};
+    for (const [k, v] of Object.entries(f?.properties ?? {})) {
+      const field = canonicalColumn(k);
+      if (field) raw[field] = v;
+    }
+    const geom = f?.geometry?.type === "Point" ? geometryToWgs84(crs, f.geometry) : null;
+    if (geom) [raw.lon, raw.lat] = geom.coordinates;
+    return raw;
+  });
+}
+
+// ---- Validation ----
+
+const blankToNull = (v) => (v == null || (typeof v === "string" && v.trim() === "") ? null : v);
+
+const text = z.preprocess(v => (blankToNull(v) == null ? null : String(v).trim()), z.string().max(500).nullable());
+const num = z.preprocess(v => (blankToNull(v) == null ? null : Number(v)), z.number().finite().nullable());
+
+// Stored as "YYYY-MM-DD HH:MM:SS" (what the filters compare against).
+// Accepts that, a bare date, ISO 8601 or YYYY/MM/DD.
+const statusDate = z.preprocess(blankToNull, z.union([z.string(), z.number(), z.null()])).transform((v, ctx) => {
+  if (v == null) return null;
+  const m = /^(\d{4})[-/](\d{2})[-/](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(v).trim());
+  if (!m) {
+    ctx.addIssue({ code: "custom", message: "status_date must be YYYY-MM-DD[ HH:MM:SS]" });
+    return z.NEVER;
+  }
+  const [, y, mo, d, h = "00", mi = "00", s = "00"] = m;
+  return `${y}-${mo}-${d} ${h}:${mi}:${s}`;
+});
+
+const rawRecordSchema = z.object({
+  licence: z.preprocess(v => (blankToNull(v) == null ? undefined : Number(v)), z.number().int().positive()),
+  name: text.optional(),
+  company: text.optional(),
+  map_status: text.optional(),
+  status: text.optional(),
+  status_date: statusDate.optional(),
+  mineral_ri: text.optional(),
+  deviation: text.optional(),
+  techdoc_url: z.preprocess(blankToNull, z.url().nullable()).optional(),
+  easting: num.optional(),
+  northing: num.optional(),
+  lon: num.optional(),
+  lat: num.optional()
+});
+
+// A well document (INGEST_FIELDS only). Location comes from lon/lat, else from
+// easting/northing in `enCrs` (UTM 14N NAD83 in the provincial releases).
+export function toWellRecord(raw, enCrs) {
+  const parsed = rawRecordSchema.safeParse(raw);
+  if (!parsed.success) return { error: parsed.error.flatten() };
+
+  const { lon, lat, ...r } = parsed.data;
+  let coords = null;
+  if (lon != null && lat != null) coords = [lon, lat];
+  else if (r.easting != null && r.northing != null) coords = toWgs84(enCrs, [r.easting, r.northing]);
+
+  if (coords && (Math.abs(coords[0]) > 180 || Math.abs(coords[1]) > 90)) {
+    return { error: { formErrors: ["location is outside lon/lat range; check the crs parameters"], fieldErrors: {} } };
+  }
+
+  const record = {};
+  for (const f of INGEST_FIELDS) if (f !== "location") record[f] = r[f] ?? null;
+  record.location = coords ? { type: "Point", coordinates: clampLonLat(coords.map(c => Math.round(c * 1e7) / 1e7)) } : null;
+  return { record };
+}
+
+// ---- Diff ----
+
+function sameValue(a, b) {
+  if (a?.type === "Point" || b?.type === "Point") {
+    const [ax, ay] = a?.coordinates ?? [];
+    const [bx, by] = b?.coordinates ?? [];
+    return Math.abs(ax - bx) < 1e-6 && Math.abs(ay - by) < 1e-6; // ~10 cm
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+// Field-level changes from an existing document to an incoming record
+export function changedFields(existing, record) {
+  const changes = {};
+  for (const f of INGEST_FIELDS) {
+    if (!sameValue(existing[f], record[f])) changes[f] = { from: existing[f] ?? null, to: record[f] };
+  }
+  return changes;
+}
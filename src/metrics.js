@@ -0,0 +1,18 @@
+// Herfindahl–Hirschman index of market concentration: the sum of squared
+// shares, 0 (fragmented) .. 1 (a single company). counts is an iterable of counts.
+export function hhi(counts) {
+  const values = [...counts];
+  const total = values.reduce((a, b) => a + b, 0);
+  if (!total) return null;
+  return values.reduce((sum, c) => sum + (c / total) ** 2, 0);
+}
+
+// Map of value -> occurrences, with missing values counted as "Unknown"
+export function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item) ?? "Unknown";
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return counts;
+}
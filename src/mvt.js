@@ -0,0 +1,108 @@
+import { PbfWriter } from "pbf";
+
+// Minimal Mapbox Vector Tile (v2) encoder and tile math for point layers.
+// Spec: https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+
+export const TILE_EXTENT = 4096;
+
+function tile2lon(x, z) {
+  return (x / 2 ** z) * 360 - 180;
+}
+
+function tile2lat(y, z) {
+  const n = Math.PI * (1 - (2 * y) / 2 ** z);
+  return (Math.atan(Math.sinh(n)) * 180) / Math.PI;
+}
+
+// [west, south, east, north] of tile z/x/y, grown by `buffer` tile units on each side
+export function tileBounds(z, x, y, buffer = 0) {
+  const pad = buffer / TILE_EXTENT;
+  return [
+    Math.max(-180, tile2lon(x - pad, z)),
+    Math.max(-85.0511, tile2lat(y + 1 + pad, z)),
+    Math.min(180, tile2lon(x + 1 + pad, z)),
+    Math.min(85.0511, tile2lat(y - pad, z))
+  ];
+}
+
+// lon/lat -> integer coordinates inside tile z/x/y (0..TILE_EXTENT, may spill into the buffer)
+export function projectToTile([lon, lat], z, x, y) {
+  const scale = 2 ** z;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  const wx = ((lon + 180) / 360) * scale;
+  const wy = (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale;
+  return [Math.round((wx - x) * TILE_EXTENT), Math.round((wy - y) * TILE_EXTENT)];
+}
+
+// projectToTile as an aggregation expression over a [lon, lat] field, so points
+// can be bucketed server-side. Latitude is clamped to the Web Mercator limit.
+export function tileProjectionExpr(coordinates, z, x, y) {
+  const scale = 2 ** z;
+  const lon = { $arrayElemAt: [coordinates, 0] };
+  const lat = { $min: [85.0511, { $max: [-85.0511, { $arrayElemAt: [coordinates, 1] }] }] };
+  const sin = { $sin: { $degreesToRadians: lat } };
+  const wx = { $multiply: [{ $divide: [{ $add: [lon, 180] }, 360] }, scale] };
+  const wy = {
+    $multiply: [
+      { $subtract: [0.5, { $divide: [{ $ln: { $divide: [{ $add: [1, sin] }, { $subtract: [1, sin] }] } }, 4 * Math.PI] }] },
+      scale
+    ]
+  };
+  return {
+    x: { $round: [{ $multiply: [{ $subtract: [wx, x] }, TILE_EXTENT] }, 0] },
+    y: { $round: [{ $multiply: [{ $subtract: [wy, y] }, TILE_EXTENT] }, 0] }
+  };
+}
+
+function zigzag(n) {
+  return (n << 1) ^ (n >> 31);
+}
+
+function writeValue(v, pbf) {
+  if (typeof v === "string") pbf.writeStringField(1, v);
+  else if (typeof v === "boolean") pbf.writeBooleanField(7, v);
+  else if (Number.isInteger(v)) v < 0 ? pbf.writeSVarintField(6, v) : pbf.writeVarintField(5, v);
+  else pbf.writeDoubleField(3, v);
+}
+
+function writeFeature(ctx, pbf) {
+  const { feature, keyIndex, valueIndex } = ctx;
+  if (feature.id != null) pbf.writeVarintField(1, feature.id);
+
+  const tags = [];
+  for (const [k, v] of Object.entries(feature.properties)) {
+    if (v == null) continue;
+    if (!keyIndex.has(k)) keyIndex.set(k, keyIndex.size);
+    const vk = `${typeof v}:${v}`;
+    if (!valueIndex.has(vk)) valueIndex.set(vk, { i: valueIndex.size, v });
+    tags.push(keyIndex.get(k), valueIndex.get(vk).i);
+  }
+  pbf.writePackedVarint(2, tags);
+
+  pbf.writeVarintField(3, 1); // POINT
+  // MoveTo (command 1) x 1 point
+  pbf.writePackedVarint(4, [(1 & 0x7) | (1 << 3), zigzag(feature.x), zigzag(feature.y)]);
+}
+
+function writeLayer({ name, features }, pbf) {
+  const keyIndex = new Map();
+  const valueIndex = new Map();
+
+  pbf.writeVarintField(15, 2);
+  pbf.writeStringField(1, name);
+  for (const feature of features) {
+    pbf.writeMessage(2, writeFeature, { feature, keyIndex, valueIndex });
+  }
+  for (const k of keyIndex.keys()) pbf.writeStringField(3, k);
+  for (const { v } of valueIndex.values()) pbf.writeMessage(4, writeValue, v);
+  pbf.writeVarintField(5, TILE_EXTENT);
+}
+
+// layers: { [name]: [{ id?, x, y, properties }] } with x/y from projectToTile
+export function encodeTile(layers) {
+  const pbf = new PbfWriter();
+  for (const [name, features] of Object.entries(layers)) {
+    if (features.length) pbf.writeMessage(3, writeLayer, { name, features });
+  }
+  return Buffer.from(pbf.finish());
+}
@@ -0,0 +1,268 @@
+import { z } from "zod";
+import { readFileSync } from "node:fs";
+import { SCOPES } from "./apikeys.js";
+import { ANONYMOUS_SCOPES } from "./auth.js";
+
+// OpenAPI 3.1 document built from the same zod schemas the handlers validate
+// with. Each router registers its operations next to the routes themselves:
+//
+//   const describe = describeRoutes("/stats", { tag: "Stats", scope: "read" });
+//   describe("get", "/status", { summary, query: statusQuery, response: statusResponse });
+//
+// query/params/body are request schemas (converted on their input side, so
+// coerced numbers, defaults and cursor strings read as clients send them);
+// responses are converted on their output side. Schemas given a .meta({ id })
+// become shared components.
+
+const pkg = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+const operations = [];
+
+export function describeRoutes(prefix, defaults = {}) {
+  return (method, path, op) => {
+    operations.push({ ...defaults, ...op, method, path: path === "/" ? prefix : prefix + path });
+  };
+}
+
+// ---- Shared response pieces ----
+
+export const errorSchema = z
+  .object({ error: z.string(), details: z.unknown().optional() })
+  .meta({ id: "Error" });
+
+export function pageOf(item, extra = {}) {
+  return z.object({
+    ...extra,
+    count: z.number().int(),
+    results: z.array(item),
+    next_cursor: z.string().nullable().meta({ description: "Pass as ?cursor= for the next page" }),
+    next: z.string().nullable().meta({ description: "Relative URL of the next page" })
+  });
+}
+
+export const pointSchema = z
+  .object({ type: z.literal("Point"), coordinates: z.tuple([z.number(), z.number()]) })
+  .meta({ id: "Point" });
+
+export const geometrySchema = z
+  .object({ type: z.string(), coordinates: z.array(z.unknown()) })
+  .meta({ id: "Geometry", description: "GeoJSON geometry" });
+
+export function featureCollectionOf(properties = z.record(z.string(), z.unknown()), extra = {}) {
+  return z.object({
+    type: z.literal("FeatureCollection"),
+    ...extra,
+    features: z.array(
+      z.object({
+        type: z.literal("Feature"),
+        id: z.union([z.string(), z.number()]).optional(),
+        geometry: geometrySchema.nullable(),
+        properties
+      })
+    )
+  });
+}
+
+// ---- Spec ----
+
+const SECURITY_SCHEMES = {
+  ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+  ApiKeyQuery: { type: "apiKey", in: "query", name: "api_key", description: "For URLs that can't carry headers, e.g. map tiles" },
+  Bearer: { type: "http", scheme: "bearer", description: "An API key, or the ADMIN_TOKEN" }
+};
+
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid query, path or body",
+  401: "Missing or invalid credentials",
+  403: "The API key lacks the required scope or origin",
+  404: "Not found",
+  429: "Rate limit or daily quota exceeded"
+};
+
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+// Schemas with a .meta({ id }) become components and are referenced by $ref.
+// The same id converted on both sides (input vs output) keeps both, the input
+// one suffixed. Response objects stay open to additional properties so fields
+// added later don't break generated clients.
+function convert(schema, io, components) {
+  const json = z.toJSONSchema(schema, { io, unrepresentable: "any", target: "draft-2020-12" });
+  delete json.$schema;
+
+  const defs = json.$defs ?? {};
+  delete json.$defs;
+  const rootId = schema.meta()?.id;
+
+  const tidy = (node) => {
+    if (Array.isArray(node)) return node.forEach(tidy);
+    if (!node || typeof node !== "object") return;
+    if (typeof node.id === "string") delete node.id;
+    if (io === "output" && node.additionalProperties === false) delete node.additionalProperties;
+    Object.values(node).forEach(tidy);
+  };
+
+  // Refs are pointed at components first so defs compare equal across conversions,
+  // then repointed at any renamed ones
+  const relink = (node, to) => {
+    if (Array.isArray(node)) return node.forEach(n => relink(n, to));
+    if (!node || typeof node !== "object") return;
+    if (typeof node.$ref === "string") node.$ref = to(node.$ref);
+    Object.values(node).forEach(n => relink(n, to));
+  };
+  const all = [json, ...Object.values(defs)];
+  all.forEach(tidy);
+  all.forEach(n => relink(n, ref => ref.replace("#/$defs/", "#/components/schemas/")));
+
+  const rename = {};
+  const register = (id, def) => {
+    const name = components[id] && JSON.stringify(components[id]) !== JSON.stringify(def) ? `${id}Input` : id;
+    rename[id] = name;
+  };
+  for (const [id, def] of Object.entries(defs)) register(id, def);
+  if (rootId) register(rootId, json);
+  all.forEach(n => relink(n, ref => {
+    const id = ref.slice("#/components/schemas/".length);
+    return rename[id] ? `#/components/schemas/${rename[id]}` : ref;
+  }));
+  for (const [id, def] of Object.entries(defs)) components[rename[id]] = def;
+
+  if (!rootId) return json;
+  components[rename[rootId]] = json;
+  return { $ref: `#/components/schemas/${rename[rootId]}` };
+}
+
+function parametersFrom(schema, location, components) {
+  const json = convert(schema, "input", components);
+  const required = new Set(json.required ?? []);
+  return Object.entries(json.properties ?? {}).map(([name, prop]) => {
+    const { description, ...rest } = prop;
+    return {
+      name,
+      in: location,
+      required: location === "path" || required.has(name),
+      ...(description && { description }),
+      schema: rest
+    };
+  });
+}
+
+function securityFor(scope) {
+  if (!scope) return [];
+  const keyed = Object.keys(SECURITY_SCHEMES).map(name => ({ [name]: [] }));
+  return ANONYMOUS_SCOPES.includes(scope) ? [{}, ...keyed] : keyed;
+}
+
+function responseEntry(value, components) {
+  if (value === null) return { description: "No content" };
+  if (value instanceof z.ZodType) {
+    return { description: value.meta()?.description ?? "OK", content: { "application/json": { schema: convert(value, "output", components) } } };
+  }
+  // { description, content: { "<media type>": zodSchema } }
+  const content = value.content
+    ? Object.fromEntries(
+      Object.entries(value.content).map(([type, s]) => [type, { schema: s ? convert(s, "output", components) : {} }])
+    )
+    : undefined;
+  return { description: value.description ?? "OK", ...(content && { content }) };
+}
+
+function buildOperation(op, components) {
+  const parameters = [];
+  const pathNames = [...op.path.matchAll(/:(\w+)/g)].map(m => m[1]);
+  const pathParams = op.params ? parametersFrom(op.params, "path", components) : [];
+  for (const name of pathNames) {
+    parameters.push(pathParams.find(p => p.name === name) ?? { name, in: "path", required: true, schema: { type: "string" } });
+  }
+  if (op.query) parameters.push(...parametersFrom(op.query, "query", components));
+
+  const responses = {};
+  for (const [status, value] of Object.entries(op.responses ?? { 200: op.response ?? z.unknown() })) {
+    responses[status] = responseEntry(value, components);
+  }
+
+  // Every JSON GET carries a strong ETag
+  if (op.method === "get") responses[304] ??= { description: "Not modified (If-None-Match matched the ETag)" };
+
+  const errors = new Set(op.errors ?? []);
+  if (op.query || op.body || op.params) errors.add(400);
+  if (op.scope) {
+    errors.add(401);
+    errors.add(403);
+  }
+  errors.add(429);
+  for (const status of [...errors].sort()) {
+    responses[status] ??= {
+      description: ERROR_DESCRIPTIONS[status],
+      content: { "application/json": { schema: convert(errorSchema, "output", components) } }
+    };
+  }
+
+  let requestBody;
+  if (op.body) {
+    const content = op.body instanceof z.ZodType ? { "application/json": op.body } : op.body;
+    requestBody = {
+      required: true,
+      content: Object.fromEntries(Object.entries(content).map(([type, s]) => [type, { schema: convert(s, "input", components) }]))
+    };
+  }
+
+  return {
+    operationId: op.operationId,
+    tags: op.tag ? [op.tag] : undefined,
+    summary: op.summary,
+    description: op.description,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody,
+    responses,
+    security: securityFor(op.scope),
+    ...(op.scope && { "x-scope": op.scope })
+  };
+}
+
+// camelCase from method + path: get /wells/licence/:licence -> getWellsLicenceByLicence
+function defaultOperationId(method, path) {
+  const words = path
+    .split("/")
+    .filter(Boolean)
+    .map(seg => (seg.startsWith(":") ? `by-${seg.slice(1)}` : seg))
+    .join("-")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  return method + words.map(w => w[0].toUpperCase() + w.slice(1)).join("");
+}
+
+let spec = null;
+
+// Built on first request, once every router module has registered
+export function openApiSpec() {
+  if (spec) return spec;
+
+  const components = {};
+
+  const paths = {};
+  for (const op of operations) {
+    const path = openApiPath(op.path);
+    paths[path] ??= {};
+    paths[path][op.method] = buildOperation(
+      { ...op, operationId: op.operationId ?? defaultOperationId(op.method, op.path) },
+      components
+    );
+  }
+
+  // Round-tripped to drop the keys left undefined above
+  spec = JSON.parse(JSON.stringify({
+    openapi: "3.1.0",
+    info: {
+      title: "Manitoba wells API",
+      version: pkg.version,
+      description:
+        "Manitoba oil and gas wells: search, spatial queries, statistics and exports. " +
+        `API key scopes: ${SCOPES.join(", ")} (admin implies the others).`
+    },
+    paths,
+    components: { schemas: components, securitySchemes: SECURITY_SCHEMES }
+  }));
+  return spec;
+}
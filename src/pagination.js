@@ -0,0 +1,80 @@
+import { z } from "zod";
+import { ObjectId } from "mongodb";
+
+// Cursors are opaque to clients: base64url JSON tagged with the kind of keyset
+// they belong to, so a cursor from one endpoint can't be replayed on another.
+
+const objectIdHex = z.string().regex(/^[0-9a-f]{24}$/);
+
+const idCursor = z.object({ k: z.literal("id"), id: objectIdHex });
+
+// $near results are ordered by distance, so we resume from the last distance
+// and skip the ids already returned at exactly that distance (co-located wells).
+const nearCursor = z.object({ k: z.literal("near"), d: z.number().min(0), ids: z.array(objectIdHex) });
+
+// Ranked (relevance-ordered) results page by offset into the ranking
+const rankCursor = z.object({ k: z.literal("rank"), o: z.number().int().min(0) });
+
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function cursorParam(shape) {
+  return z.string().transform((s, ctx) => {
+    let raw;
+    try {
+      raw = JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
+    } catch {
+      raw = null;
+    }
+    const parsed = shape.safeParse(raw);
+    if (!parsed.success) {
+      ctx.addIssue({ code: "custom", message: "Invalid cursor" });
+      return z.NEVER;
+    }
+    return parsed.data;
+  }).meta({ description: "next_cursor from the previous page" });
+}
+
+export const idCursorParam = cursorParam(idCursor);
+export const nearCursorParam = cursorParam(nearCursor);
+export const rankCursorParam = cursorParam(rankCursor);
+
+export function afterId(cursor) {
+  return cursor ? { _id: { $gt: new ObjectId(cursor.id) } } : {};
+}
+
+export function idCursorFor(page) {
+  return { k: "id", id: String(page[page.length - 1]._id) };
+}
+
+export function rankCursorFor(offset) {
+  return (page) => ({ k: "rank", o: offset + page.length });
+}
+
+// Rows must carry distance_m (see $geoNear distanceField)
+export function nearCursorFor(prev) {
+  return (page) => {
+    const d = page[page.length - 1].distance_m;
+    const ids = page.filter(r => r.distance_m === d).map(r => String(r._id));
+    if (prev && prev.d === d) ids.push(...prev.ids);
+    return { k: "near", d, ids };
+  };
+}
+
+// Without api_key: the link ends up in responses, logs and browser history,
+// and whoever follows it authenticates for themselves
+function nextLink(req, cursor) {
+  const url = new URL(req.originalUrl, "http://localhost");
+  url.searchParams.delete("api_key");
+  url.searchParams.set("cursor", cursor);
+  return url.pathname + url.search;
+}
+
+// Callers fetch limit + 1 rows; the extra row only tells us there is another page.
+export function paginate(req, rows, limit, cursorFor) {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const next_cursor = hasMore ? encodeCursor(cursorFor(page)) : null;
+  return { page, next_cursor, next: next_cursor && nextLink(req, next_cursor) };
+}
@@ -0,0 +1,429 @@
+import express from "express";
+import { z } from "zod";
+import { ObjectId } from "mongodb";
+import { wellsCol, ingestRunsCol } from "./db.js";
+import { requireAdmin } from "./auth.js";
+import { crsSchema } from "./crs.js";
+import { INGEST_FIELDS, rowsFromCsv, rowsFromGeoJson, toWellRecord, changedFields } from "./ingest.js";
+import { recordChanges } from "./history.js";
+import { checkAllAreas } from "./areas.js";
+import { bumpDataVersion } from "./cache.js";
+import {
+  keyCreateSchema,
+  keyPatchSchema,
+  createKey,
+  listKeys,
+  updateKey,
+  deleteKey,
+  usageFor,
+  serializeKey,
+  apiKeySchema,
+  usageDaySchema
+} from "./apikeys.js";
+import { describeRoutes } from "./openapi.js";
+
+export const adminRouter = express.Router();
+
+adminRouter.use(requireAdmin);
+// Data releases are far bigger than query bodies. Parsed only after requireAdmin,
+// so anonymous callers can't make the server read 50 MB.
+adminRouter.use(express.json({ limit: "50mb" }), express.text({ type: ["text/csv", "text/plain"], limit: "50mb" }));
+
+const describe = describeRoutes("/admin", { tag: "Admin", scope: "admin" });
+
+const idPath = z.object({ id: z.string().regex(/^[0-9a-f]{24}$/) });
+
+const WRITE_CHUNK = 1000;
+
+// Upserts one chunk of { record } entries. An ordered: false bulkWrite applies
+// every op it can, so on failure the error carries the entries that went in.
+async function upsertChunk(chunk, now) {
+  const ops = chunk.map(({ record: { licence, ...fields } }) => ({
+    updateOne: {
+      filter: { licence },
+      update: { $set: { ...fields, updated_at: now }, $setOnInsert: { created_at: now } },
+      upsert: true
+    }
+  }));
+  try {
+    await wellsCol().bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    const failed = new Set([].concat(err.writeErrors ?? []).map(w => w.index));
+    err.applied = failed.size ? chunk.filter((_, i) => !failed.has(i)) : [];
+    throw err;
+  }
+}
+
+const ingestQuerySchema = z.object({
+  format: z.enum(["csv", "geojson"]).optional().meta({ description: "Defaults to the request Content-Type (text/csv or JSON)" }),
+  dry_run: z.stringbool().default(true).meta({ description: "Nothing is written unless dry_run=false" }),
+  remove_missing: z
+    .stringbool()
+    .default(false)
+    .meta({ description: "Delete wells missing from the release; otherwise they are only reported" }),
+  crs: crsSchema.optional().meta({ description: "CRS of GeoJSON geometries and lon/lat columns" }),
+  en_crs: crsSchema.default("EPSG:26914").meta({ description: "CRS of easting/northing columns" })
+});
+
+const ingestRunSchema = z.object({
+  _id: z.string(),
+  started_at: z.iso.datetime(),
+  finished_at: z.iso.datetime(),
+  format: z.enum(["csv", "geojson"]),
+  dry_run: z.boolean(),
+  remove_missing: z.boolean(),
+  applied: z.boolean(),
+  counts: z.object({
+    received: z.number().int(),
+    valid: z.number().int(),
+    invalid: z.number().int(),
+    added: z.number().int(),
+    changed: z.number().int(),
+    unchanged: z.number().int(),
+    removed: z.number().int()
+  }),
+  removed_applied: z.boolean(),
+  history_entries: z.number().int(),
+  error: z.string().nullable().meta({ description: "Why an apply stopped part-way; what went in is in added/changed/removed" })
+});
+
+describe("post", "/ingest", {
+  summary: "Load a data release, or preview it with the default dry_run",
+  description:
+    "Validates every row, diffs against the collection by licence and, unless dry_run, upserts, logs the " +
+    "changes per licence and re-checks saved areas. Returns 200 for a dry run and 201 once applied.",
+  query: ingestQuerySchema,
+  body: {
+    "text/csv": z.string().meta({ description: "Header row of well fields (licence required) with lon/lat or easting/northing" }),
+    "application/json": z.unknown().meta({ description: "GeoJSON FeatureCollection or Feature" })
+  },
+  responses: {
+    200: ingestRunSchema.pick({ dry_run: true, applied: true, counts: true, removed_applied: true, history_entries: true }).extend({
+      run_id: z.string(),
+      added: z.array(z.record(z.string(), z.unknown())),
+      changed: z.array(
+        z.object({
+          licence: z.number().int(),
+          changes: z.record(z.string(), z.object({ from: z.unknown(), to: z.unknown() }))
+        })
+      ),
+      removed: z.array(z.number().int()),
+      invalid: z.array(z.object({ row: z.number().int(), licence: z.unknown(), errors: z.unknown() }))
+    }),
+    201: { description: "Applied; same body as 200" },
+    500: { description: "A write failed part-way; run_id names the run that lists what was applied" }
+  }
+});
+
+// Load a data release: validate, diff against the collection by licence, and
+// (unless dry_run) upsert, log the changes per licence and re-check saved
+// areas. Every call is recorded in ingest_runs.
+adminRouter.post("/ingest", async (req, res) => {
+  const parsed = ingestQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { dry_run, remove_missing, crs, en_crs } = parsed.data;
+  const format = parsed.data.format ?? (req.is("json") ? "geojson" : "csv");
+  const started_at = new Date();
+  const runId = new ObjectId();
+
+  let rows;
+  if (format === "csv") {
+    if (typeof req.body !== "string") {
+      return res.status(400).json({ error: "Invalid body", details: "Send the CSV as text/csv" });
+    }
+    rows = rowsFromCsv(req.body);
+  } else {
+    rows = rowsFromGeoJson(req.body, crs);
+    if (!rows) {
+      return res.status(400).json({ error: "Invalid body", details: "Expected a GeoJSON FeatureCollection or Feature" });
+    }
+  }
+
+  const records = new Map(); // licence -> record
+  const invalid = [];
+  const invalidLicences = new Set();
+  rows.forEach((raw, i) => {
+    const { record, error } = toWellRecord(raw, en_crs);
+    if (error) {
+      invalid.push({ row: i + 1, licence: raw.licence ?? null, errors: error });
+      if (Number.isInteger(Number(raw.licence))) invalidLicences.add(Number(raw.licence));
+    } else if (records.has(record.licence)) {
+      invalid.push({ row: i + 1, licence: record.licence, errors: { formErrors: ["Duplicate licence in file"], fieldErrors: {} } });
+    } else {
+      records.set(record.licence, record);
+    }
+  });
+
+  const projection = Object.fromEntries(INGEST_FIELDS.map(f => [f, 1]));
+  const existing = await wellsCol().find({ licence: { $type: "number" } }, { projection }).toArray();
+  const existingByLicence = new Map(existing.map(d => [d.licence, d]));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [licence, record] of records) {
+    const doc = existingByLicence.get(licence);
+    if (!doc) {
+      added.push(record);
+      continue;
+    }
+    const changes = changedFields(doc, record);
+    if (Object.keys(changes).length) changed.push({ licence, record, changes });
+    else unchanged++;
+  }
+
+  // A row that failed validation is not evidence the well is gone
+  const removed = existing
+    .map(d => d.licence)
+    .filter(l => !records.has(l) && !invalidLicences.has(l))
+    .sort((a, b) => a - b);
+
+  // Applied chunk by chunk, each logged as soon as it is in, so if a write
+  // fails part-way the run and the change log still say what was applied
+  let history_entries = 0;
+  let failure = null;
+  let writesIssued = false;
+  const applied = { added: [], changed: [], removed: [] };
+  if (!dry_run) {
+    const now = new Date();
+    const upserts = [...added.map(r => ({ record: r, added: r })), ...changed.map(c => ({ record: c.record, changed: c }))];
+    try {
+      for (let i = 0; i < upserts.length; i += WRITE_CHUNK) {
+        const chunk = upserts.slice(i, i + WRITE_CHUNK);
+        let done = chunk;
+        let error = null;
+        writesIssued = true;
+        try {
+          await upsertChunk(chunk, now);
+        } catch (err) {
+          done = err.applied;
+          error = err;
+        }
+        const entries = { added: done.flatMap(u => u.added ?? []), changed: done.flatMap(u => u.changed ?? []) };
+        applied.added.push(...entries.added);
+        applied.changed.push(...entries.changed);
+        history_entries += await recordChanges(entries, { runId, recordedAt: now });
+        if (error) throw error;
+      }
+      if (remove_missing && removed.length) {
+        writesIssued = true;
+        await wellsCol().deleteMany({ licence: { $in: removed } });
+        applied.removed = removed;
+        history_entries += await recordChanges(
+          { removed: removed.map(l => existingByLicence.get(l)) },
+          { runId, recordedAt: now }
+        );
+      }
+    } catch (err) {
+      failure = err;
+      console.error(`Ingest ${runId} failed part-way:`, err);
+    } finally {
+      // Any write may have gone in, so cached responses and indexes move on
+      // even after a failure. Webhook deliveries can take a while; don't hold
+      // the response for them.
+      if (writesIssued) {
+        await bumpDataVersion(`ingest ${runId}`);
+        checkAllAreas({ runId }).catch(err => console.error("Area checks failed:", err));
+      }
+    }
+  }
+
+  const counts = {
+    received: rows.length,
+    valid: records.size,
+    invalid: invalid.length,
+    added: added.length,
+    changed: changed.length,
+    unchanged,
+    removed: removed.length
+  };
+
+  const run = {
+    started_at,
+    finished_at: new Date(),
+    format,
+    dry_run,
+    remove_missing,
+    applied: !dry_run && !failure,
+    counts,
+    // a dry run lists what it would do; an apply lists what went in
+    added: (dry_run ? added : applied.added).map(r => r.licence),
+    changed: (dry_run ? changed : applied.changed).map(c => c.licence),
+    removed: dry_run ? removed : applied.removed,
+    removed_applied: !dry_run && remove_missing && applied.removed.length === removed.length,
+    history_entries,
+    error: failure ? failure.message : null
+  };
+  await ingestRunsCol().insertOne({ _id: runId, ...run });
+
+  if (failure) {
+    return res.status(500).json({
+      error: "Ingest failed part-way; the run lists what was applied. Send the release again to apply the rest.",
+      run_id: String(runId)
+    });
+  }
+
+  res.status(dry_run ? 200 : 201).json({
+    run_id: String(runId),
+    dry_run,
+    applied: run.applied,
+    counts,
+    added,
+    changed: changed.map(({ licence, changes }) => ({ licence, changes })),
+    removed,
+    removed_applied: run.removed_applied,
+    history_entries,
+    invalid
+  });
+});
+
+const runsQuery = z.object({ limit: z.coerce.number().min(1).max(200).default(20) });
+
+describe("get", "/ingest/runs", {
+  summary: "Recent ingest runs, newest first",
+  query: runsQuery,
+  response: z.object({ count: z.number().int(), results: z.array(ingestRunSchema) })
+});
+
+adminRouter.get("/ingest/runs", async (req, res) => {
+  const parsed = runsQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const runs = await ingestRunsCol()
+    .find({}, { projection: { added: 0, changed: 0, removed: 0 } })
+    .sort({ started_at: -1 })
+    .limit(parsed.data.limit)
+    .toArray();
+
+  res.json({ count: runs.length, results: runs.map(r => ({ ...r, _id: String(r._id) })) });
+});
+
+describe("get", "/ingest/runs/:id", {
+  summary: "One ingest run with the licences it added, changed and removed",
+  params: idPath,
+  response: ingestRunSchema.extend({
+    added: z.array(z.number().int()),
+    changed: z.array(z.number().int()),
+    removed: z.array(z.number().int())
+  }),
+  errors: [404]
+});
+
+adminRouter.get("/ingest/runs/:id", async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+
+  const run = await ingestRunsCol().findOne({ _id: new ObjectId(req.params.id) });
+  if (!run) return res.status(404).json({ error: "Not found" });
+
+  res.json({ ...run, _id: String(run._id) });
+});
+
+// ---- Response cache ----
+
+// For reloads that bypass /admin/ingest (e.g. mongoimport): cached responses
+// and in-memory indexes are rebuilt from the current data
+const dataVersionBody = z.object({ reason: z.string().trim().min(1).max(200).default("manual") });
+
+describe("post", "/data-version", {
+  summary: "Invalidate cached responses and re-check watched areas after the wells were changed directly in the database",
+  body: dataVersionBody,
+  response: z.object({ version: z.number().int(), updated_at: z.iso.datetime(), reason: z.string() })
+});
+
+adminRouter.post("/data-version", async (req, res) => {
+  const parsed = dataVersionBody.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
+
+  // Direct edits can move wells in or out of watched areas just like an ingest
+  const version = await bumpDataVersion(parsed.data.reason);
+  checkAllAreas().catch(err => console.error("Area checks failed:", err));
+  res.json(version);
+});
+
+// ---- API keys ----
+
+// The key itself is only returned here; store it, it can't be recovered
+describe("post", "/keys", {
+  summary: "Issue an API key",
+  body: keyCreateSchema,
+  responses: { 201: apiKeySchema.extend({ key: z.string().meta({ description: "Shown only now; it can't be recovered" }) }) }
+});
+
+adminRouter.post("/keys", async (req, res) => {
+  const parsed = keyCreateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
+
+  const { key, doc } = await createKey(parsed.data);
+  res.status(201).json({ ...serializeKey(doc), key });
+});
+
+describe("get", "/keys", {
+  summary: "Issued API keys",
+  response: z.object({ count: z.number().int(), results: z.array(apiKeySchema) })
+});
+
+adminRouter.get("/keys", async (req, res) => {
+  const keys = await listKeys();
+  res.json({ count: keys.length, results: keys.map(serializeKey) });
+});
+
+// Also how a key is revoked (disabled: true) without losing its usage history
+describe("patch", "/keys/:id", {
+  summary: "Update or disable an API key",
+  description: "disabled: true revokes the key without losing its usage history.",
+  params: idPath,
+  body: keyPatchSchema,
+  response: apiKeySchema,
+  errors: [404]
+});
+
+adminRouter.patch("/keys/:id", async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+
+  const parsed = keyPatchSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
+
+  const doc = await updateKey(req.params.id, parsed.data);
+  if (!doc) return res.status(404).json({ error: "Not found" });
+  res.json(serializeKey(doc));
+});
+
+describe("delete", "/keys/:id", { summary: "Delete an API key", params: idPath, responses: { 204: null }, errors: [404] });
+
+adminRouter.delete("/keys/:id", async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+  if (!(await deleteKey(req.params.id))) return res.status(404).json({ error: "Not found" });
+  res.status(204).end();
+});
+
+const keyUsageQuery = z.object({ days: z.coerce.number().int().min(1).max(90).default(30) });
+
+describe("get", "/keys/:id/usage", {
+  summary: "Daily request counts of one key, most recent day first",
+  params: idPath,
+  query: keyUsageQuery,
+  response: z.object({ key_id: z.string(), days: z.array(usageDaySchema) })
+});
+
+adminRouter.get("/keys/:id/usage", async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+
+  const parsed = keyUsageQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const days = await usageFor(new ObjectId(req.params.id), parsed.data.days);
+  res.json({ key_id: req.params.id, days });
+});
@@ -0,0 +1,298 @@
+import express from "express";
+import { z } from "zod";
+import { ObjectId } from "mongodb";
+import { wellsCol, areasCol } from "./db.js";
+import { idCursorParam, afterId, idCursorFor, paginate } from "./pagination.js";
+import { areaGeometrySchema } from "./geo.js";
+import { crsSchema, geometryToWgs84 } from "./crs.js";
+import { fieldsParam, projectionFor, serializeWell, wellSchema } from "./fields.js";
+import { requireAdmin } from "./auth.js";
+import { describeRoutes, pageOf, geometrySchema } from "./openapi.js";
+import {
+  areaCreateSchema,
+  areaPatchSchema,
+  areaFiltersSchema,
+  areaQuery,
+  snapshotArea,
+  checkArea,
+  newSecret,
+  serializeArea
+} from "./areas.js";
+
+export const areasRouter = express.Router();
+
+// Areas register outbound webhooks, so the whole API sits behind the admin token
+areasRouter.use(requireAdmin);
+
+const describe = describeRoutes("/areas", { tag: "Areas", scope: "admin" });
+
+// Geometry in the body is in `crs` units when crs is given
+const crsQuerySchema = z.object({ crs: crsSchema.optional() });
+
+const idPath = z.object({ id: z.string().regex(/^[0-9a-f]{24}$/) });
+
+const snapshotWell = z.object({
+  licence: z.number().int(),
+  name: z.string().nullable(),
+  map_status: z.string().nullable(),
+  status: z.string().nullable()
+});
+const fromTo = z.object({ from: z.string().nullable(), to: z.string().nullable() });
+
+const areaChangeSchema = z
+  .object({
+    run_id: z.string().nullable().meta({ description: "Ingest run that triggered the check, if any" }),
+    detected_at: z.iso.datetime(),
+    baseline_at: z.iso.datetime().nullable(),
+    counts: z.object({
+      entered: z.number().int(),
+      left: z.number().int(),
+      status_changed: z.number().int(),
+      total: z.number().int()
+    }),
+    entered: z.array(snapshotWell),
+    left: z.array(snapshotWell),
+    status_changed: z.array(
+      z.object({ licence: z.number().int(), name: z.string().nullable(), map_status: fromTo.optional(), status: fromTo.optional() })
+    )
+  })
+  .meta({ id: "AreaChange" });
+
+const deliverySchema = z.object({
+  at: z.iso.datetime(),
+  ok: z.boolean(),
+  status: z.number().int().nullable(),
+  error: z.string().nullable(),
+  attempts: z.number().int()
+});
+
+const areaSchema = z
+  .object({
+    _id: z.string(),
+    name: z.string(),
+    geometry: geometrySchema,
+    filters: z.record(z.string(), z.unknown()),
+    webhooks: z.array(z.object({ url: z.url(), last_delivery: deliverySchema.nullable() })),
+    baseline: z.object({ computed_at: z.iso.datetime(), count: z.number().int() }).nullable(),
+    last_change: areaChangeSchema.nullable(),
+    last_checked_at: z.iso.datetime().nullable(),
+    created_at: z.iso.datetime(),
+    updated_at: z.iso.datetime()
+  })
+  .meta({ id: "Area" });
+
+const areaWithSecret = areaSchema.extend({
+  secret: z.string().meta({ description: "HMAC-SHA256 key for X-Webhook-Signature; shown only now" })
+});
+
+// Validates geometry and filters the way the wells endpoints would; returns
+// { update } or { details } for a 400
+function validateAreaFields(body, crs) {
+  const update = {};
+  if (body.name !== undefined) update.name = body.name;
+  if (body.webhooks !== undefined) update.webhooks = body.webhooks.map(url => ({ url, last_delivery: null }));
+
+  if (body.geometry !== undefined) {
+    const geometry = areaGeometrySchema.safeParse(geometryToWgs84(crs, body.geometry));
+    if (!geometry.success) return { details: { geometry: geometry.error.flatten() } };
+    update.geometry = geometry.data;
+  }
+  if (body.filters !== undefined) {
+    const filters = areaFiltersSchema.safeParse(body.filters);
+    if (!filters.success) return { details: { filters: filters.error.flatten() } };
+    update.filters = body.filters;
+  }
+  return { update };
+}
+
+async function findArea(req, res) {
+  let _id;
+  try {
+    _id = new ObjectId(req.params.id);
+  } catch {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
+  }
+  const area = await areasCol().findOne({ _id });
+  if (!area) res.status(404).json({ error: "Not found" });
+  return area;
+}
+
+const areasQuery = z.object({
+  limit: z.coerce.number().min(1).max(500).default(100),
+  cursor: idCursorParam.optional()
+});
+
+describe("get", "/", {
+  summary: "Saved areas of interest",
+  description: "last_change carries its counts only; GET /areas/{id} has the full lists.",
+  query: areasQuery,
+  response: pageOf(areaSchema)
+});
+
+areasRouter.get("/", async (req, res) => {
+  const parsed = areasQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { limit, cursor } = parsed.data;
+  const rows = await areasCol()
+    .find(afterId(cursor), {
+      projection: { secret: 0, "baseline.wells": 0, "last_change.entered": 0, "last_change.left": 0, "last_change.status_changed": 0 }
+    })
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+  res.json({ count: page.length, results: page.map(serializeArea), next_cursor, next });
+});
+
+// The webhook signing secret is only returned here and when rotated
+describe("post", "/", {
+  summary: "Save an area of interest and baseline the wells inside it",
+  description:
+    "When a later ingest or check finds wells entering, leaving or changing status, each webhook gets a POST " +
+    'of the AreaChange plus event "area.changed", delivery_id and area, signed as ' +
+    "X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`).",
+  query: crsQuerySchema,
+  body: areaCreateSchema,
+  responses: { 201: areaWithSecret }
+});
+
+areasRouter.post("/", async (req, res) => {
+  const q = crsQuerySchema.safeParse(req.query);
+  if (!q.success) {
+    return res.status(400).json({ error: "Invalid query", details: q.error.flatten() });
+  }
+
+  const parsed = areaCreateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
+
+  const { update, details } = validateAreaFields(parsed.data, q.data.crs);
+  if (details) return res.status(400).json({ error: "Invalid body", details });
+  if (!update.geometry) {
+    return res.status(400).json({ error: "Invalid body", details: { geometry: "geometry is required" } });
+  }
+
+  const now = new Date();
+  const area = { ...update, secret: newSecret(), last_change: null, last_checked_at: null, created_at: now, updated_at: now };
+  area.baseline = await snapshotArea(area);
+  area.last_checked_at = area.baseline.computed_at;
+
+  const { insertedId } = await areasCol().insertOne(area);
+  res.status(201).json({ ...serializeArea({ _id: insertedId, ...area }), secret: area.secret });
+});
+
+describe("get", "/:id", { summary: "One area", params: idPath, response: areaSchema, errors: [404] });
+
+areasRouter.get("/:id", async (req, res) => {
+  const area = await findArea(req, res);
+  if (!area) return;
+  res.json(serializeArea(area));
+});
+
+// The saved query itself: wells currently inside the area
+const areaWellsQuery = z.object({
+  limit: z.coerce.number().min(1).max(5000).default(500),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("map")
+});
+
+describe("get", "/:id/wells", {
+  summary: "Wells currently inside an area",
+  params: idPath,
+  query: areaWellsQuery,
+  response: pageOf(wellSchema),
+  errors: [404]
+});
+
+areasRouter.get("/:id/wells", async (req, res) => {
+  const parsed = areaWellsQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const area = await findArea(req, res);
+  if (!area) return;
+
+  const { limit, cursor, fields } = parsed.data;
+  const rows = await wellsCol()
+    .find({ ...areaQuery(area), ...afterId(cursor) }, { projection: projectionFor(fields) })
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+  res.json({ count: page.length, results: page.map(d => serializeWell(d, fields)), next_cursor, next });
+});
+
+// Changing the geometry or filters re-baselines the area without notifying
+describe("patch", "/:id", {
+  summary: "Update an area",
+  description: "Changing the geometry or filters re-baselines the area without notifying. secret is returned only when rotated.",
+  params: idPath,
+  query: crsQuerySchema,
+  body: areaPatchSchema,
+  response: areaWithSecret.partial({ secret: true }),
+  errors: [404]
+});
+
+areasRouter.patch("/:id", async (req, res) => {
+  const q = crsQuerySchema.safeParse(req.query);
+  if (!q.success) {
+    return res.status(400).json({ error: "Invalid query", details: q.error.flatten() });
+  }
+
+  const parsed = areaPatchSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
+
+  const { update, details } = validateAreaFields(parsed.data, q.data.crs);
+  if (details) return res.status(400).json({ error: "Invalid body", details });
+
+  const area = await findArea(req, res);
+  if (!area) return;
+
+  if (parsed.data.rotate_secret) update.secret = newSecret();
+  if (update.geometry || update.filters) {
+    update.baseline = await snapshotArea({ ...area, ...update });
+    update.last_checked_at = update.baseline.computed_at;
+  }
+  update.updated_at = new Date();
+
+  await areasCol().updateOne({ _id: area._id }, { $set: update });
+  const out = serializeArea({ ...area, ...update });
+  res.json(update.secret ? { ...out, secret: update.secret } : out);
+});
+
+describe("delete", "/:id", { summary: "Delete an area", params: idPath, responses: { 204: null }, errors: [404] });
+
+areasRouter.delete("/:id", async (req, res) => {
+  const area = await findArea(req, res);
+  if (!area) return;
+  await areasCol().deleteOne({ _id: area._id });
+  res.status(204).end();
+});
+
+// Compare against the baseline now (webhooks fire if anything moved)
+describe("post", "/:id/check", {
+  summary: "Compare an area against its baseline now",
+  description: "Webhooks fire if anything moved; the current wells become the new baseline.",
+  params: idPath,
+  response: areaChangeSchema.extend({
+    changed: z.boolean(),
+    deliveries: z.array(deliverySchema.extend({ url: z.url() }))
+  }),
+  errors: [404]
+});
+
+areasRouter.post("/:id/check", async (req, res) => {
+  const area = await findArea(req, res);
+  if (!area) return;
+  res.json(await checkArea(area));
+});
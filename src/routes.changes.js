@@ -0,0 +1,84 @@
+import express from "express";
+import { z } from "zod";
+import { wellChangesCol } from "./db.js";
+import { idCursorParam, afterId, idCursorFor, paginate } from "./pagination.js";
+import { CHANGE_KINDS, changeFieldParam, serializeChange, changeSchema } from "./history.js";
+import { describeRoutes, pageOf } from "./openapi.js";
+import { cached } from "./cache.js";
+
+export const changesRouter = express.Router();
+
+const describe = describeRoutes("/changes", { tag: "Changes", scope: "read" });
+
+// "2024-05-01" or a full ISO 8601 timestamp
+const instant = z
+  .union([z.iso.date(), z.iso.datetime({ offset: true })])
+  .transform(s => new Date(s))
+  .meta({ description: "A date (2024-05-01) or ISO 8601 timestamp" });
+
+const kindParam = z.string().meta({ description: `Comma list of: ${CHANGE_KINDS.join(", ")}` }).transform((s, ctx) => {
+  const kinds = s.split(",").map(k => k.trim()).filter(Boolean);
+  if (!kinds.length || kinds.some(k => !CHANGE_KINDS.includes(k))) {
+    ctx.addIssue({ code: "custom", message: `kind must be a comma list of: ${CHANGE_KINDS.join(", ")}` });
+    return z.NEVER;
+  }
+  return kinds;
+});
+
+const changesQuerySchema = z
+  .object({
+    since: instant,
+    until: instant.optional(),
+    field: changeFieldParam.optional(),
+    kind: kindParam.optional(),
+    // New value of `field` (exact match), e.g. field=map_status&to=Abandoned
+    to: z.string().min(1).optional(),
+    limit: z.coerce.number().min(1).max(1000).default(100),
+    cursor: idCursorParam.optional()
+  })
+  .refine(q => q.to == null || q.field?.length === 1, { message: "to needs exactly one field", path: ["to"] })
+  .refine(q => !q.until || q.until > q.since, { message: "until must be after since", path: ["until"] });
+
+// Everything recorded since a point in time, in the order it was recorded.
+// Follow next_cursor to the end, then poll again with the same since.
+describe("get", "/", {
+  summary: "Feed of well changes recorded by ingests, in recorded order",
+  description: "Follow next_cursor to the end, then poll again with the same since.",
+  query: changesQuerySchema,
+  response: pageOf(changeSchema, {
+    since: z.iso.datetime(),
+    until: z.iso.datetime().nullable(),
+    total: z.number().int()
+  })
+});
+
+changesRouter.get("/", cached, async (req, res) => {
+  const parsed = changesQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { since, until, field, kind, to, limit, cursor } = parsed.data;
+
+  const match = { recorded_at: { $gte: since, ...(until && { $lt: until }) } };
+  if (field) match.fields = { $in: field };
+  if (kind) match.kind = { $in: kind };
+  if (to != null) match[`changes.${field[0]}.to`] = to;
+
+  const [total, rows] = await Promise.all([
+    wellChangesCol().countDocuments(match),
+    wellChangesCol().find({ ...match, ...afterId(cursor) }).sort({ _id: 1 }).limit(limit + 1).toArray()
+  ]);
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+
+  res.json({
+    since: since.toISOString(),
+    until: until?.toISOString() ?? null,
+    total,
+    count: page.length,
+    results: page.map(serializeChange),
+    next_cursor,
+    next
+  });
+});
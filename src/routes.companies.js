@@ -0,0 +1,364 @@
+import express from "express";
+import { z } from "zod";
+import { wellsCol } from "./db.js";
+import { filterSchema, buildWellsFilter } from "./filters.js";
+import { idCursorParam, rankCursorParam, afterId, idCursorFor, rankCursorFor, paginate } from "./pagination.js";
+import {
+  getCompanyResolver,
+  listAliases,
+  setAlias,
+  deleteAlias,
+  suggestDuplicates,
+  AliasError
+} from "./companies.js";
+import { convexHull } from "./spatial.js";
+import { fieldsParam, projectionFor, serializeWell, wellSchema } from "./fields.js";
+import { requireAdmin } from "./auth.js";
+import { describeRoutes, pageOf, geometrySchema } from "./openapi.js";
+import { cached, bumpDataVersion } from "./cache.js";
+
+export const companiesRouter = express.Router();
+
+const describe = describeRoutes("/companies", { tag: "Companies", scope: "read" });
+
+// Same definition as /stats/top-companies?metric=abandoned
+const ABANDONED = { $regexMatch: { input: { $ifNull: ["$map_status", ""] }, regex: "abandon", options: "i" } };
+
+// The extent is worked out in the database: wells are grouped into cells this
+// many degrees wide and only each cell's bounding corners come back for the
+// hull, so a large operator doesn't pull every location into memory. The hull
+// can be up to one cell wider than the wells themselves.
+const HULL_CELL_DEG = 0.01;
+
+const extentCells = [
+  { $match: { "location.type": "Point" } },
+  {
+    $project: {
+      _id: 0,
+      lon: { $arrayElemAt: ["$location.coordinates", 0] },
+      lat: { $arrayElemAt: ["$location.coordinates", 1] }
+    }
+  },
+  {
+    $group: {
+      _id: { x: { $floor: { $divide: ["$lon", HULL_CELL_DEG] } }, y: { $floor: { $divide: ["$lat", HULL_CELL_DEG] } } },
+      min_lon: { $min: "$lon" },
+      min_lat: { $min: "$lat" },
+      max_lon: { $max: "$lon" },
+      max_lat: { $max: "$lat" }
+    }
+  }
+];
+
+const splitBy = (field, as) => [
+  { $group: { _id: { $ifNull: [`$${field}`, "Unknown"] }, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, [as]: "$_id", count: 1 } }
+];
+
+// Operators with portfolio totals, spelling variants merged, biggest first
+const companiesQuery = filterSchema.extend({
+  limit: z.coerce.number().min(1).max(500).default(50),
+  cursor: rankCursorParam.optional()
+});
+
+const statusDates = {
+  first_status_date: z.string().nullable(),
+  last_status_date: z.string().nullable()
+};
+
+describe("get", "/", {
+  summary: "Operators with portfolio totals, spelling variants merged, biggest first",
+  query: companiesQuery,
+  response: pageOf(
+    z.object({
+      company: z.string(),
+      key: z.string(),
+      variants: z.array(z.string()),
+      wells: z.number().int(),
+      abandoned: z.number().int(),
+      abandoned_ratio: z.number(),
+      ...statusDates
+    }),
+    { total: z.number().int() }
+  )
+});
+
+companiesRouter.get("/", cached, async (req, res) => {
+  const parsed = companiesQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { limit, cursor } = parsed.data;
+  const offset = cursor?.o ?? 0;
+
+  const filter = buildWellsFilter(parsed.data);
+  const [rows, companies] = await Promise.all([
+    wellsCol().aggregate([
+      { $match: { $and: [filter, { company: { $type: "string" } }] } },
+      {
+        $group: {
+          _id: "$company",
+          wells: { $sum: 1 },
+          abandoned: { $sum: { $cond: [ABANDONED, 1, 0] } },
+          first_status_date: { $min: "$status_date" },
+          last_status_date: { $max: "$status_date" }
+        }
+      }
+    ]).toArray(),
+    getCompanyResolver()
+  ]);
+
+  const byKey = new Map();
+  for (const r of rows) {
+    const key = companies.canonicalKey(r._id);
+    let c = byKey.get(key);
+    if (!c) {
+      byKey.set(key, (c = {
+        key,
+        company: companies.canonicalOf(r._id),
+        variants: [],
+        wells: 0,
+        abandoned: 0,
+        first_status_date: null,
+        last_status_date: null
+      }));
+    }
+    c.variants.push({ company: r._id, wells: r.wells });
+    c.wells += r.wells;
+    c.abandoned += r.abandoned;
+    if (r.first_status_date && (!c.first_status_date || r.first_status_date < c.first_status_date)) {
+      c.first_status_date = r.first_status_date;
+    }
+    if (r.last_status_date && (!c.last_status_date || r.last_status_date > c.last_status_date)) {
+      c.last_status_date = r.last_status_date;
+    }
+  }
+
+  const ranked = [...byKey.values()]
+    .map(c => {
+      c.variants.sort((a, b) => b.wells - a.wells || a.company.localeCompare(b.company));
+      return {
+        company: c.company,
+        key: c.key,
+        variants: c.variants.map(v => v.company),
+        wells: c.wells,
+        abandoned: c.abandoned,
+        abandoned_ratio: c.abandoned / c.wells,
+        first_status_date: c.first_status_date,
+        last_status_date: c.last_status_date
+      };
+    })
+    .sort((a, b) => b.wells - a.wells || a.key.localeCompare(b.key));
+
+  const { page, next_cursor, next } = paginate(req, ranked.slice(offset, offset + limit + 1), limit, rankCursorFor(offset));
+  res.json({ total: ranked.length, count: page.length, results: page, next_cursor, next });
+});
+
+// ---- Alias table (declared before /:name so "aliases" isn't taken as a company) ----
+
+const aliasSchema = z.object({
+  key: z.string().meta({ description: "Normalised spelling the alias matches" }),
+  alias: z.string(),
+  canonical_key: z.string(),
+  canonical: z.string(),
+  updated_at: z.iso.datetime()
+}).meta({ id: "CompanyAlias" });
+
+describe("get", "/aliases", {
+  summary: "The curated alias table",
+  response: z.object({ count: z.number().int(), results: z.array(aliasSchema) })
+});
+
+companiesRouter.get("/aliases", cached, async (req, res) => {
+  const aliases = await listAliases();
+  res.json({ count: aliases.length, results: aliases.map(({ _id, ...a }) => ({ key: _id, ...a })) });
+});
+
+// Probable duplicate operators, for curating the alias table
+const suggestionsQuery = z.object({
+  min_score: z.coerce.number().min(0.5).max(1).default(0.75),
+  limit: z.coerce.number().min(1).max(200).default(50)
+});
+
+const suggestedCompany = z.object({ company: z.string(), key: z.string(), wells: z.number().int() });
+
+describe("get", "/aliases/suggestions", {
+  summary: "Probable duplicate operators, for curating the alias table",
+  query: suggestionsQuery,
+  response: z.object({
+    count: z.number().int(),
+    results: z.array(z.object({ score: z.number(), canonical: suggestedCompany, alias: suggestedCompany }))
+  })
+});
+
+companiesRouter.get("/aliases/suggestions", cached, async (req, res) => {
+  const parsed = suggestionsQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const companies = await getCompanyResolver();
+  const results = suggestDuplicates(companies, { minScore: parsed.data.min_score, limit: parsed.data.limit });
+  res.json({ count: results.length, results });
+});
+
+const aliasBody = z.object({
+  alias: z.string().trim().min(1).max(200),
+  canonical: z.string().trim().min(1).max(200)
+});
+
+describe("put", "/aliases", {
+  summary: "Map a spelling of an operator's name to its canonical name",
+  scope: "admin",
+  body: aliasBody,
+  response: aliasSchema
+});
+
+companiesRouter.put("/aliases", requireAdmin, async (req, res) => {
+  const parsed = aliasBody.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
+
+  try {
+    const { _id, ...alias } = await setAlias(parsed.data.alias, parsed.data.canonical);
+    // Company names and filters in cached responses resolve through the alias table
+    await bumpDataVersion("company alias");
+    res.json({ key: _id, ...alias });
+  } catch (err) {
+    if (err instanceof AliasError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+});
+
+describe("delete", "/aliases/:alias", {
+  summary: "Remove an alias",
+  scope: "admin",
+  responses: { 204: null },
+  errors: [404]
+});
+
+companiesRouter.delete("/aliases/:alias", requireAdmin, async (req, res) => {
+  if (!(await deleteAlias(req.params.alias))) return res.status(404).json({ error: "Alias not found" });
+  await bumpDataVersion("company alias");
+  res.status(204).end();
+});
+
+// Portfolio profile for one operator; any spelling variant of the name works
+const companyQuery = filterSchema.omit({ company: true }).extend({
+  limit: z.coerce.number().min(1).max(500).default(50),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("map")
+});
+
+const split = (key) => z.array(z.object({ [key]: z.string(), count: z.number().int() }));
+
+describe("get", "/:name", {
+  summary: "Portfolio profile of one operator and its wells",
+  description: "Any spelling variant of the name works. results pages through the operator's wells.",
+  query: companyQuery,
+  response: pageOf(wellSchema, {
+    company: z.string(),
+    key: z.string(),
+    variants: split("company"),
+    wells: z.number().int(),
+    abandoned: z.number().int(),
+    abandoned_ratio: z.number().nullable(),
+    map_status_split: split("map_status"),
+    status_split: split("status"),
+    mineral_rights_split: z.array(z.object({ mineral_ri: z.string(), count: z.number().int(), pct: z.number() })),
+    ...statusDates,
+    extent: z.object({
+      bbox: z.tuple([z.number(), z.number(), z.number(), z.number()]).nullable(),
+      hull: geometrySchema.nullable().meta({ description: `Convex hull of the wells, to within ${HULL_CELL_DEG}°` })
+    })
+  }),
+  errors: [404]
+});
+
+companiesRouter.get("/:name", cached, async (req, res) => {
+  const parsed = companyQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { limit, cursor, fields } = parsed.data;
+
+  const companies = await getCompanyResolver();
+  const variants = companies.variantsOf(req.params.name);
+  if (!variants.length) return res.status(404).json({ error: "Company not found" });
+
+  const match = { ...buildWellsFilter(parsed.data), company: { $in: variants } };
+
+  const [[out], rows] = await Promise.all([
+    wellsCol().aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          abandoned: [{ $match: { $expr: ABANDONED } }, { $count: "count" }],
+          map_status_split: splitBy("map_status", "map_status"),
+          status_split: splitBy("status", "status"),
+          mineral_rights_split: splitBy("mineral_ri", "mineral_ri"),
+          variants: splitBy("company", "company"),
+          status_dates: [
+            { $match: { status_date: { $type: "string" } } },
+            { $group: { _id: null, first: { $min: "$status_date" }, last: { $max: "$status_date" } } }
+          ],
+          extent: extentCells
+        }
+      }
+    ]).toArray(),
+
+    wellsCol().find(
+      { ...match, ...afterId(cursor) },
+      { projection: projectionFor(fields) }
+    ).sort({ _id: 1 }).limit(limit + 1).toArray()
+  ]);
+
+  const count = out?.total?.[0]?.count ?? 0;
+  const abandoned = out?.abandoned?.[0]?.count ?? 0;
+  const cells = out?.extent ?? [];
+
+  let bbox = null;
+  let hull = null;
+  if (cells.length) {
+    bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const corners = new Map();
+    for (const c of cells) {
+      bbox = [Math.min(bbox[0], c.min_lon), Math.min(bbox[1], c.min_lat), Math.max(bbox[2], c.max_lon), Math.max(bbox[3], c.max_lat)];
+      for (const p of [[c.min_lon, c.min_lat], [c.max_lon, c.min_lat], [c.max_lon, c.max_lat], [c.min_lon, c.max_lat]]) {
+        corners.set(p.join(","), p);
+      }
+    }
+    const ring = convexHull([...corners.values()]);
+    hull =
+      ring.length >= 3
+        ? { type: "Polygon", coordinates: [[...ring, ring[0]]] }
+        : ring.length === 2
+          ? { type: "LineString", coordinates: ring }
+          : { type: "Point", coordinates: ring[0] };
+  }
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+
+  res.json({
+    company: companies.canonicalOf(variants[0]),
+    key: companies.canonicalKey(variants[0]),
+    variants: out?.variants ?? [],
+    wells: count,
+    abandoned,
+    abandoned_ratio: count ? abandoned / count : null,
+    map_status_split: out?.map_status_split ?? [],
+    status_split: out?.status_split ?? [],
+    mineral_rights_split: (out?.mineral_rights_split ?? []).map(r => ({ ...r, pct: count ? r.count / count : 0 })),
+    first_status_date: out?.status_dates?.[0]?.first ?? null,
+    last_status_date: out?.status_dates?.[0]?.last ?? null,
+    extent: { bbox, hull },
+    results: page.map(d => serializeWell(d, fields)),
+    next_cursor,
+    next
+  });
+});
@@ -0,0 +1,32 @@
+import express from "express";
+import { getAbsoluteFSPath } from "swagger-ui-dist";
+import { openApiSpec } from "./openapi.js";
+
+// The spec and a Swagger UI page for it, served from node_modules so the docs
+// work offline. Both are public; the operations themselves still check keys.
+export const docsRouter = express.Router();
+
+docsRouter.get("/openapi.json", (req, res) => {
+  res.json(openApiSpec());
+});
+
+// Replaces the bundle's initializer (which points at the petstore demo). A
+// file rather than an inline script so helmet's CSP can stay as it is.
+const INITIALIZER = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: "../openapi.json",
+    dom_id: "#swagger-ui",
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    plugins: [SwaggerUIBundle.plugins.DownloadUrl],
+    layout: "StandaloneLayout"
+  });
+};
+`;
+
+docsRouter.get("/docs/swagger-initializer.js", (req, res) => {
+  res.type("application/javascript").send(INITIALIZER);
+});
+
+docsRouter.use("/docs", express.static(getAbsoluteFSPath()));
@@ -0,0 +1,58 @@
+import express from "express";
+import { z } from "zod";
+import { usageFor, utcDay, serializeKey, apiKeySchema, usageDaySchema } from "./apikeys.js";
+import { describeRoutes } from "./openapi.js";
+
+export const meRouter = express.Router();
+
+// Any scope will do, but there has to be a key
+const describe = describeRoutes("/me", { tag: "Account", scope: "key" });
+
+meRouter.use((req, res, next) => {
+  if (!req.auth?.key) return res.status(401).json({ error: "An API key is required" });
+  next();
+});
+
+// The calling key's limits and request counts per endpoint, most recent day
+// first. total counts every request made with the key, including refused ones.
+const usageQuery = z.object({ days: z.coerce.number().int().min(1).max(90).default(7) });
+
+describe("get", "/usage", {
+  summary: "The calling key's limits and request counts",
+  description: "total counts every request made with the key, including refused ones.",
+  query: usageQuery,
+  response: z.object({
+    key: apiKeySchema.pick({
+      _id: true,
+      name: true,
+      prefix: true,
+      scopes: true,
+      origins: true,
+      rate_limit_per_min: true,
+      daily_quota: true
+    }),
+    today: usageDaySchema.extend({ remaining: z.number().int().nullable() }),
+    days: z.array(usageDaySchema)
+  })
+});
+
+meRouter.get("/usage", async (req, res) => {
+  const parsed = usageQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { key } = req.auth;
+  const days = await usageFor(key._id, parsed.data.days);
+  const today = days.find(d => d.day === utcDay()) ?? { day: utcDay(), total: 0, endpoints: [] };
+  const { origins, scopes, name, prefix, rate_limit_per_min, daily_quota, _id } = serializeKey(key);
+
+  res.json({
+    key: { _id, name, prefix, scopes, origins, rate_limit_per_min, daily_quota },
+    today: {
+      ...today,
+      remaining: daily_quota == null ? null : Math.max(0, daily_quota - today.total)
+    },
+    days
+  });
+});
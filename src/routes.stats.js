@@ -1,18 +1,40 @@
 import express from "express";
 import { z } from "zod";
-import { getDB } from "./db.js";
+import { wellsCol } from "./db.js";
+import { filterSchema, buildWellsFilter } from "./filters.js";
+import { binPoints } from "./grid.js";
+import { hhi, countBy } from "./metrics.js";
+import { crsMember, geometryFromWgs84 } from "./crs.js";
+import { getCompanyResolver, foldCompanyCounts } from "./companies.js";
+import { fieldsParam, projectionFor, serializeWell, wellSchema } from "./fields.js";
+import { describeRoutes, featureCollectionOf } from "./openapi.js";
+import { cached } from "./cache.js";
 
 export const statsRouter = express.Router();
 
-function wellsCol() {
-  const db = getDB();
-  return db.collection(process.env.WELLS_COLLECTION || "wells");
-}
+const describe = describeRoutes("/stats", { tag: "Stats", scope: "read" });
+
+const companyCount = z.object({ company: z.string(), count: z.number().int() });
 
+describe("get", "/status", {
+  summary: "Well counts by map_status",
+  query: filterSchema,
+  response: z.object({
+    metric: z.literal("count_by_map_status"),
+    results: z.array(z.object({ map_status: z.string(), count: z.number().int() }))
+  })
+});
+
+statsRouter.get("/status", cached, async (req, res) => {
+  const parsed = filterSchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
 
+  const filter = buildWellsFilter(parsed.data);
 
-statsRouter.get("/status", async (req, res) => {
   const results = await wellsCol().aggregate([
+    { $match: filter },
     { $group: { _id: "$map_status", count: { $sum: 1 } } },
     { $sort: { count: -1 } }
   ]).toArray();
@@ -23,43 +45,81 @@ statsRouter.get("/status", async (req, res) => {
   });
 });
 
-statsRouter.get("/top-companies", async (req, res) => {
-  const metric = String(req.query.metric ?? "wells");
-  const limit = Math.min(Number(req.query.limit ?? 20), 100);
+const topCompaniesQuery = filterSchema.extend({
+  metric: z.enum(["wells", "abandoned"]).default("wells"),
+  limit: z.coerce.number().min(1).max(100).default(20)
+});
+
+describe("get", "/top-companies", {
+  summary: "Operators with the most wells (spelling variants merged)",
+  query: topCompaniesQuery,
+  response: z.object({ metric: z.enum(["wells", "abandoned"]), results: z.array(companyCount) })
+});
 
-  let match = {};
+statsRouter.get("/top-companies", cached, async (req, res) => {
+  const parsed = topCompaniesQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { metric, limit } = parsed.data;
+  const filter = buildWellsFilter(parsed.data);
+
+  let match = filter;
   if (metric === "abandoned") {
-    // If you want "abandoned" as: map_status contains 'abandon'
-    match = { map_status: { $regex: "abandon", $options: "i" } };
+    // "abandoned" = map_status contains 'abandon'; kept in $and so a map_status filter still applies
+    match = { $and: [filter, { map_status: { $regex: "abandon", $options: "i" } }] };
   }
 
-  const results = await wellsCol().aggregate([
-    { $match: match },
-    { $group: { _id: "$company", count: { $sum: 1 } } },
-    { $sort: { count: -1 } },
-    { $limit: limit }
-  ]).toArray();
+  // Grouped by raw value here, then merged per canonical operator before the limit
+  const [rows, companies] = await Promise.all([
+    wellsCol().aggregate([
+      { $match: match },
+      { $group: { _id: "$company", count: { $sum: 1 } } }
+    ]).toArray(),
+    getCompanyResolver()
+  ]);
 
   res.json({
     metric,
-    results: results.map(r => ({ company: r._id ?? "Unknown", count: r.count }))
+    results: foldCompanyCounts(rows.map(r => ({ company: r._id, count: r.count })), companies).slice(0, limit)
   });
 });
 
 
-statsRouter.get("/closest-birthday", async (req, res) => {
-  const month = Number(req.query.month);
-  const day = Number(req.query.day);
-  const limit = Math.min(Number(req.query.limit ?? 10), 50);
+const closestBirthdayQuery = filterSchema.extend({
+  month: z.coerce.number().int().min(1).max(12),
+  day: z.coerce.number().int().min(1).max(31),
+  limit: z.coerce.number().min(1).max(50).default(10),
+  fields: fieldsParam("map")
+});
+
+describe("get", "/closest-birthday", {
+  summary: "Wells whose status_date falls closest to a day of the year",
+  query: closestBirthdayQuery,
+  response: z.object({
+    month: z.number().int(),
+    day: z.number().int(),
+    count: z.number().int(),
+    results: z.array(
+      wellSchema.extend({ distance_days: z.number().int(), status_month: z.number().int(), status_day: z.number().int() })
+    )
+  })
+});
 
-  if (!Number.isFinite(month) || !Number.isFinite(day)) {
-    return res.status(400).json({ error: "month and day are required numbers" });
+statsRouter.get("/closest-birthday", cached, async (req, res) => {
+  const parsed = closestBirthdayQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
+  const { month, day, limit, fields } = parsed.data;
+  const filter = buildWellsFilter(parsed.data);
+
   // Get docs that have status_date
   const docs = await wellsCol().find(
-    { status_date: { $type: "string" } },
-    { projection: { licence: 1, name: 1, company: 1, map_status: 1, status_date: 1, location: 1 } }
+    { ...filter, status_date: { ...filter.status_date, $type: "string" } },
+    { projection: projectionFor(fields, ["status_date"]) }
   ).limit(5000).toArray(); 
 
   function dayOfYear(m, d) {
@@ -97,10 +157,248 @@ statsRouter.get("/closest-birthday", async (req, res) => {
       distance_days: x.distance,
       status_month: x.month,
       status_day: x.day,
-      ...x.doc,
-      _id: String(x.doc._id)
+      ...serializeWell(x.doc, fields)
     }));
 
   res.json({ month, day, count: ranked.length, results: ranked });
 });
 
+
+// status_date is a "YYYY-MM-DD HH:MM:SS" string; unparseable values become null
+const statusDateExpr = {
+  $dateFromString: {
+    dateString: "$status_date",
+    format: "%Y-%m-%d %H:%M:%S",
+    onError: null,
+    onNull: null
+  }
+};
+
+const PERIOD_EXPR = {
+  year: null,
+  quarter: { $ceil: { $divide: [{ $month: "$_date" }, 3] } },
+  month: { $month: "$_date" }
+};
+
+function periodLabel(interval, year, period) {
+  if (interval === "quarter") return `${year}-Q${period}`;
+  if (interval === "month") return `${year}-${String(period).padStart(2, "0")}`;
+  return String(year);
+}
+
+function periodStart(interval, year, period) {
+  const month = interval === "quarter" ? (period - 1) * 3 + 1 : interval === "month" ? period : 1;
+  return `${year}-${String(month).padStart(2, "0")}-01`;
+}
+
+// Every (year, period) from first to last, so charts get explicit zeroes
+function periodRange(interval, first, last) {
+  const perYear = interval === "quarter" ? 4 : interval === "month" ? 12 : 1;
+  const out = [];
+  for (let i = first.year * perYear + (first.period ?? 1) - 1; i <= last.year * perYear + (last.period ?? 1) - 1; i++) {
+    const year = Math.floor(i / perYear);
+    out.push({ year, period: perYear === 1 ? null : (i % perYear) + 1 });
+  }
+  return out;
+}
+
+const timeseriesQuery = filterSchema.extend({
+  interval: z.enum(["year", "quarter", "month"]).default("year"),
+  group_by: z.enum(["map_status", "company", "mineral_ri"]).optional(),
+  top: z.coerce.number().int().min(1).max(50).default(10)
+});
+
+describe("get", "/timeseries", {
+  summary: "Well counts per year, quarter or month of status_date",
+  description: "With group_by, the `top` biggest groups are kept and the rest folded into \"Other\".",
+  query: timeseriesQuery,
+  response: z.object({
+    interval: z.enum(["year", "quarter", "month"]),
+    group_by: z.string().nullable(),
+    groups: z.array(z.string()),
+    undated: z.number().int(),
+    buckets: z.array(
+      z.object({
+        period: z.string(),
+        start: z.string(),
+        count: z.number().int(),
+        groups: z.record(z.string(), z.number().int()).optional()
+      })
+    )
+  })
+});
+
+statsRouter.get("/timeseries", cached, async (req, res) => {
+  const parsed = timeseriesQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { interval, group_by, top } = parsed.data;
+  const filter = buildWellsFilter(parsed.data);
+
+  const [out] = await wellsCol().aggregate([
+    { $match: filter },
+    { $addFields: { _date: statusDateExpr } },
+    {
+      $facet: {
+        series: [
+          { $match: { _date: { $ne: null } } },
+          {
+            $group: {
+              _id: {
+                year: { $year: "$_date" },
+                period: PERIOD_EXPR[interval],
+                group: group_by ? { $ifNull: [`$${group_by}`, "Unknown"] } : null
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { "_id.year": 1, "_id.period": 1 } }
+        ],
+        undated: [
+          { $match: { _date: null } },
+          { $count: "count" }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const rows = out?.series ?? [];
+  if (group_by === "company") {
+    const companies = await getCompanyResolver();
+    for (const r of rows) r._id.group = companies.canonicalOf(r._id.group) ?? "Unknown";
+  }
+  const undated = out?.undated?.[0]?.count ?? 0;
+
+  if (!rows.length) {
+    return res.json({ interval, group_by: group_by ?? null, groups: [], undated, buckets: [] });
+  }
+
+  // Keep the `top` biggest groups overall; the rest are folded into "Other"
+  let groups = [];
+  if (group_by) {
+    const totals = new Map();
+    for (const r of rows) totals.set(r._id.group, (totals.get(r._id.group) ?? 0) + r.count);
+    groups = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([g]) => g);
+    if (groups.length > top) groups = [...groups.slice(0, top), "Other"];
+  }
+  const kept = new Set(groups);
+
+  const byPeriod = new Map();
+  for (const r of rows) {
+    const key = `${r._id.year}:${r._id.period}`;
+    let b = byPeriod.get(key);
+    if (!b) byPeriod.set(key, (b = { count: 0, groups: {} }));
+    b.count += r.count;
+    if (group_by) {
+      const g = kept.has(r._id.group) ? r._id.group : "Other";
+      b.groups[g] = (b.groups[g] ?? 0) + r.count;
+    }
+  }
+
+  const buckets = periodRange(interval, rows[0]._id, rows[rows.length - 1]._id).map(({ year, period }) => {
+    const b = byPeriod.get(`${year}:${period}`);
+    const bucket = {
+      period: periodLabel(interval, year, period),
+      start: periodStart(interval, year, period),
+      count: b?.count ?? 0
+    };
+    if (group_by) bucket.groups = Object.fromEntries(groups.map(g => [g, b?.groups[g] ?? 0]));
+    return bucket;
+  });
+
+  res.json({ interval, group_by: group_by ?? null, groups, undated, buckets });
+});
+
+
+// Density grid for choropleths: hexagons or squares `size` metres wide over the
+// wells matching the filters. A bbox or polygon is required to keep it regional.
+// Cells are laid out in projected metres, which Mongo can't group by, so the
+// points are binned here; past this many the request is refused instead.
+const MAX_GRID_POINTS = 50000;
+
+const gridQuery = filterSchema
+  .extend({
+    shape: z.enum(["hex", "square"]).default("hex"),
+    size: z.coerce.number().min(100).max(100000).default(5000)
+  })
+  .refine(q => q.bbox || q.polygon, { message: "bbox or polygon is required", path: ["bbox"] });
+
+describe("get", "/grid", {
+  summary: "Hex or square density grid with per-cell operator and status breakdowns",
+  description:
+    "Requires bbox or polygon. size is the cell width in metres: the side of a square, or the " +
+    "distance between opposite edges of a hexagon (pointy-top, so its corners are size/√3 from the centre). " +
+    `Refused with 400 when more than ${MAX_GRID_POINTS} wells match.`,
+  query: gridQuery,
+  response: featureCollectionOf(
+    z.object({
+      count: z.number().int(),
+      dominant_company: z.object({ company: z.string(), count: z.number().int(), share: z.number() }),
+      map_status: z.record(z.string(), z.number().int()),
+      hhi: z.number()
+    }),
+    {
+      crs: z.unknown(),
+      shape: z.enum(["hex", "square"]),
+      size_m: z.number(),
+      total: z.number().int(),
+      max_count: z.number().int()
+    }
+  )
+});
+
+statsRouter.get("/grid", cached, async (req, res) => {
+  const parsed = gridQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { shape, size, crs } = parsed.data;
+  const filter = buildWellsFilter(parsed.data);
+
+  const docs = await wellsCol()
+    .find(
+      { ...filter, "location.type": "Point" },
+      { projection: { _id: 0, company: 1, map_status: 1, coords: "$location.coordinates" } }
+    )
+    .limit(MAX_GRID_POINTS + 1)
+    .toArray();
+  if (docs.length > MAX_GRID_POINTS) {
+    return res.status(400).json({
+      error: `More than ${MAX_GRID_POINTS} wells in the area; use a smaller bbox or polygon, or filters`
+    });
+  }
+
+  const cells = binPoints(docs, { shape, size });
+  const resolver = await getCompanyResolver();
+
+  const features = cells.map(({ id, polygon, items }) => {
+    const companies = countBy(items, d => resolver.canonicalOf(d.company));
+    const [company, top] = [...companies.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(b[0]))[0];
+    return {
+      type: "Feature",
+      id,
+      geometry: geometryFromWgs84(crs, polygon),
+      properties: {
+        count: items.length,
+        dominant_company: { company, count: top, share: top / items.length },
+        map_status: Object.fromEntries(countBy(items, d => d.map_status)),
+        hhi: hhi(companies.values())
+      }
+    };
+  });
+
+  features.sort((a, b) => b.properties.count - a.properties.count);
+
+  res.json({
+    type: "FeatureCollection",
+    crs: crsMember(crs),
+    shape,
+    size_m: size,
+    total: docs.length,
+    max_count: features[0]?.properties.count ?? 0,
+    features
+  });
+});
@@ -1,285 +1,505 @@
 import express from "express";
 import { z } from "zod";
 import { ObjectId } from "mongodb";
-import { getDB } from "./db.js";
+import { wellsCol, wellChangesCol } from "./db.js";
+import { filterSchema, buildWellsFilter, addLocation } from "./filters.js";
+import {
+  idCursorParam,
+  nearCursorParam,
+  rankCursorParam,
+  afterId,
+  idCursorFor,
+  nearCursorFor,
+  rankCursorFor,
+  paginate
+} from "./pagination.js";
+import { getSearchIndex, searchIndex, highlight, suggest } from "./search.js";
+import { exportFormats, hasPoint, toFeature } from "./formats.js";
+import {
+  haversineMeters,
+  bearingDegrees,
+  geometryAreaMeters2,
+  boundsPolygon,
+  bufferedBounds,
+  nearestOnLine,
+  distanceToArea,
+  areaGeometrySchema,
+  lineStringSchema
+} from "./geo.js";
+import { lonLatToDls, parseDls, dlsBounds } from "./dls.js";
+import { fieldsParam, projectionFor, serializeWell, wellSchema } from "./fields.js";
+import { crsSchema, toWgs84, toWgs84Checked, fromWgs84, geometryToWgs84, geometryFromWgs84, crsMember } from "./crs.js";
+import { TILE_EXTENT, tileBounds, projectToTile, tileProjectionExpr, encodeTile } from "./mvt.js";
+import { hhi as hhiOf } from "./metrics.js";
+import { getCompanyResolver, foldCompanyCounts } from "./companies.js";
+import { nearestNeighbourTour, twoOpt } from "./routing.js";
+import { toMetres, nearestNeighborDistances, ripley, dbscan, clusterHulls } from "./spatial.js";
+import { changeFieldParam, serializeChange, changeSchema } from "./history.js";
+import { describeRoutes, pageOf, featureCollectionOf, geometrySchema } from "./openapi.js";
+import { cached, versionEtag } from "./cache.js";
 
 export const wellsRouter = express.Router();
 
-function wellsCol() {
-  const db = getDB();
-  const name = process.env.WELLS_COLLECTION || "wells";
-  return db.collection(name);
+const describe = describeRoutes("/wells", { tag: "Wells", scope: "read" });
+
+const wellPage = pageOf(wellSchema);
+const wellWithDistance = wellSchema.extend({ distance_m: z.number() });
+const licencePath = z.object({ licence: z.number().int() });
+// A licence in a JSON body: a positive integer, or its digits as a string.
+// Unlike z.coerce.number(), null and "" don't slip through as 0.
+const licenceSchema = z
+  .union([z.number().int().positive(), z.string().trim().regex(/^\d+$/, "expected a licence number").transform(Number)])
+  .pipe(z.number().int().positive());
+const fullFieldsQuery = z.object({ fields: fieldsParam("full") });
+
+// $geoNear rather than find + $near so every row carries distance_m,
+// which the near cursor resumes from.
+function geoNearPipeline({ lon, lat, maxDistance, query = {}, cursor, limit, projection }) {
+  const geoNear = {
+    near: { type: "Point", coordinates: [lon, lat] },
+    key: "location",
+    distanceField: "distance_m",
+    spherical: true,
+    maxDistance,
+    query
+  };
+
+  if (cursor) {
+    geoNear.minDistance = cursor.d;
+    geoNear.query = { ...query, _id: { $nin: cursor.ids.map(id => new ObjectId(id)) } };
+  }
+
+  return [
+    { $geoNear: geoNear },
+    { $limit: limit + 1 },
+    { $project: { ...projection, distance_m: 1 } }
+  ];
 }
 
 
 
 
-wellsRouter.get("/near/search", async (req, res) => {
-  const schema = z.object({
-    lon: z.coerce.number().min(-180).max(180),
-    lat: z.coerce.number().min(-90).max(90),
-    maxDistance: z.coerce.number().min(1).max(200000).default(10000),
-    limit: z.coerce.number().min(1).max(500).default(50)
-  });
+// Centre as lon/lat, or as x/y in `crs` units (e.g. UTM 14N easting/northing)
+const nearSearchQuery = z.object({
+  lon: z.coerce.number().min(-180).max(180).optional(),
+  lat: z.coerce.number().min(-90).max(90).optional(),
+  x: z.coerce.number().optional(),
+  y: z.coerce.number().optional(),
+  crs: crsSchema.optional(),
+  maxDistance: z.coerce.number().min(1).max(200000).default(10000),
+  limit: z.coerce.number().min(1).max(500).default(50),
+  cursor: nearCursorParam.optional(),
+  fields: fieldsParam("map")
+}).refine(d => (d.lon != null && d.lat != null) || (d.x != null && d.y != null), {
+  message: "lon and lat (or x and y with crs) are required"
+}).refine(d => (d.x == null && d.y == null) || d.crs, {
+  message: "crs is required with x and y",
+  path: ["crs"]
+}).refine(d => d.x == null || d.y == null || !d.crs || toWgs84Checked(d.crs, [d.x, d.y]) != null, {
+  message: "x and y are outside the range of crs",
+  path: ["x"]
+});
+
+describe("get", "/near/search", {
+  summary: "Wells nearest a point, closest first",
+  description: "Give lon and lat, or x and y with crs (x and y in its units). maxDistance is in metres.",
+  query: nearSearchQuery,
+  response: pageOf(wellWithDistance)
+});
 
-  const parsed = schema.safeParse(req.query);
+wellsRouter.get("/near/search", cached, async (req, res) => {
+  const parsed = nearSearchQuery.safeParse(req.query);
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
-  const { lon, lat, maxDistance, limit } = parsed.data;
+  const { x, y, crs, maxDistance, limit, cursor, fields } = parsed.data;
+  const [lon, lat] = x != null && y != null ? toWgs84(crs, [x, y]) : [parsed.data.lon, parsed.data.lat];
 
-  const cursor = wellsCol().find(
-    {
-      location: {
-        $near: {
-          $geometry: { type: "Point", coordinates: [lon, lat] },
-          $maxDistance: maxDistance
-        }
-      }
-    },
-    {
-      projection: {
-        licence: 1,
-        name: 1,
-        company: 1,
-        map_status: 1,
-        status: 1,
-        status_date: 1,
-        mineral_ri: 1,
-        techdoc_url: 1,
-        location: 1
-      }
-    }
-  ).limit(limit);
+  const rows = await wellsCol().aggregate(geoNearPipeline({
+    lon,
+    lat,
+    maxDistance,
+    cursor,
+    limit,
+    projection: projectionFor(fields)
+  })).toArray();
 
-  const results = await cursor.toArray();
-  res.json({ count: results.length, results });
+  const { page, next_cursor, next } = paginate(req, rows, limit, nearCursorFor(cursor));
+  res.json({ count: page.length, results: page.map(d => serializeWell(d, fields)), next_cursor, next });
 });
 
 
-wellsRouter.get("/", async (req, res) => {
-  const schema = z.object({
-    bbox: z.string().optional(), 
-    limit: z.coerce.number().min(1).max(5000).default(500)
-  });
+const wellsQuery = filterSchema.extend({
+  limit: z.coerce.number().min(1).max(5000).default(500),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("map")
+});
+
+describe("get", "/", { summary: "List wells matching the filters", query: wellsQuery, response: wellPage });
 
-  const parsed = schema.safeParse(req.query);
+wellsRouter.get("/", cached, async (req, res) => {
+  const parsed = wellsQuery.safeParse(req.query);
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
-  const { bbox, limit } = parsed.data;
+  const { limit, cursor, fields } = parsed.data;
+  const query = { ...buildWellsFilter(parsed.data), ...afterId(cursor) };
 
-  const query = {};
-  if (bbox) {
-    const parts = bbox.split(",").map(Number);
-    if (parts.length !== 4 || parts.some(Number.isNaN)) {
-      return res.status(400).json({ error: "bbox must be minLon,minLat,maxLon,maxLat" });
+  const rows = await wellsCol().find(query, { projection: projectionFor(fields) })
+    .sort({ _id: 1 }).limit(limit + 1).toArray();
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+  res.json({ count: page.length, results: page.map(d => serializeWell(d, fields)), next_cursor, next });
+});
+
+
+// Ranked search over licence, name, company and status (see search.js).
+// A legal land description as q returns the wells inside it instead.
+const searchQuery = filterSchema.extend({
+  q: z.string().trim().min(1).max(200),
+  limit: z.coerce.number().min(1).max(50).default(20),
+  cursor: z.union([rankCursorParam, idCursorParam]).optional(),
+  fields: fieldsParam("map")
+});
+
+describe("get", "/search", {
+  summary: "Ranked full-text search over licence, name, company and status",
+  description: "A legal land description as q (e.g. 04-12-010-28W1) returns the wells inside it instead, with dls set.",
+  query: searchQuery,
+  response: pageOf(
+    wellSchema.extend({
+      score: z.number().optional(),
+      highlights: z.record(z.string(), z.string()).optional().meta({ description: "HTML-escaped values with <mark> around matches" })
+    }),
+    {
+      q: z.string(),
+      total: z.number().int().optional(),
+      dls: z.record(z.string(), z.unknown()).optional()
     }
-    const [minLon, minLat, maxLon, maxLat] = parts;
+  )
+});
 
-    query.location = {
-      $geoWithin: {
-        $box: [
-          [minLon, minLat],
-          [maxLon, maxLat]
-        ]
-      }
-    };
+wellsRouter.get("/search", cached, async (req, res) => {
+  const parsed = searchQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
-  const cursor = wellsCol().find(query, {
-    projection: {
-      licence: 1,
-      name: 1,
-      company: 1,
-      map_status: 1,
-      location: 1
-    }
-  }).limit(limit);
+  const { q, limit, cursor, fields } = parsed.data;
+  const col = wellsCol();
+  const filter = buildWellsFilter(parsed.data);
+  const projection = projectionFor(fields);
+
+  const asDls = parseDls(q);
+  if (asDls) {
+    if (cursor?.k === "rank") return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = addLocation(
+      { ...filter, ...afterId(cursor) },
+      { $geoWithin: { $geometry: boundsPolygon(dlsBounds(asDls)) } }
+    );
+    const rows = await col.find(query, { projection }).sort({ _id: 1 }).limit(limit + 1).toArray();
+
+    const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+    return res.json({ q, dls: asDls, count: page.length, results: page.map(d => serializeWell(d, fields)), next_cursor, next });
+  }
+
+  if (cursor && cursor.k !== "rank") return res.status(400).json({ error: "Invalid cursor" });
 
-  const results = await cursor.toArray();
-  res.json({ count: results.length, results });
+  let hits = searchIndex(await getSearchIndex(col), q);
+
+  // Attribute filters are applied by Mongo to the ranked ids, keeping the order
+  if (Object.keys(filter).length && hits.length) {
+    const ids = hits.map(h => new ObjectId(h.id));
+    const allowed = new Set(
+      (await col.find({ ...filter, _id: { $in: ids } }, { projection: { _id: 1 } }).toArray()).map(d => String(d._id))
+    );
+    hits = hits.filter(h => allowed.has(h.id));
+  }
+
+  const offset = cursor?.o ?? 0;
+  const candidates = hits.slice(offset, offset + limit + 1);
+  const { page, next_cursor, next } = paginate(req, candidates, limit, rankCursorFor(offset));
+
+  const docs = await col.find({ _id: { $in: page.map(h => new ObjectId(h.id)) } }, { projection }).toArray();
+  const byId = new Map(docs.map(d => [String(d._id), d]));
+
+  const results = page
+    .filter(h => byId.has(h.id)) // dropped since the index was built
+    .map(h => ({
+      ...serializeWell(byId.get(h.id), fields),
+      score: Math.round(h.score * 1000) / 1000,
+      highlights: highlight(h.doc, h.terms)
+    }));
+
+  res.json({ q, total: hits.length, count: results.length, results, next_cursor, next });
 });
 
 
-wellsRouter.get("/search", async (req, res) => {
-  const schema = z.object({
-    q: z.string().min(1),
-    limit: z.coerce.number().min(1).max(50).default(20)
-  });
 
-  const parsed = schema.safeParse(req.query);
+
+// Typeahead: grouped company / well name / licence suggestions from the prefix index
+const suggestQuery = z.object({
+  q: z.string().trim().min(1).max(100),
+  limit: z.coerce.number().min(1).max(20).default(5)
+});
+
+const suggestedWell = z.object({ _id: z.string(), name: z.string().nullable(), licence: z.number().int() });
+
+describe("get", "/suggest", {
+  summary: "Typeahead suggestions grouped by company, well name and licence",
+  query: suggestQuery,
+  response: z.object({
+    q: z.string(),
+    companies: z.array(z.object({ company: z.string(), count: z.number().int() })),
+    names: z.array(suggestedWell),
+    licences: z.array(suggestedWell)
+  })
+});
+
+wellsRouter.get("/suggest", cached, async (req, res) => {
+  const parsed = suggestQuery.safeParse(req.query);
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
   const { q, limit } = parsed.data;
-  const qTrim = q.trim();
+  const [idx, companies] = await Promise.all([getSearchIndex(wellsCol()), getCompanyResolver()]);
 
-  const col = wellsCol();
+  const out = suggest(idx, q, limit, { foldCompanies: rows => foldCompanyCounts(rows, companies) });
+  res.json({ q, ...out });
+});
 
 
-  const asNumber = /^[0-9]+$/.test(qTrim) ? Number(qTrim) : null;
+describe("get", "/licence/:licence", {
+  summary: "One well by licence number",
+  params: licencePath,
+  query: fullFieldsQuery,
+  response: wellSchema,
+  errors: [404]
+});
+
+wellsRouter.get("/licence/:licence", cached, async (req, res) => {
+  const licence = Number(req.params.licence);
+  if (!Number.isFinite(licence)) {
+    return res.status(400).json({ error: "Invalid licence" });
+  }
 
-  const filter = asNumber !== null
-    ? { $or: [{ licence: asNumber }, { name: { $regex: qTrim, $options: "i" } }, { company: { $regex: qTrim, $options: "i" } }] }
-    : { $or: [{ name: { $regex: qTrim, $options: "i" } }, { company: { $regex: qTrim, $options: "i" } }] };
+  const parsed = fullFieldsQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
 
-  const results = await col.find(filter, {
-    projection: {
-      licence: 1,
-      name: 1,
-      company: 1,
-      map_status: 1,
-      easting: 1,
-      northing: 1,
-      location: 1
-    }
-  }).limit(limit).toArray();
+  const { fields } = parsed.data;
+  const doc = await wellsCol().findOne({ licence }, { projection: projectionFor(fields) });
+  if (!doc) return res.status(404).json({ error: "Not found" });
 
-  res.json({ q: qTrim, count: results.length, results });
+  res.json(serializeWell(doc, fields));
 });
 
+// Change log for one licence, oldest first. Removed wells keep their history.
+const historyQuery = z.object({
+  field: changeFieldParam.optional(),
+  limit: z.coerce.number().min(1).max(500).default(100),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("full")
+});
 
+describe("get", "/licence/:licence/history", {
+  summary: "Versioned change log of one licence, oldest first",
+  description: "current is the well as it is now (null once removed); fields shapes current only.",
+  params: licencePath,
+  query: historyQuery,
+  response: pageOf(changeSchema, { licence: z.number().int(), current: wellSchema.nullable(), total: z.number().int() }),
+  errors: [404]
+});
 
-
-wellsRouter.get("/licence/:licence", async (req, res) => {
+wellsRouter.get("/licence/:licence/history", cached, async (req, res) => {
   const licence = Number(req.params.licence);
   if (!Number.isFinite(licence)) {
     return res.status(400).json({ error: "Invalid licence" });
   }
 
-  const doc = await wellsCol().findOne({ licence });
-  if (!doc) return res.status(404).json({ error: "Not found" });
+  const parsed = historyQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
 
-  res.json(doc);
-});
+  const { field, limit, cursor, fields } = parsed.data;
+  const match = { licence, ...(field && { fields: { $in: field } }) };
 
+  const [doc, total, rows] = await Promise.all([
+    wellsCol().findOne({ licence }, { projection: projectionFor(fields) }),
+    wellChangesCol().countDocuments(match),
+    wellChangesCol().find({ ...match, ...afterId(cursor) }).sort({ _id: 1 }).limit(limit + 1).toArray()
+  ]);
+  if (!doc && !total && !cursor) return res.status(404).json({ error: "Not found" });
 
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
 
-wellsRouter.get("/geojson", async (req, res) => {
-  const schema = z.object({
-    bbox: z.string().optional(),
-    limit: z.coerce.number().min(1).max(5000).default(2000)
+  res.json({
+    licence,
+    current: doc ? serializeWell(doc, fields) : null,
+    total,
+    count: page.length,
+    results: page.map(serializeChange),
+    next_cursor,
+    next
   });
+});
+
+
+
+const geojsonQuery = filterSchema.extend({
+  limit: z.coerce.number().min(1).max(5000).default(2000),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("full")
+});
 
-  const parsed = schema.safeParse(req.query);
+describe("get", "/geojson", {
+  summary: "Wells as a GeoJSON FeatureCollection, paged",
+  query: geojsonQuery,
+  response: featureCollectionOf(undefined, {
+    crs: z.unknown(),
+    count: z.number().int(),
+    next_cursor: z.string().nullable(),
+    next: z.string().nullable()
+  })
+});
+
+wellsRouter.get("/geojson", cached, async (req, res) => {
+  const parsed = geojsonQuery.safeParse(req.query);
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
-  const { bbox, limit } = parsed.data;
+  const { limit, cursor, fields } = parsed.data;
+  const query = { ...buildWellsFilter(parsed.data), ...afterId(cursor) };
 
-  const query = {};
-  if (bbox) {
-    const parts = bbox.split(",").map(Number);
-    if (parts.length !== 4 || parts.some(Number.isNaN)) {
-      return res.status(400).json({ error: "bbox must be minLon,minLat,maxLon,maxLat" });
-    }
-    const [minLon, minLat, maxLon, maxLat] = parts;
+  // location is always fetched: it's the feature geometry
+  const rows = await wellsCol().find(query, { projection: projectionFor(fields, ["location"]) })
+    .sort({ _id: 1 }).limit(limit + 1).toArray();
 
-    query.location = {
-      $geoWithin: {
-        $box: [
-          [minLon, minLat],
-          [maxLon, maxLat]
-        ]
-      }
-    };
-  }
+  const { page: docs, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
 
-  const docs = await wellsCol().find(query, {
-    projection: {
-      licence: 1,
-      name: 1,
-      company: 1,
-      map_status: 1,
-      mineral_ri: 1,
-      status: 1,
-      status_date: 1,
-      techdoc_url: 1,
-      location: 1
-    }
-  }).limit(limit).toArray();
-
-  const features = docs
-    .filter(d => d.location && d.location.type === "Point" && Array.isArray(d.location.coordinates))
-    .map(d => ({
-      type: "Feature",
-      id: String(d._id),
-      geometry: d.location,
-      properties: {
-        _id: String(d._id),
-        licence: d.licence,
-        name: d.name,
-        company: d.company,
-        map_status: d.map_status,
-        mineral_ri: d.mineral_ri,
-        status: d.status,
-        status_date: d.status_date,
-        techdoc_url: d.techdoc_url
-      }
-    }));
+  const { crs } = parsed.data;
+  const features = docs.filter(hasPoint).map(d => geometryFromWgs84(crs, toFeature(d, fields)));
 
   res.json({
     type: "FeatureCollection",
+    crs: crsMember(crs),
     count: features.length,
-    features
+    features,
+    next_cursor,
+    next
   });
 });
 
 
-wellsRouter.get("/random", async (req, res) => {
-  const schema = z.object({
-    map_status: z.string().optional(),
-    status: z.string().optional()
-  });
+const randomQuery = filterSchema.extend({ fields: fieldsParam("full") });
 
-  const parsed = schema.safeParse(req.query);
-  if (!parsed.success) return res.status(400).json({ error: "Invalid query" });
+describe("get", "/random", {
+  summary: "A random well matching the filters",
+  query: randomQuery,
+  response: wellSchema,
+  errors: [404]
+});
 
-  const { map_status, status } = parsed.data;
+wellsRouter.get("/random", async (req, res) => {
+  const parsed = randomQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
 
-  const match = {};
-  if (map_status) match.map_status = map_status;
-  if (status) match.status = status;
+  const { fields } = parsed.data;
+  const match = buildWellsFilter(parsed.data);
 
   const [doc] = await wellsCol().aggregate([
     { $match: match },
-    { $sample: { size: 1 } }
+    { $sample: { size: 1 } },
+    { $project: projectionFor(fields) }
   ]).toArray();
 
   if (!doc) return res.status(404).json({ error: "No matching well found" });
-  res.json(doc);
+  res.json(serializeWell(doc, fields));
 });
 
 
-wellsRouter.get("/licence/:licence/similar/company", async (req, res) => {
-  const licence = Number(req.params.licence);
-  const limit = Math.min(Number(req.query.limit ?? 20), 200);
+const similarCompanyQuery = z.object({
+  limit: z.coerce.number().min(1).max(200).default(20),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("map")
+});
 
+describe("get", "/licence/:licence/similar/company", {
+  summary: "Other wells of the same operator (any spelling)",
+  params: licencePath,
+  query: similarCompanyQuery,
+  response: pageOf(wellSchema, { licence: z.number().int(), company: z.string().nullable() }),
+  errors: [404]
+});
+
+wellsRouter.get("/licence/:licence/similar/company", cached, async (req, res) => {
+  const licence = Number(req.params.licence);
   if (!Number.isFinite(licence)) return res.status(400).json({ error: "Invalid licence" });
 
-  const base = await wellsCol().findOne({ licence }, { projection: { company: 1 } });
+  const parsed = similarCompanyQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { limit, cursor, fields } = parsed.data;
+
+  const [base, companies] = await Promise.all([
+    wellsCol().findOne({ licence }, { projection: { company: 1 } }),
+    getCompanyResolver()
+  ]);
   if (!base) return res.status(404).json({ error: "Base well not found" });
 
-  const results = await wellsCol().find(
-    { company: base.company, licence: { $ne: licence } },
-    { projection: { licence: 1, name: 1, company: 1, map_status: 1, location: 1 } }
-  ).limit(limit).toArray();
+  // Same operator under any spelling
+  const variants = base.company == null ? [] : companies.variantsOf(base.company);
+  const company = variants.length ? { $in: variants } : base.company;
 
-  res.json({ licence, company: base.company, count: results.length, results });
+  const rows = await wellsCol().find(
+    { company, licence: { $ne: licence }, ...afterId(cursor) },
+    { projection: projectionFor(fields) }
+  ).sort({ _id: 1 }).limit(limit + 1).toArray();
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+  res.json({ licence, company: companies.canonicalOf(base.company), count: page.length, results: page.map(d => serializeWell(d, fields)), next_cursor, next });
 });
 
-wellsRouter.get("/licence/:licence/similar/radius", async (req, res) => {
-  const licence = Number(req.params.licence);
-  const maxDistance = Math.min(Number(req.query.maxDistance ?? 10000), 200000);
-  const limit = Math.min(Number(req.query.limit ?? 50), 500);
+const similarRadiusQuery = z.object({
+  maxDistance: z.coerce.number().min(1).max(200000).default(10000),
+  limit: z.coerce.number().min(1).max(500).default(50),
+  cursor: nearCursorParam.optional(),
+  fields: fieldsParam("map")
+});
+
+describe("get", "/licence/:licence/similar/radius", {
+  summary: "Wells within maxDistance metres of another well, closest first",
+  params: licencePath,
+  query: similarRadiusQuery,
+  response: pageOf(wellWithDistance, {
+    base: z.object({ licence: z.number().int(), name: z.string().nullable(), lon: z.number(), lat: z.number() }),
+    maxDistance: z.number()
+  }),
+  errors: [404]
+});
 
+wellsRouter.get("/licence/:licence/similar/radius", cached, async (req, res) => {
+  const licence = Number(req.params.licence);
   if (!Number.isFinite(licence)) return res.status(400).json({ error: "Invalid licence" });
 
+  const parsed = similarRadiusQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { maxDistance, limit, cursor, fields } = parsed.data;
+
   const base = await wellsCol().findOne(
     { licence },
     { projection: { licence: 1, location: 1, name: 1 } }
@@ -289,120 +509,159 @@ wellsRouter.get("/licence/:licence/similar/radius", async (req, res) => {
 
   const [lon, lat] = base.location.coordinates;
 
-  const results = await wellsCol().find(
-    {
-      licence: { $ne: licence },
-      location: {
-        $near: {
-          $geometry: { type: "Point", coordinates: [lon, lat] },
-          $maxDistance: maxDistance
-        }
-      }
-    },
-    { projection: { licence: 1, name: 1, company: 1, map_status: 1, location: 1 } }
-  ).limit(limit).toArray();
+  const rows = await wellsCol().aggregate(geoNearPipeline({
+    lon,
+    lat,
+    maxDistance,
+    query: { licence: { $ne: licence } },
+    cursor,
+    limit,
+    projection: projectionFor(fields)
+  })).toArray();
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, nearCursorFor(cursor));
 
   res.json({
     base: { licence: base.licence, name: base.name, lon, lat },
     maxDistance,
-    count: results.length,
-    results
+    count: page.length,
+    results: page.map(d => serializeWell(d, fields)),
+    next_cursor,
+    next
   });
 });
 
 
-//poly helpers
-function closeRingIfNeeded(ring) {
-  if (ring.length < 4) return ring;
-  const first = ring[0];
-  const last = ring[ring.length - 1];
-  const same = first[0] === last[0] && first[1] === last[1];
-  return same ? ring : [...ring, first];
-}
+// Expecting a GeoJSON Polygon/MultiPolygon/Feature/FeatureCollection (see areaGeometrySchema),
+// optionally with a top-level "limit"
+const polygonOptions = z.object({
+  limit: z.coerce.number().min(1).max(5000).default(2000)
+});
 
-function clampLonLat([lon, lat]) {
-  return [
-    Math.max(-180, Math.min(180, lon)),
-    Math.max(-90, Math.min(90, lat))
-  ];
-}
+const polygonBodySchema = z.preprocess(
+  body => ({ geometry: body, limit: body?.limit }),
+  polygonOptions.extend({ geometry: areaGeometrySchema })
+);
+
+// polygon/stats also takes optional point-pattern settings alongside the geometry
+const polygonStatsOptions = z.object({
+  ripley_distances: z.array(z.number().positive().max(20000)).min(1).max(20).optional(),
+  dbscan: z
+    .object({
+      eps_m: z.number().positive().max(20000),
+      min_points: z.number().int().min(2).max(1000).default(5)
+    })
+    .optional()
+});
 
-// Expecting: { coordinates: [[ [lon,lat], [lon,lat], ... ]] }
-const polygonBodySchema = z.object({
-  coordinates: z.array(
-    z.array(
-      z.tuple([z.number(), z.number()]) 
-    ).min(3) // at least triangle before closing
-  ).min(1),
-  limit: z.coerce.number().min(1).max(5000).default(2000)
+const polygonStatsBodySchema = z.preprocess(
+  body => ({ geometry: body, ripley_distances: body?.ripley_distances, dbscan: body?.dbscan }),
+  polygonStatsOptions.extend({ geometry: areaGeometrySchema })
+);
+
+// POST bodies are in the `crs` query param's CRS (WGS84 by default)
+const crsQuerySchema = z.object({ crs: crsSchema.optional() });
+const crsFieldsQuerySchema = crsQuerySchema.extend({ fields: fieldsParam("map") });
+
+// The options sit next to the geometry's own keys on the wire
+describe("post", "/polygon/query", {
+  summary: "Wells inside a polygon or multipolygon",
+  query: crsFieldsQuerySchema,
+  body: z.intersection(areaGeometrySchema, polygonOptions),
+  response: z.object({ count: z.number().int(), results: z.array(wellSchema) })
 });
 
 // A) Query wells inside polygon
-wellsRouter.post("/polygon/query", async (req, res) => {
-  const parsed = polygonBodySchema.safeParse(req.body);
+wellsRouter.post("/polygon/query", cached, async (req, res) => {
+  const q = crsFieldsQuerySchema.safeParse(req.query);
+  if (!q.success) {
+    return res.status(400).json({ error: "Invalid query", details: q.error.flatten() });
+  }
+
+  const parsed = polygonBodySchema.safeParse(geometryToWgs84(q.data.crs, req.body));
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
   }
 
-  const { coordinates, limit } = parsed.data;
-
-  // Use first ring only (outer boundary)
-  let ring = coordinates[0].map(clampLonLat);
-  ring = closeRingIfNeeded(ring);
-
-  if (ring.length < 4) {
-    return res.status(400).json({ error: "Polygon ring must have at least 3 points (and will be closed)." });
-  }
+  const { geometry, limit } = parsed.data;
 
   const query = {
     location: {
       $geoWithin: {
-        $geometry: {
-          type: "Polygon",
-          coordinates: [ring]
-        }
+        $geometry: geometry
       }
     }
   };
 
-  const results = await wellsCol().find(query, {
-    projection: {
-      licence: 1,
-      name: 1,
-      company: 1,
-      map_status: 1,
-      status: 1,
-      status_date: 1,
-      mineral_ri: 1,
-      deviation: 1,
-      techdoc_url: 1,
-      location: 1
-    }
-  }).limit(limit).toArray();
+  const { fields } = q.data;
+  const results = await wellsCol().find(query, { projection: projectionFor(fields) }).limit(limit).toArray();
 
-  res.json({ count: results.length, results });
+  res.json({ count: results.length, results: results.map(d => serializeWell(d, fields)) });
 });
 
 
 
-wellsRouter.post("/polygon/stats", async (req, res) => {
-  const parsed = polygonBodySchema.safeParse(req.body);
+const splitRow = (key) => z.object({ [key]: z.string(), count: z.number().int() });
+
+describe("post", "/polygon/stats", {
+  summary: "Operator, status and spatial-pattern statistics for the wells inside an area",
+  description:
+    "Nearest-neighbour index and HHI always; Ripley's K/L with ripley_distances (metres) and " +
+    "DBSCAN cluster hulls with dbscan. All of them use every matching well.",
+  query: crsQuerySchema,
+  body: z.intersection(areaGeometrySchema, polygonStatsOptions),
+  response: z.object({
+    polygon: geometrySchema,
+    count: z.number().int(),
+    top_companies: z.array(z.object({ company: z.string(), count: z.number().int() })),
+    deviation_vs_outcome: z.array(z.object({ deviation: z.string(), status: z.string(), count: z.number().int() })),
+    mineral_rights_split: z.array(splitRow("mineral_ri").extend({ pct: z.number() })),
+    map_status_split: z.array(splitRow("map_status")),
+    status_date_summary: z.object({ min_status_date: z.string().nullable(), max_status_date: z.string().nullable() }).nullable(),
+    median_status_date: z.iso.datetime().nullable(),
+    median_status_year: z.number().int().nullable(),
+    area_m2: z.number(),
+    wells_with_coords: z.number().int(),
+    mean_nnd_m: z.number().nullable(),
+    expected_mean_nnd_m: z.number().nullable(),
+    nni: z.number().nullable().meta({ description: "Clark-Evans nearest-neighbour index" }),
+    nnd_used_n: z.number().int(),
+    nnd_capped: z
+      .literal(false)
+      .meta({ deprecated: true, description: "Always false now that every well is used; kept for older clients" }),
+    hhi: z.number().nullable(),
+    ripley_k: z
+      .array(z.object({ distance_m: z.number(), k: z.number(), l: z.number(), l_minus_r: z.number() }))
+      .optional(),
+    clusters: z
+      .object({
+        eps_m: z.number(),
+        min_points: z.number().int(),
+        noise: z.number().int(),
+        hulls: featureCollectionOf(
+          z.object({ cluster: z.number().int(), count: z.number().int(), hull_area_m2: z.number() })
+        )
+      })
+      .optional()
+  })
+});
+
+wellsRouter.post("/polygon/stats", cached, async (req, res) => {
+  const q = crsQuerySchema.safeParse(req.query);
+  if (!q.success) {
+    return res.status(400).json({ error: "Invalid query", details: q.error.flatten() });
+  }
+
+  const parsed = polygonStatsBodySchema.safeParse(geometryToWgs84(q.data.crs, req.body));
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
   }
 
-  const { coordinates } = parsed.data;
-
-  let ring = coordinates[0].map(clampLonLat);
-  ring = closeRingIfNeeded(ring);
-
-  if (ring.length < 4) {
-    return res.status(400).json({ error: "Polygon ring must have at least 3 points (and will be closed)." });
-  }
+  const { geometry, ripley_distances, dbscan: dbscanOpts } = parsed.data;
 
   const within = {
     $geoWithin: {
-      $geometry: { type: "Polygon", coordinates: [ring] }
+      $geometry: geometry
     }
   };
 
@@ -412,7 +671,6 @@ wellsRouter.post("/polygon/stats", async (req, res) => {
    
     {
       $addFields: {
-        company_norm: { $ifNull: ["$company", "Unknown"] },
         status_norm: { $ifNull: ["$status", "Unknown"] },
         deviation_norm: { $ifNull: ["$deviation", "Unknown"] },
         mineral_ri_norm: { $ifNull: ["$mineral_ri", "Unknown"] }
@@ -421,10 +679,9 @@ wellsRouter.post("/polygon/stats", async (req, res) => {
 
     {
       $facet: {
+        // raw values; merged per canonical operator below
         top_companies: [
-          { $group: { _id: "$company_norm", count: { $sum: 1 } } },
-          { $sort: { count: -1 } },
-          { $limit: 15 },
+          { $group: { _id: "$company", count: { $sum: 1 } } },
           { $project: { _id: 0, company: "$_id", count: 1 } }
         ],
 
@@ -446,24 +703,6 @@ wellsRouter.post("/polygon/stats", async (req, res) => {
           { $project: { _id: 0, map_status: "$_id", count: 1 } }
         ],
 
-        raw_for_metrics: [
-  {
-    $project: {
-      _id: 0,
-      company: "$company_norm",
-      mineral_ri: "$mineral_ri_norm",
-      status_date: "$status_date",
-      coords: "$location.coordinates"
-    }
-  },
-  { $limit: 10000 }
-],
-
-
-
-
-
-     
         status_date_summary: [
           {
             $group: {
@@ -475,199 +714,763 @@ wellsRouter.post("/polygon/stats", async (req, res) => {
           { $project: { _id: 0, min_status_date: 1, max_status_date: 1 } }
         ],
 
-        total: [{ $count: "count" }]
+        total: [{ $count: "count" }],
+        with_coords: [{ $match: { "location.type": "Point" } }, { $count: "count" }]
       }
     }
   ];
 
-  const [out] = await wellsCol().aggregate(pipeline, { allowDiskUse: true }).toArray();
+  const [[out], companies] = await Promise.all([
+    wellsCol().aggregate(pipeline, { allowDiskUse: true }).toArray(),
+    getCompanyResolver()
+  ]);
+
+  const count = out?.total?.[0]?.count ?? 0;
+  const wells_with_coords = out?.with_coords?.[0]?.count ?? 0;
+
+  // Every well feeds the point-pattern metrics and the median date; read
+  // outside $facet so the 16 MB single-document limit doesn't apply
+  const rows = await wellsCol()
+    .find(
+      { location: within, "location.type": "Point" },
+      { projection: { _id: 0, status_date: 1, coords: "$location.coordinates" } }
+    )
+    .toArray();
+
+  // ---- FREEHOLD vs Crown ratio (use mineral_rights_split you already return) ----
+  // We'll also compute percent in response for convenience
+  const mineral_rights_split = (out.mineral_rights_split ?? []).map(r => ({
+    ...r,
+    pct: count ? r.count / count : 0
+  }));
+
+  // ---- Median status_date ----
+  const dates = rows.map(r => r.status_date).filter(Boolean);
+  const median_status_date = medianDate(dates);
+  const median_status_year = median_status_date ? median_status_date.getUTCFullYear() : null;
+
+  // ---- Points ----
+  const points = rows
+    .map(r => r.coords)
+    .filter(c => Array.isArray(c) && c.length === 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]));
+
+  // ---- Area, density ----
+  const area_m2 = geometryAreaMeters2(geometry);
+  const lambda = area_m2 > 0 ? points.length / area_m2 : null; // per m²
+
+  // ---- NND + NNI (Clark–Evans) ----
+  const xy = points.map(toMetres);
+  const nnds = nearestNeighborDistances(xy);
+  const mean_nnd_m = nnds.length ? nnds.reduce((a, b) => a + b, 0) / nnds.length : null;
+
+  let expected_mean_nnd_m = null;
+  let nni = null;
+
+  if (mean_nnd_m != null && lambda != null && lambda > 0) {
+    expected_mean_nnd_m = 1 / (2 * Math.sqrt(lambda));
+    nni = mean_nnd_m / expected_mean_nnd_m;
+  }
 
-  const rows = out?.raw_for_metrics ?? [];
-const count = out?.total?.[0]?.count ?? 0;
+  // ---- HHI, over every well ----
+  const companyCounts = foldCompanyCounts(out.top_companies ?? [], companies);
+  const hhi = count > 0 ? hhiOf(companyCounts.map(c => c.count)) : null;
 
-// ---- FREEHOLD vs Crown ratio (use mineral_rights_split you already return) ----
-// We'll also compute percent in response for convenience
-const mineral_rights_split = (out.mineral_rights_split ?? []).map(r => ({
-  ...r,
-  pct: count ? r.count / count : 0
-}));
+  // ---- Ripley's K/L, DBSCAN clusters (opt-in) ----
+  const ripley_k = ripley_distances ? ripley(xy, area_m2, ripley_distances) : undefined;
 
-// ---- Median status_date ----
-const dates = rows.map(r => r.status_date).filter(Boolean);
-const median_status_date = medianDate(dates);
-const median_status_year = median_status_date ? median_status_date.getUTCFullYear() : null;
+  let clusters;
+  if (dbscanOpts) {
+    const labels = dbscan(xy, dbscanOpts.eps_m, dbscanOpts.min_points);
+    clusters = {
+      ...dbscanOpts,
+      noise: labels.filter(l => l === -1).length,
+      hulls: geometryFromWgs84(q.data.crs, clusterHulls(xy, labels))
+    };
+  }
 
-// ---- Points ----
-const points = rows
-  .map(r => r.coords)
-  .filter(c => Array.isArray(c) && c.length === 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]));
+  res.json({
+    polygon: geometryFromWgs84(q.data.crs, geometry),
+
+    // existing
+    count,
+    top_companies: companyCounts.slice(0, 15),
+    deviation_vs_outcome: out.deviation_vs_outcome ?? [],
+    mineral_rights_split,
+    map_status_split: out.map_status_split ?? [],
+    status_date_summary: out.status_date_summary?.[0] ?? null,
+
+    // NEW metrics
+    median_status_date,
+    median_status_year,
+
+    area_m2,
+    wells_with_coords,
+
+    mean_nnd_m,
+    expected_mean_nnd_m,
+    nni,
+    nnd_used_n: nnds.length,
+    nnd_capped: false,
+
+    hhi,
+    ripley_k,
+    clusters
+  });
+});
 
-// ---- Area, density ----
-const area_m2 = polygonAreaMeters2(ring);
-const lambda = area_m2 > 0 ? points.length / area_m2 : null; // per m²
 
-// ---- NND + NNI (Clark–Evans) ----
-const cap = points.length > 4000 ? 1200 : 1500;
-const nnd = meanNearestNeighborDistance(points, cap);
-const mean_nnd_m = nnd.mean_m;
+// Wells within `buffer` metres of a LineString (route) or Polygon/MultiPolygon (area)
+const corridorBodySchema = z.object({
+  geometry: z.unknown().meta({ description: "GeoJSON LineString (or Feature) for a route, or a Polygon/MultiPolygon area" }),
+  buffer: z.coerce.number().min(0).max(50000).default(500),
+  limit: z.coerce.number().min(1).max(5000).default(2000),
+  sort: z.enum(["along", "distance"]).optional()
+});
 
-let expected_mean_nnd_m = null;
-let nni = null;
+const lineInputSchema = z.union([
+  lineStringSchema,
+  z.object({ type: z.literal("Feature"), geometry: lineStringSchema }).transform(f => f.geometry)
+]);
 
-if (mean_nnd_m != null && lambda != null && lambda > 0) {
-  expected_mean_nnd_m = 1 / (2 * Math.sqrt(lambda));
-  nni = mean_nnd_m / expected_mean_nnd_m;
+function isLineInput(g) {
+  return g?.type === "LineString" || (g?.type === "Feature" && g.geometry?.type === "LineString");
 }
 
-// ---- HHI ----
-const companyCounts = new Map();
-for (const r of rows) {
-  const key = r.company ?? "Unknown";
-  companyCounts.set(key, (companyCounts.get(key) ?? 0) + 1);
-}
+// Vertices per candidate box; one box per chunk keeps the $or small on long routes
+const CORRIDOR_CHUNK = 25;
+// Wells in the candidate boxes, before the exact distance filter. Past this the
+// request is refused rather than pulling most of the collection into memory.
+const MAX_CORRIDOR_CANDIDATES = 10000;
+
+const corridorQuery = filterSchema.omit({ bbox: true }).extend({ fields: fieldsParam("map") });
+
+describe("post", "/corridor", {
+  summary: "Wells within a buffer of a route or area",
+  description:
+    "sort defaults to along (distance along the route) for lines and distance for areas. " +
+    `Refused with 400 when more than ${MAX_CORRIDOR_CANDIDATES} wells lie near the geometry.`,
+  query: corridorQuery,
+  body: corridorBodySchema,
+  response: z.object({
+    geometry: geometrySchema,
+    buffer: z.number(),
+    matched: z.number().int(),
+    count: z.number().int(),
+    results: z.array(wellWithDistance.extend({ along_m: z.number().nullable() }))
+  })
+});
 
-let hhi = null;
-if (count > 0) {
-  let sum = 0;
-  for (const c of companyCounts.values()) {
-    const share = c / count;
-    sum += share * share;
+wellsRouter.post("/corridor", cached, async (req, res) => {
+  const parsed = corridorBodySchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
   }
-  hhi = sum;
-}
 
+  const filters = corridorQuery.safeParse(req.query);
+  if (!filters.success) {
+    return res.status(400).json({ error: "Invalid query", details: filters.error.flatten() });
+  }
 
-res.json({
-  polygon: { type: "Polygon", coordinates: [ring] },
+  const { buffer, limit } = parsed.data;
+  const { crs, fields } = filters.data;
+  const isLine = isLineInput(parsed.data.geometry);
 
-  // existing
-  count,
-  top_companies: out.top_companies ?? [],
-  deviation_vs_outcome: out.deviation_vs_outcome ?? [],
-  mineral_rights_split,
-  map_status_split: out.map_status_split ?? [],
-  status_date_summary: out.status_date_summary?.[0] ?? null,
+  const geomParsed = (isLine ? lineInputSchema : areaGeometrySchema).safeParse(geometryToWgs84(crs, parsed.data.geometry));
+  if (!geomParsed.success) {
+    return res.status(400).json({ error: "Invalid geometry", details: geomParsed.error.flatten() });
+  }
+  const geometry = geomParsed.data;
+  const sort = parsed.data.sort ?? (isLine ? "along" : "distance");
+
+  // Coarse candidate boxes from the index, exact distances below
+  let candidates;
+  if (isLine) {
+    const line = geometry.coordinates;
+    const boxes = [];
+    for (let i = 0; i < line.length - 1; i += CORRIDOR_CHUNK) {
+      const chunk = line.slice(i, i + CORRIDOR_CHUNK + 1);
+      boxes.push({ location: { $geoWithin: { $geometry: boundsPolygon(bufferedBounds(chunk, buffer)) } } });
+    }
+    candidates = boxes.length === 1 ? boxes[0] : { $or: boxes };
+  } else {
+    const positions = (geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates]).flat(2);
+    candidates = { location: { $geoWithin: { $geometry: boundsPolygon(bufferedBounds(positions, buffer)) } } };
+  }
 
-  // NEW metrics
-  median_status_date,
-  median_status_year,
+  const query = candidates.$or
+    ? { ...buildWellsFilter(filters.data), $or: candidates.$or }
+    : addLocation(buildWellsFilter(filters.data), candidates.location);
+
+  // location is needed for the distances whether or not it's returned
+  const docs = await wellsCol()
+    .find(query, { projection: projectionFor(fields, ["location"]) })
+    .limit(MAX_CORRIDOR_CANDIDATES + 1)
+    .toArray();
+  if (docs.length > MAX_CORRIDOR_CANDIDATES) {
+    return res.status(400).json({
+      error: `More than ${MAX_CORRIDOR_CANDIDATES} wells near the geometry; use a smaller buffer, a shorter route or filters`
+    });
+  }
 
-  area_m2,
-  wells_with_coords: points.length,
+  const matched = docs
+    .filter(hasPoint)
+    .map(d => {
+      const p = d.location.coordinates;
+      if (isLine) {
+        const { distance_m, along_m } = nearestOnLine(p, geometry.coordinates);
+        return { ...d, distance_m, along_m };
+      }
+      return { ...d, distance_m: distanceToArea(p, geometry), along_m: null };
+    })
+    .filter(d => d.distance_m <= buffer)
+    .sort(sort === "along" ? (a, b) => a.along_m - b.along_m : (a, b) => a.distance_m - b.distance_m);
 
-  mean_nnd_m,
-  expected_mean_nnd_m,
-  nni,
-  nnd_used_n: nnd.used_n,
-  nnd_capped: nnd.capped,
+  const results = matched.slice(0, limit);
 
-  hhi
+  res.json({
+    geometry: geometryFromWgs84(crs, geometry),
+    buffer,
+    matched: matched.length,
+    count: results.length,
+    results: results.map(d => serializeWell(d, fields))
+  });
 });
 
+
+// Pairwise distances between stops (wells by licence or id, or bare points),
+// optionally ordered into a visit sequence
+const MAX_MATRIX_STOPS = 200;
+
+const stopSchema = z.union([
+  z.object({ licence: licenceSchema }),
+  z.object({ id: z.string().regex(/^[0-9a-f]{24}$/, "Invalid id") }),
+  z.object({ point: z.tuple([z.number(), z.number()]), label: z.string().max(200).optional() })
+]);
+
+const distanceMatrixBodySchema = z
+  .object({
+    licences: z.array(licenceSchema).max(MAX_MATRIX_STOPS).optional(),
+    stops: z.array(stopSchema).max(MAX_MATRIX_STOPS).optional(),
+    order: z.enum(["none", "nearest", "2opt"]).default("none"),
+    round_trip: z.boolean().default(false)
+  })
+  .transform(b => ({ ...b, stops: [...(b.licences ?? []).map(licence => ({ licence })), ...(b.stops ?? [])] }))
+  .refine(b => b.stops.length >= 2 && b.stops.length <= MAX_MATRIX_STOPS, {
+    message: `Provide 2 to ${MAX_MATRIX_STOPS} stops (licences and/or stops)`,
+    path: ["stops"]
+  });
+
+const matrixStop = z.object({
+  index: z.number().int(),
+  input: z.unknown(),
+  _id: z.string().optional(),
+  licence: z.number().int().optional(),
+  name: z.string().nullable().optional(),
+  company: z.string().nullable().optional(),
+  label: z.string().nullable().optional(),
+  coordinates: z.tuple([z.number(), z.number()])
 });
 
+describe("post", "/distance-matrix", {
+  summary: "Pairwise distances and bearings between stops, with an optional visit order",
+  description:
+    "Matrix rows and columns and route.sequence index into stops; stops[].index is the position in the request. " +
+    "Points and output coordinates are in crs.",
+  query: crsQuerySchema,
+  body: distanceMatrixBodySchema,
+  response: z.object({
+    stops: z.array(matrixStop),
+    not_found: z.array(z.object({ index: z.number().int(), input: z.unknown(), reason: z.enum(["not_found", "no_location"]) })),
+    distances_m: z.array(z.array(z.number())),
+    bearings_deg: z.array(z.array(z.number().nullable())),
+    route: z
+      .object({
+        order: z.enum(["nearest", "2opt"]),
+        round_trip: z.boolean(),
+        sequence: z.array(z.number().int()),
+        total_distance_m: z.number(),
+        legs: z.array(
+          z.object({ from: z.number().int(), to: z.number().int(), distance_m: z.number(), bearing_deg: z.number() })
+        ),
+        geometry: geometrySchema
+      })
+      .nullable()
+  })
+});
 
-function haversineMeters(aLonLat, bLonLat) {
-  const R = 6371000; // meters
-  const toRad = (d) => (d * Math.PI) / 180;
+wellsRouter.post("/distance-matrix", cached, async (req, res) => {
+  const q = crsQuerySchema.safeParse(req.query);
+  if (!q.success) {
+    return res.status(400).json({ error: "Invalid query", details: q.error.flatten() });
+  }
 
-  const [lon1, lat1] = aLonLat;
-  const [lon2, lat2] = bLonLat;
+  const parsed = distanceMatrixBodySchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
+  }
 
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
+  const { crs } = q.data;
+  const { stops: inputs, order, round_trip } = parsed.data;
+
+  const licences = inputs.filter(s => s.licence != null).map(s => s.licence);
+  const ids = inputs.filter(s => s.id).map(s => new ObjectId(s.id));
+  const docs = licences.length || ids.length
+    ? await wellsCol().find(
+      { $or: [{ licence: { $in: licences } }, { _id: { $in: ids } }] },
+      { projection: { licence: 1, name: 1, company: 1, location: 1 } }
+    ).toArray()
+    : [];
+
+  const byLicence = new Map(docs.map(d => [d.licence, d]));
+  const byId = new Map(docs.map(d => [String(d._id), d]));
+
+  const stops = [];
+  const not_found = [];
+  inputs.forEach((input, index) => {
+    if (input.point) {
+      stops.push({ index, input, label: input.label ?? null, coordinates: toWgs84(crs, input.point) });
+      return;
+    }
+    const doc = input.licence != null ? byLicence.get(input.licence) : byId.get(input.id);
+    if (!doc) return not_found.push({ index, input, reason: "not_found" });
+    if (!hasPoint(doc)) return not_found.push({ index, input, reason: "no_location" });
+    stops.push({
+      index,
+      input,
+      _id: String(doc._id),
+      licence: doc.licence,
+      name: doc.name,
+      company: doc.company,
+      coordinates: doc.location.coordinates
+    });
+  });
+
+  if (stops.length < 2) {
+    return res.status(400).json({ error: "Fewer than two stops could be located", not_found });
+  }
 
-  const lat1r = toRad(lat1);
-  const lat2r = toRad(lat2);
+  const distances_m = stops.map(a => stops.map(b => haversineMeters(a.coordinates, b.coordinates)));
+  const bearings_deg = stops.map((a, i) => stops.map((b, j) => (i === j ? null : bearingDegrees(a.coordinates, b.coordinates))));
+
+  // Matrix rows/columns and route.sequence index into `stops`; stops[].index is the input position
+  let route = null;
+  if (order !== "none") {
+    let seq = nearestNeighbourTour(distances_m, 0);
+    if (order === "2opt") seq = twoOpt(seq, distances_m, round_trip);
+    if (round_trip) seq = [...seq, seq[0]];
+
+    const legs = seq.slice(1).map((to, k) => ({
+      from: seq[k],
+      to,
+      distance_m: distances_m[seq[k]][to],
+      bearing_deg: bearings_deg[seq[k]][to]
+    }));
 
-  const h =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1r) * Math.cos(lat2r) * Math.sin(dLon / 2) ** 2;
+    route = {
+      order,
+      round_trip,
+      sequence: seq,
+      total_distance_m: legs.reduce((sum, l) => sum + l.distance_m, 0),
+      legs,
+      geometry: geometryFromWgs84(crs, { type: "LineString", coordinates: seq.map(i => stops[i].coordinates) })
+    };
+  }
 
-  return 2 * R * Math.asin(Math.sqrt(h));
-}
+  res.json({
+    stops: stops.map(s => ({ ...s, coordinates: fromWgs84(crs, s.coordinates) })),
+    not_found,
+    distances_m,
+    bearings_deg,
+    route
+  });
+});
 
-// Geodesic polygon area (m²) from lon/lat ring (closed)
-function polygonAreaMeters2(ringLonLat) {
-  const R = 6378137; // meters
-  const toRad = (d) => (d * Math.PI) / 180;
 
-  let sum = 0;
-  for (let i = 0; i < ringLonLat.length - 1; i++) {
-    const [lon1, lat1] = ringLonLat[i];
-    const [lon2, lat2] = ringLonLat[i + 1];
+// Many licences and/or ids in one request, for reconciliation jobs that would
+// otherwise hit the rate limit one lookup at a time
+const MAX_BATCH = 5000;
 
-    const lon1r = toRad(lon1);
-    const lon2r = toRad(lon2);
-    const lat1r = toRad(lat1);
-    const lat2r = toRad(lat2);
+const batchBodySchema = z
+  .object({
+    licences: z.array(z.union([z.number(), z.string()])).max(MAX_BATCH).default([]),
+    ids: z.array(z.string()).max(MAX_BATCH).default([]),
+    fields: fieldsParam("full")
+  })
+  .refine(b => b.licences.length + b.ids.length <= MAX_BATCH, {
+    message: `At most ${MAX_BATCH} licences and ids in total`,
+    path: ["licences"]
+  });
+
+describe("post", "/batch", {
+  summary: "Look up many wells by licence and/or id",
+  description: "fields may also be given as ?fields=. found is keyed by the licence or id as sent.",
+  query: z.object({ fields: batchBodySchema.shape.fields }),
+  body: batchBodySchema,
+  response: z.object({
+    requested: z.number().int(),
+    found_count: z.number().int(),
+    found: z.object({ licences: z.record(z.string(), wellSchema), ids: z.record(z.string(), wellSchema) }),
+    not_found: z.object({ licences: z.array(z.string()), ids: z.array(z.string()) }),
+    invalid: z.array(z.object({ input: z.unknown(), kind: z.enum(["licence", "id"]), reason: z.string() }))
+  })
+});
 
-    sum += (lon2r - lon1r) * (2 + Math.sin(lat1r) + Math.sin(lat2r));
+wellsRouter.post("/batch", cached, async (req, res) => {
+  // fields may be given in the body or, like everywhere else, as ?fields=
+  const parsed = batchBodySchema.safeParse({ ...req.body, fields: req.body?.fields ?? req.query.fields });
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid body", details: parsed.error.flatten() });
   }
-  return Math.abs(sum) * (R * R) / 2;
-}
 
-function medianDate(dates) {
-  const times = dates
-    .map((d) => new Date(d).getTime())
-    .filter((t) => Number.isFinite(t))
-    .sort((a, b) => a - b);
+  const { fields } = parsed.data;
+  const invalid = [];
 
-  if (!times.length) return null;
+  const licences = new Map(); // input as sent -> licence number
+  for (const input of parsed.data.licences) {
+    const licence = licenceSchema.safeParse(input);
+    if (licence.success) licences.set(String(input).trim(), licence.data);
+    else invalid.push({ input, kind: "licence", reason: "not a positive integer licence" });
+  }
 
-  const mid = Math.floor(times.length / 2);
-  const med =
-    times.length % 2 === 1
-      ? times[mid]
-      : Math.round((times[mid - 1] + times[mid]) / 2);
+  const ids = new Set();
+  for (const input of parsed.data.ids) {
+    if (ObjectId.isValid(input) && /^[0-9a-f]{24}$/i.test(input)) ids.add(input.toLowerCase());
+    else invalid.push({ input, kind: "id", reason: "not a 24-character hex ObjectId" });
+  }
 
-  return new Date(med);
+  const docs = licences.size || ids.size
+    ? await wellsCol().find(
+      { $or: [{ licence: { $in: [...new Set(licences.values())] } }, { _id: { $in: [...ids].map(id => new ObjectId(id)) } }] },
+      { projection: projectionFor(fields, ["licence"]) } // licence keys the lookup below
+    ).toArray()
+    : [];
+
+  const byLicence = new Map(docs.map(d => [d.licence, d]));
+  const byId = new Map(docs.map(d => [String(d._id), d]));
+
+  const found = { licences: {}, ids: {} };
+  const not_found = { licences: [], ids: [] };
+
+  for (const [input, licence] of licences) {
+    const doc = byLicence.get(licence);
+    if (doc) found.licences[input] = serializeWell(doc, fields);
+    else not_found.licences.push(input);
+  }
+  for (const id of ids) {
+    const doc = byId.get(id);
+    if (doc) found.ids[id] = serializeWell(doc, fields);
+    else not_found.ids.push(id);
+  }
+
+  res.json({
+    requested: parsed.data.licences.length + parsed.data.ids.length,
+    found_count: Object.keys(found.licences).length + Object.keys(found.ids).length,
+    found,
+    not_found,
+    invalid
+  });
+});
+
+
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
 }
 
-// O(n^2), so cap to avoid melting
-function meanNearestNeighborDistance(pointsLonLat, cap = 1500) {
-  const n0 = pointsLonLat.length;
-  if (n0 < 2) return { mean_m: null, used_n: n0, capped: false };
-
-  let pts = pointsLonLat;
-  let capped = false;
-
-  if (n0 > cap) {
-    capped = true;
-    // random sample
-    const shuffled = [...pointsLonLat];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Streams straight off the Mongo cursor, so there is no row cap
+const exportQuery = filterSchema.extend({
+  format: z.enum(["csv", "ndjson", "geojson", "kml"]).default("csv"),
+  fields: fieldsParam("full")
+});
+
+describe("get", "/export", {
+  summary: "Download every matching well as CSV, NDJSON, GeoJSON or KML",
+  description: "CSV text cells starting with =, +, -, @, tab or carriage return get a leading ' so spreadsheets don't run them.",
+  scope: "export",
+  query: exportQuery,
+  responses: {
+    200: {
+      description: "File download (Content-Disposition: attachment)",
+      content: Object.fromEntries(Object.values(exportFormats).map(f => [f.contentType.split(";")[0], z.string()]))
     }
-    pts = shuffled.slice(0, cap);
+  }
+});
+
+wellsRouter.get("/export", async (req, res) => {
+  const parsed = exportQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
   }
 
-  const n = pts.length;
-  let total = 0;
+  const { format, crs, fields } = parsed.data;
+  const query = buildWellsFilter(parsed.data);
 
-  for (let i = 0; i < n; i++) {
-    let best = Infinity;
-    for (let j = 0; j < n; j++) {
-      if (i === j) continue;
-      const d = haversineMeters(pts[i], pts[j]);
-      if (d < best) best = d;
-    }
-    total += best;
+  const fmt = exportFormats[format];
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.setHeader("Content-Type", fmt.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="wells-${stamp}.${fmt.ext}"`);
+
+  // GeoJSON and KML need location for the geometry even when it isn't a requested field
+  const cursor = wellsCol().find(query, { projection: projectionFor(fields, ["location"]) }).sort({ _id: 1 });
+
+  res.write(fmt.head({ crs, fields }));
+
+  let i = 0;
+  for await (const doc of cursor) {
+    if (res.destroyed) break; // client went away; breaking closes the cursor
+    if (fmt.skip?.(doc)) continue;
+    if (!res.write(fmt.row(doc, i++, { crs, fields }))) await drained(res);
   }
 
-  return { mean_m: total / n, used_n: n, capped };
+  if (!res.destroyed) res.end(fmt.tail());
+});
+
+
+// Legal land description of a point
+const dlsLookupQuery = z.object({
+  lon: z.coerce.number().min(-180).max(180),
+  lat: z.coerce.number().min(-90).max(90)
+});
+
+describe("get", "/dls/lookup", {
+  summary: "Legal land description of a point",
+  query: dlsLookupQuery,
+  response: z.object({ lon: z.number(), lat: z.number(), dls: wellSchema.shape.dls.unwrap().unwrap() }),
+  errors: [404]
+});
+
+wellsRouter.get("/dls/lookup", cached, async (req, res) => {
+  const parsed = dlsLookupQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { lon, lat } = parsed.data;
+  const dls = lonLatToDls([lon, lat]);
+  if (!dls) return res.status(404).json({ error: "Point is outside the DLS grid" });
+
+  res.json({ lon, lat, dls });
+});
+
+// A township, section or LSD: its outline and the wells inside it
+const dlsWellsQuery = filterSchema.omit({ dls: true }).extend({
+  limit: z.coerce.number().min(1).max(5000).default(500),
+  cursor: idCursorParam.optional(),
+  fields: fieldsParam("map")
+});
+
+describe("get", "/dls/:dls", {
+  summary: "Outline of a township, section or LSD and the wells inside it",
+  params: z.object({ dls: filterSchema.shape.dls.unwrap() }),
+  query: dlsWellsQuery,
+  response: pageOf(wellSchema, {
+    dls: z.record(z.string(), z.unknown()),
+    bounds: z.tuple([z.number(), z.number(), z.number(), z.number()]),
+    geometry: geometrySchema,
+    center: z.tuple([z.number(), z.number()])
+  })
+});
+
+wellsRouter.get("/dls/:dls", cached, async (req, res) => {
+  const dls = parseDls(req.params.dls);
+  if (!dls) {
+    return res.status(400).json({ error: "dls must look like 04-12-010-28W1, 12-010-28W1 or 010-28W1" });
+  }
+
+  const parsed = dlsWellsQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { limit, cursor, fields } = parsed.data;
+  const bounds = dlsBounds(dls);
+  const query = buildWellsFilter({ ...parsed.data, dls });
+
+  const rows = await wellsCol().find({ ...query, ...afterId(cursor) }, { projection: projectionFor(fields) })
+    .sort({ _id: 1 }).limit(limit + 1).toArray();
+
+  const { page, next_cursor, next } = paginate(req, rows, limit, idCursorFor);
+
+  res.json({
+    dls,
+    bounds,
+    geometry: boundsPolygon(bounds),
+    center: [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2],
+    count: page.length,
+    results: page.map(d => serializeWell(d, fields)),
+    next_cursor,
+    next
+  });
+});
+
+
+// Vector tiles: grid clusters up to CLUSTER_MAX_ZOOM, individual wells above it
+const CLUSTER_MAX_ZOOM = 11;
+const CLUSTER_CELL = 256; // tile units, i.e. 16 px on a 256 px tile
+const TILE_BUFFER = 64;
+// A z12+ tile is ~10 km across; more wells than this would be unreadable anyway
+const MAX_TILE_WELLS = 10000;
+
+// Clusters are bucketed in Mongo (at most (TILE_EXTENT / CLUSTER_CELL)² groups per
+// tile), so low zooms never pull the wells themselves into memory
+async function clusterTile(query, zoom, x, y) {
+  const px = tileProjectionExpr("$location.coordinates", zoom, x, y);
+  const cell = (field) => ({ $floor: { $divide: [field, CLUSTER_CELL] } });
+
+  const rows = await wellsCol().aggregate([
+    { $match: { $and: [query, { "location.type": "Point" }] } },
+    { $project: { _id: 0, map_status: { $ifNull: ["$map_status", "Unknown"] }, x: px.x, y: px.y } },
+    // Clusters belong to the tile holding their cell; buffer points are left to the neighbour
+    { $match: { x: { $gte: 0, $lt: TILE_EXTENT }, y: { $gte: 0, $lt: TILE_EXTENT } } },
+    {
+      $group: {
+        _id: { cx: cell("$x"), cy: cell("$y"), status: "$map_status" },
+        count: { $sum: 1 },
+        sx: { $sum: "$x" },
+        sy: { $sum: "$y" }
+      }
+    },
+    {
+      $group: {
+        _id: { cx: "$_id.cx", cy: "$_id.cy" },
+        count: { $sum: "$count" },
+        sx: { $sum: "$sx" },
+        sy: { $sum: "$sy" },
+        statuses: { $push: { status: "$_id.status", count: "$count" } }
+      }
+    }
+  ]).toArray();
+
+  return rows.map(c => {
+    const statuses = c.statuses.sort((a, b) => b.count - a.count || a.status.localeCompare(b.status));
+    return {
+      x: Math.round(c.sx / c.count),
+      y: Math.round(c.sy / c.count),
+      properties: {
+        count: c.count,
+        dominant_map_status: statuses[0].status,
+        map_status_counts: JSON.stringify(Object.fromEntries(statuses.map(s => [s.status, s.count])))
+      }
+    };
+  });
+}
+
+async function wellsTile(query, zoom, x, y) {
+  const projection = { licence: 1, name: 1, company: 1, map_status: 1, status: 1, status_date: 1, techdoc_url: 1, location: 1 };
+  const docs = await wellsCol().find(query, { projection }).limit(MAX_TILE_WELLS).toArray();
+
+  return docs
+    .filter(hasPoint)
+    .map(d => {
+      const [px, py] = projectToTile(d.location.coordinates, zoom, x, y);
+      return { ...d, x: px, y: py };
+    })
+    .filter(p => p.x >= -TILE_BUFFER && p.y >= -TILE_BUFFER && p.x < TILE_EXTENT + TILE_BUFFER && p.y < TILE_EXTENT + TILE_BUFFER)
+    .map(p => ({
+      id: Number.isInteger(p.licence) && p.licence >= 0 ? p.licence : undefined,
+      x: p.x,
+      y: p.y,
+      properties: {
+        _id: String(p._id),
+        licence: p.licence,
+        name: p.name,
+        company: p.company,
+        map_status: p.map_status,
+        status: p.status,
+        status_date: p.status_date,
+        techdoc_url: p.techdoc_url
+      }
+    }));
 }
 
+// Path and query are validated together
+const tileSchema = filterSchema.omit({ bbox: true }).extend({
+  z: z.coerce.number().int().min(0).max(22),
+  x: z.coerce.number().int().min(0),
+  y: z.coerce.number().int().min(0)
+});
+
+describe("get", "/tiles/:z/:x/:y.mvt", {
+  summary: "Mapbox vector tile of wells (clustered up to zoom 11)",
+  description:
+    `Layer "clusters" (count, dominant_map_status, map_status_counts) up to zoom ${CLUSTER_MAX_ZOOM}, ` +
+    'layer "wells" above it.',
+  params: tileSchema.pick({ z: true, x: true, y: true }),
+  query: tileSchema.omit({ z: true, x: true, y: true }),
+  responses: {
+    200: { description: "Vector tile", content: { "application/vnd.mapbox-vector-tile": z.string().meta({ format: "binary" }) } },
+    204: null
+  }
+});
+
+wellsRouter.get("/tiles/:z/:x/:y.mvt", async (req, res) => {
+  const parsed = tileSchema.safeParse({ ...req.query, ...req.params });
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid tile", details: parsed.error.flatten() });
+  }
+
+  const { z: zoom, x, y } = parsed.data;
+  if (x >= 2 ** zoom || y >= 2 ** zoom) {
+    return res.status(400).json({ error: "Tile out of range" });
+  }
+
+  // A tile only changes when the data version does, so revalidation needs no query
+  res.set("ETag", await versionEtag(req));
+  if (req.fresh) return res.status(304).end();
+
+  let query = buildWellsFilter(parsed.data);
+
+  // z0/z1 tiles span a hemisphere or more, which a 2dsphere polygon can't express
+  if (zoom >= 2) {
+    query = addLocation(query, { $geoWithin: { $geometry: boundsPolygon(tileBounds(zoom, x, y, TILE_BUFFER)) } });
+  }
+
+  const layers = zoom <= CLUSTER_MAX_ZOOM
+    ? { clusters: await clusterTile(query, zoom, x, y) }
+    : { wells: await wellsTile(query, zoom, x, y) };
 
+  const body = encodeTile(layers);
+  if (!body.length) return res.status(204).end();
+
+  res.set("Content-Type", "application/vnd.mapbox-vector-tile");
+  res.send(body);
+});
 
 
+function medianDate(dates) {
+  const times = dates
+    .map((d) => new Date(d).getTime())
+    .filter((t) => Number.isFinite(t))
+    .sort((a, b) => a - b);
 
+  if (!times.length) return null;
 
+  const mid = Math.floor(times.length / 2);
+  const med =
+    times.length % 2 === 1
+      ? times[mid]
+      : Math.round((times[mid - 1] + times[mid]) / 2);
 
+  return new Date(med);
+}
 
+describe("get", "/:id", {
+  summary: "One well by _id",
+  params: z.object({ id: z.string().regex(/^[0-9a-f]{24}$/) }),
+  query: fullFieldsQuery,
+  response: wellSchema,
+  errors: [404]
+});
 
-wellsRouter.get("/:id", async (req, res) => {
+wellsRouter.get("/:id", cached, async (req, res) => {
   const { id } = req.params;
 
   let _id;
@@ -677,10 +1480,16 @@ wellsRouter.get("/:id", async (req, res) => {
     return res.status(400).json({ error: "Invalid id" });
   }
 
-  const doc = await wellsCol().findOne({ _id });
+  const parsed = fullFieldsQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid query", details: parsed.error.flatten() });
+  }
+
+  const { fields } = parsed.data;
+  const doc = await wellsCol().findOne({ _id }, { projection: projectionFor(fields) });
   if (!doc) return res.status(404).json({ error: "Not found" });
 
-  res.json(doc);
+  res.json(serializeWell(doc, fields));
 });
 
 
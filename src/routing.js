@@ -0,0 +1,56 @@
+// Visit ordering over a distance matrix: a nearest-neighbour tour improved with
+// 2-opt. Exact optimisation isn't worth it at field-crew sizes (tens of stops);
+// 2-opt usually lands within a few percent of optimal.
+
+const MAX_2OPT_PASSES = 50;
+
+export function tourLength(order, matrix, roundTrip) {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i++) total += matrix[order[i]][order[i + 1]];
+  if (roundTrip && order.length > 1) total += matrix[order[order.length - 1]][order[0]];
+  return total;
+}
+
+export function nearestNeighbourTour(matrix, start = 0) {
+  const n = matrix.length;
+  const visited = new Array(n).fill(false);
+  const order = [start];
+  visited[start] = true;
+
+  for (let step = 1; step < n; step++) {
+    const from = order[order.length - 1];
+    let best = -1;
+    for (let j = 0; j < n; j++) {
+      if (!visited[j] && (best < 0 || matrix[from][j] < matrix[from][best])) best = j;
+    }
+    visited[best] = true;
+    order.push(best);
+  }
+  return order;
+}
+
+// Reverses segments while that shortens the tour. The first stop stays first;
+// on an open path the last stop is free to change.
+export function twoOpt(order, matrix, roundTrip) {
+  const tour = [...order];
+  const n = tour.length;
+  // positions in the tour; n stands for the open end of a path, reached at no cost
+  const cost = (a, b) => (b === n ? 0 : matrix[tour[a]][tour[b]]);
+  const after = (k) => (k + 1 < n ? k + 1 : roundTrip ? 0 : n);
+
+  for (let pass = 0; pass < MAX_2OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < n - 2; i++) {
+      for (let k = i + 2; k < n; k++) {
+        const delta = cost(i, i + 1) + cost(k, after(k)) - cost(i, k) - cost(i + 1, after(k));
+        if (delta > 1e-9) {
+          // reverse tour[i+1..k]
+          for (let a = i + 1, b = k; a < b; a++, b--) [tour[a], tour[b]] = [tour[b], tour[a]];
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return tour;
+}
@@ -0,0 +1,332 @@
+// In-memory search index over licence, name, company and status.
+// The whole collection is small enough to tokenize into process memory, which
+// gives us ranking, prefix matching and typo tolerance without regex scans.
+// It also holds the prefix tables behind /wells/suggest. It is rebuilt when a
+// change stream reports writes, and on a timer where change streams aren't
+// available (standalone servers).
+
+const FIELDS = ["licence", "name", "company", "status"];
+const FIELD_WEIGHT = { licence: 4, name: 2, company: 1.5, status: 1 };
+
+const EXACT = 1;
+const PREFIX = 0.7;
+const FUZZY = [0, 0.5, 0.3]; // by edit distance
+
+const MAX_PREFIX_TERMS = 200;
+const MAX_HITS = 2000;
+
+const STOPWORDS = new Set(["and", "the", "of"]);
+const REFRESH_MS = Number(process.env.SEARCH_INDEX_REFRESH_MS) || 10 * 60 * 1000;
+const CHANGE_DEBOUNCE_MS = 2000;
+
+let index = null;
+let building = null;
+let changeStream = null;
+let rebuildTimer = null;
+
+// Lowercased, accent-stripped word tokens with their offsets in the original string
+export function tokenize(value) {
+  const s = String(value ?? "");
+  const tokens = [];
+  for (const m of s.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const term = m[0].normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+    if (!STOPWORDS.has(term)) tokens.push({ term, start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+function maxEdits(term) {
+  if (/^\d+$/.test(term) || term.length < 2) return 0;
+  return term.length <= 5 ? 1 : 2;
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it can't stay within max
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function lowerBound(sorted, term) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < term) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Fuzzy candidates share the query token's first letter and are within its
+// edit budget in length, so a typo costs a few small buckets rather than a
+// pass over every term. A typo in the first letter isn't corrected.
+const fuzzyBucket = (first, length) => `${first}:${length}`;
+
+function addTo(map, key, value) {
+  let set = map.get(key);
+  if (!set) map.set(key, (set = new Set()));
+  set.add(value);
+}
+
+async function build(col) {
+  const docs = new Map();
+  const postings = new Map();
+  const companies = new Map(); // company -> well count
+  const companyByTerm = new Map();
+  const nameByTerm = new Map();
+  const licences = [];
+
+  const cursor = col.find({}, { projection: { licence: 1, name: 1, company: 1, status: 1 } });
+  for await (const doc of cursor) {
+    const id = String(doc._id);
+    docs.set(id, { licence: doc.licence, name: doc.name, company: doc.company, status: doc.status });
+
+    for (const field of FIELDS) {
+      for (const { term } of tokenize(doc[field])) {
+        let list = postings.get(term);
+        if (!list) postings.set(term, (list = []));
+        list.push({ id, field });
+      }
+    }
+
+    if (doc.company) {
+      companies.set(doc.company, (companies.get(doc.company) ?? 0) + 1);
+      for (const { term } of tokenize(doc.company)) addTo(companyByTerm, term, doc.company);
+    }
+    if (doc.name) {
+      for (const { term } of tokenize(doc.name)) addTo(nameByTerm, term, id);
+    }
+    if (doc.licence != null) licences.push([String(doc.licence), id]);
+  }
+
+  licences.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  const fuzzyBuckets = new Map();
+  for (const term of postings.keys()) {
+    const key = fuzzyBucket(term[0], term.length);
+    let bucket = fuzzyBuckets.get(key);
+    if (!bucket) fuzzyBuckets.set(key, (bucket = []));
+    bucket.push(term);
+  }
+
+  return {
+    docs,
+    postings,
+    terms: [...postings.keys()].sort(),
+    fuzzyBuckets,
+    companies,
+    companyByTerm,
+    companyTerms: [...companyByTerm.keys()].sort(),
+    nameByTerm,
+    nameTerms: [...nameByTerm.keys()].sort(),
+    licenceKeys: licences.map(l => l[0]),
+    licenceIds: licences.map(l => l[1]),
+    builtAt: Date.now()
+  };
+}
+
+function rebuild(col) {
+  building ??= build(col)
+    .then(next => {
+      index = next;
+      return next;
+    })
+    .finally(() => {
+      building = null;
+    });
+  return building;
+}
+
+function scheduleRebuild(col) {
+  clearTimeout(rebuildTimer);
+  rebuildTimer = setTimeout(() => {
+    rebuild(col).catch(err => console.error("Search index rebuild failed:", err));
+  }, CHANGE_DEBOUNCE_MS);
+  rebuildTimer.unref();
+}
+
+function watchForChanges(col) {
+  if (changeStream || typeof col.watch !== "function") return;
+
+  changeStream = col.watch([], { fullDocument: "default" });
+  changeStream.on("change", () => scheduleRebuild(col));
+  changeStream.on("error", err => {
+    // Standalone servers have no change streams; the refresh timer covers them
+    console.warn("Search index change stream unavailable:", err.message);
+    changeStream.close().catch(() => {});
+  });
+}
+
+// After a data reload; a build already in flight may have read the old data
+export async function refreshSearchIndex(col) {
+  await building?.catch(() => {});
+  return rebuild(col);
+}
+
+// The first call waits for the build; after that a stale index is served while
+// a fresh one is built in the background.
+export async function getSearchIndex(col) {
+  watchForChanges(col);
+  if (!index) return rebuild(col);
+  if (Date.now() - index.builtAt > REFRESH_MS) {
+    rebuild(col).catch(err => console.error("Search index rebuild failed:", err));
+  }
+  return index;
+}
+
+// Index terms a query token can stand for, with how well each matches
+function expandToken(idx, token) {
+  const out = new Map();
+  if (idx.postings.has(token)) out.set(token, EXACT);
+
+  const start = lowerBound(idx.terms, token);
+  for (let i = start; i < idx.terms.length && i - start < MAX_PREFIX_TERMS; i++) {
+    const t = idx.terms[i];
+    if (!t.startsWith(token)) break;
+    if (!out.has(t)) out.set(t, PREFIX);
+  }
+
+  const max = maxEdits(token);
+  for (let length = token.length - max; max > 0 && length <= token.length + max; length++) {
+    for (const t of idx.fuzzyBuckets.get(fuzzyBucket(token[0], length)) ?? []) {
+      if (out.has(t)) continue;
+      const d = editDistance(token, t, max);
+      if (d <= max) out.set(t, FUZZY[d]);
+    }
+  }
+
+  return out;
+}
+
+// Ranked hits: every query token has to match something in the document
+export function searchIndex(idx, q) {
+  const tokens = [...new Set(tokenize(q).map(t => t.term))];
+  if (!tokens.length) return [];
+
+  let acc = null; // id -> { score, terms: Map<field, Set<term>> }
+
+  for (const token of tokens) {
+    const best = new Map();
+    for (const [term, quality] of expandToken(idx, token)) {
+      for (const { id, field } of idx.postings.get(term)) {
+        const score = quality * FIELD_WEIGHT[field];
+        const cur = best.get(id);
+        if (!cur || score > cur.score) best.set(id, { score, field, term });
+      }
+    }
+
+    const next = new Map();
+    for (const [id, hit] of best) {
+      const prev = acc ? acc.get(id) : { score: 0, terms: new Map() };
+      if (!prev) continue;
+      const terms = new Map(prev.terms);
+      terms.set(hit.field, new Set([...(terms.get(hit.field) ?? []), hit.term]));
+      next.set(id, { score: prev.score + hit.score, terms });
+    }
+    acc = next;
+  }
+
+  return [...acc.entries()]
+    .map(([id, { score, terms }]) => ({ id, score, terms, doc: idx.docs.get(id) }))
+    .sort((a, b) => b.score - a.score || (a.doc.licence ?? Infinity) - (b.doc.licence ?? Infinity))
+    .slice(0, MAX_HITS);
+}
+
+function escapeHtml(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// HTML-escaped field values with the matched words wrapped in <mark>
+export function highlight(doc, terms) {
+  const out = {};
+  for (const [field, matched] of terms) {
+    const value = String(doc[field] ?? "");
+    let html = "";
+    let last = 0;
+    for (const { term, start, end } of tokenize(value)) {
+      if (!matched.has(term)) continue;
+      html += escapeHtml(value.slice(last, start)) + "<mark>" + escapeHtml(value.slice(start, end)) + "</mark>";
+      last = end;
+    }
+    out[field] = html + escapeHtml(value.slice(last));
+  }
+  return out;
+}
+
+// ---- Typeahead ----
+
+// Sorted-array prefix scan: every index term starting with `prefix`
+function termsWithPrefix(sorted, prefix, max = MAX_PREFIX_TERMS) {
+  const out = [];
+  for (let i = lowerBound(sorted, prefix); i < sorted.length && out.length < max; i++) {
+    if (!sorted[i].startsWith(prefix)) break;
+    out.push(sorted[i]);
+  }
+  return out;
+}
+
+// Values whose words cover every query token as a prefix ("tun oi" -> "Tundra Oil ...")
+function prefixMatches(tokens, byTerm, sortedTerms, textOf) {
+  const [first, ...rest] = tokens;
+  const candidates = new Set();
+  for (const term of termsWithPrefix(sortedTerms, first)) {
+    for (const v of byTerm.get(term)) candidates.add(v);
+  }
+  if (!rest.length) return [...candidates];
+
+  return [...candidates].filter(v => {
+    const words = tokenize(textOf(v)).map(t => t.term);
+    return rest.every(tok => words.some(w => w.startsWith(tok)));
+  });
+}
+
+// foldCompanies merges [{ company, count }] rows (e.g. name variants of one
+// operator) before they are ranked and cut to limit
+export function suggest(idx, q, limit, { foldCompanies = rows => rows } = {}) {
+  const tokens = tokenize(q).map(t => t.term);
+  const out = { companies: [], names: [], licences: [] };
+  if (!tokens.length) return out;
+
+  const companyRows = prefixMatches(tokens, idx.companyByTerm, idx.companyTerms, c => c)
+    .map(company => ({ company, count: idx.companies.get(company) }));
+  out.companies = foldCompanies(companyRows)
+    .sort((a, b) => b.count - a.count || a.company.localeCompare(b.company))
+    .slice(0, limit);
+
+  const lower = q.trim().toLowerCase();
+  out.names = prefixMatches(tokens, idx.nameByTerm, idx.nameTerms, id => idx.docs.get(id).name)
+    .map(id => ({ _id: id, name: idx.docs.get(id).name, licence: idx.docs.get(id).licence }))
+    .sort((a, b) =>
+      Number(b.name.toLowerCase().startsWith(lower)) - Number(a.name.toLowerCase().startsWith(lower)) ||
+      a.name.length - b.name.length ||
+      a.name.localeCompare(b.name)
+    )
+    .slice(0, limit);
+
+  const digits = q.trim();
+  if (/^\d+$/.test(digits)) {
+    for (let i = lowerBound(idx.licenceKeys, digits); i < idx.licenceKeys.length && out.licences.length < limit; i++) {
+      if (!idx.licenceKeys[i].startsWith(digits)) break;
+      const id = idx.licenceIds[i];
+      out.licences.push({ _id: id, licence: idx.docs.get(id).licence, name: idx.docs.get(id).name });
+    }
+  }
+
+  return out;
+}
@@ -1,52 +1,9 @@
 import "dotenv/config";
-import express from "express";
-import cors from "cors";
-import helmet from "helmet";
-import rateLimit from "express-rate-limit";
-import { connectDB } from "./db.js";
-import { wellsRouter } from "./routes.wells.js";
-
-const app = express();
-
-
-app.set("trust proxy", 1);
-
-
-app.use(helmet());
-app.use(cors({ origin: true })); 
-app.use(express.json({ limit: "1mb" }));
-
-
-app.use(
-  rateLimit({
-    windowMs: 60 * 1000,
-    limit: 120,
-    standardHeaders: "draft-7",
-    legacyHeaders: false,
-  })
-);
-
-
-app.use((req, res, next) => {
-  if (req.method === "GET") {
-    res.setHeader("Cache-Control", "public, max-age=60");
-  }
-  next();
-});
-
-
-app.get("/health", (req, res) => {
-  res.json({ ok: true });
-});
-
-
-app.use("/wells", wellsRouter);
-
-
-app.use((err, req, res, next) => {
-  console.error(err);
-  res.status(500).json({ error: "Internal server error" });
-});
+import { app } from "./app.js";
+import { connectDB, ensureIndexes, wellsCol } from "./db.js";
+import { getSearchIndex, refreshSearchIndex } from "./search.js";
+import { getCompanyResolver, refreshCompanyResolver } from "./companies.js";
+import { connectCacheStore, onDataVersionChange } from "./cache.js";
 
 const PORT = Number(process.env.PORT) || 3000;
 
@@ -59,6 +16,18 @@ async function start() {
     mongoUri: process.env.MONGO_URI,
     dbName: process.env.DB_NAME || "gis",
   });
+  await ensureIndexes();
+
+  if (process.env.REDIS_URL) {
+    await connectCacheStore(process.env.REDIS_URL);
+  }
+  // A data version bump reaches each instance here before cached responses move to it
+  onDataVersionChange(() => Promise.all([refreshSearchIndex(wellsCol()), refreshCompanyResolver()]));
+
+  // Warm the search/suggest index so the first keystrokes don't wait for it
+  getSearchIndex(wellsCol()).catch((err) => console.error("Search index build failed:", err));
+  // Company filters resolve name variants synchronously, so load the resolver up front too
+  getCompanyResolver().catch((err) => console.error("Company resolver build failed:", err));
 
   app.listen(PORT, () => {
     console.log(`API running on port ${PORT}`);
@@ -0,0 +1,242 @@
+import { fromWgs84, toWgs84 } from "./crs.js";
+
+// Exact point-pattern statistics over the points given. Points are projected
+// to UTM 14N metres (scale error under 1% across Manitoba) and bucketed into a
+// uniform grid, so neighbour searches only look at nearby cells.
+
+const METRIC_CRS = "EPSG:26914";
+
+export function toMetres(lonLat) {
+  return fromWgs84(METRIC_CRS, lonLat);
+}
+
+export function fromMetres(xy) {
+  return toWgs84(METRIC_CRS, xy);
+}
+
+function buildIndex(xy, cellSize) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of xy) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+
+  const cells = new Map();
+  const cellOf = ([x, y]) => [Math.floor((x - minX) / cellSize), Math.floor((y - minY) / cellSize)];
+  xy.forEach((p, i) => {
+    const [cx, cy] = cellOf(p);
+    const key = `${cx}:${cy}`;
+    let bucket = cells.get(key);
+    if (!bucket) cells.set(key, (bucket = []));
+    bucket.push(i);
+  });
+
+  return {
+    cells,
+    cellOf,
+    maxRing: Math.max(Math.ceil((maxX - minX) / cellSize), Math.ceil((maxY - minY) / cellSize)) + 1
+  };
+}
+
+// Indexes in the cells at Chebyshev distance `ring` from (cx, cy)
+function* ringMembers(index, cx, cy, ring) {
+  for (let dx = -ring; dx <= ring; dx++) {
+    const edge = dx === -ring || dx === ring;
+    for (let dy = -ring; dy <= ring; dy += edge ? 1 : 2 * ring || 1) {
+      const bucket = index.cells.get(`${cx + dx}:${cy + dy}`);
+      if (bucket) yield* bucket;
+    }
+  }
+}
+
+function dist(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function bboxArea(xy) {
+  const [minX, minY, maxX, maxY] = xy.reduce(
+    ([a, b, c, d], [x, y]) => [Math.min(a, x), Math.min(b, y), Math.max(c, x), Math.max(d, y)],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+  return (maxX - minX) * (maxY - minY);
+}
+
+// Distance from each point to its nearest other point (co-located wells give 0)
+export function nearestNeighborDistances(xy) {
+  const n = xy.length;
+  if (n < 2) return [];
+
+  // Cells about the size of the expected spacing keep each search to a ring or two
+  const cellSize = Math.max(Math.sqrt(bboxArea(xy) / n), 1);
+  const index = buildIndex(xy, cellSize);
+
+  return xy.map((p, i) => {
+    const [cx, cy] = index.cellOf(p);
+    let best = Infinity;
+    for (let ring = 0; ring <= index.maxRing; ring++) {
+      for (const j of ringMembers(index, cx, cy, ring)) {
+        if (j !== i) best = Math.min(best, dist(p, xy[j]));
+      }
+      // anything in the next ring is at least ring * cellSize away
+      if (best <= ring * cellSize) break;
+    }
+    return best;
+  });
+}
+
+// Ripley's K and Besag's L (no edge correction) at each distance in metres.
+// Under complete spatial randomness L(r) ≈ r; above means clustering at that scale.
+export function ripley(xy, areaM2, distances) {
+  const n = xy.length;
+  const radii = [...new Set(distances)].sort((a, b) => a - b);
+  if (n < 2 || !(areaM2 > 0) || !radii.length) return [];
+
+  const rMax = radii[radii.length - 1];
+  const index = buildIndex(xy, rMax);
+  const pairs = new Array(radii.length).fill(0);
+
+  xy.forEach((p, i) => {
+    const [cx, cy] = index.cellOf(p);
+    for (const j of ringMembers(index, cx, cy, 0)) if (j > i) tally(dist(p, xy[j]));
+    for (const j of ringMembers(index, cx, cy, 1)) if (j > i) tally(dist(p, xy[j]));
+  });
+
+  // pairs[k] counts pairs whose distance first fits under radii[k]; accumulate
+  function tally(d) {
+    if (d > rMax) return;
+    let lo = 0;
+    let hi = radii.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (radii[mid] < d) lo = mid + 1;
+      else hi = mid;
+    }
+    pairs[lo] += 2; // ordered pairs
+  }
+
+  let cumulative = 0;
+  return radii.map((r, k) => {
+    cumulative += pairs[k];
+    const K = (areaM2 * cumulative) / (n * (n - 1));
+    const L = Math.sqrt(K / Math.PI);
+    return { distance_m: r, k: K, l: L, l_minus_r: L - r };
+  });
+}
+
+// DBSCAN labels: cluster number from 0, or -1 for noise. Visiting points in
+// input order keeps the labelling deterministic for the same input.
+export function dbscan(xy, eps, minPoints) {
+  const n = xy.length;
+  const labels = new Int32Array(n).fill(-2); // -2 = unvisited
+  if (!n) return labels;
+
+  const index = buildIndex(xy, eps);
+  const neighbours = (i) => {
+    const [cx, cy] = index.cellOf(xy[i]);
+    const out = [];
+    for (let ring = 0; ring <= 1; ring++) {
+      for (const j of ringMembers(index, cx, cy, ring)) if (dist(xy[i], xy[j]) <= eps) out.push(j);
+    }
+    return out;
+  };
+
+  let cluster = 0;
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== -2) continue;
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = -1;
+      continue;
+    }
+
+    labels[i] = cluster;
+    // Each point enters the queue at most once, so the queue stays O(n)
+    const queue = [];
+    const enqueue = (js) => {
+      for (const j of js) {
+        if (labels[j] === -1) labels[j] = cluster; // border point
+        else if (labels[j] === -2) {
+          labels[j] = -3; // queued
+          queue.push(j);
+        }
+      }
+    };
+    enqueue(seeds);
+    for (let q = 0; q < queue.length; q++) {
+      const j = queue[q];
+      labels[j] = cluster;
+      const more = neighbours(j);
+      if (more.length >= minPoints) enqueue(more);
+    }
+    cluster++;
+  }
+
+  return labels;
+}
+
+// Andrew's monotone chain; returns the hull counter-clockwise without repeating the first point
+export function convexHull(xy) {
+  const pts = [...xy].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+
+  return [...half(pts), ...half([...pts].reverse())];
+}
+
+function hullGeometry(xy) {
+  const hull = convexHull(xy);
+  if (hull.length >= 3) {
+    return { type: "Polygon", coordinates: [[...hull, hull[0]].map(fromMetres)] };
+  }
+  if (hull.length === 2 && dist(hull[0], hull[1]) > 0) {
+    return { type: "LineString", coordinates: hull.map(fromMetres) };
+  }
+  return { type: "Point", coordinates: fromMetres(hull[0]) };
+}
+
+function ringAreaMetres(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(sum) / 2;
+}
+
+// DBSCAN clusters as a FeatureCollection of convex hulls (WGS84), biggest first
+export function clusterHulls(xy, labels) {
+  const members = new Map();
+  labels.forEach((label, i) => {
+    if (label < 0) return;
+    let list = members.get(label);
+    if (!list) members.set(label, (list = []));
+    list.push(xy[i]);
+  });
+
+  const features = [...members.entries()]
+    .sort((a, b) => b[1].length - a[1].length || a[0] - b[0])
+    .map(([label, pts], rank) => ({
+      type: "Feature",
+      id: rank,
+      geometry: hullGeometry(pts),
+      properties: { cluster: rank, count: pts.length, hull_area_m2: ringAreaMetres(convexHull(pts)) }
+    }));
+
+  return { type: "FeatureCollection", features };
+}
@@ -0,0 +1,112 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useDB, getDB } from "../src/db.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+process.env.ADMIN_TOKEN = "test-admin-token";
+
+const admin = { Authorization: "Bearer test-admin-token", "Content-Type": "text/csv" };
+
+function csv(from, to) {
+  const rows = ["licence,name,status,lon,lat"];
+  for (let l = from; l <= to; l++) rows.push(`${l},Well ${l},Active,-100.5,49.5`);
+  return rows.join("\n");
+}
+
+const col = (name) => getDB().collection(name);
+const dataVersion = async () => (await col("meta").findOne({ _id: "data_version" }))?.version ?? 0;
+
+beforeEach(() => useDB(fakeDb()));
+
+test("admin routes refuse callers without the admin token", async (t) => {
+  const request = await listen(t, app);
+  const res = await request("/admin/ingest?dry_run=false", { method: "POST", headers: { "Content-Type": "text/csv" }, body: csv(1, 2) });
+  assert.equal(res.status, 401);
+  assert.equal(col("wells").docs.length, 0);
+});
+
+test("a dry run reports the diff and writes nothing", async (t) => {
+  const request = await listen(t, app);
+  const res = await request("/admin/ingest", { method: "POST", headers: admin, body: csv(1, 3) });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body.counts, { received: 3, valid: 3, invalid: 0, added: 3, changed: 0, unchanged: 0, removed: 0 });
+  assert.equal(col("wells").docs.length, 0);
+  assert.equal(await dataVersion(), 0);
+});
+
+test("an applied ingest writes, logs and bumps the data version", async (t) => {
+  const request = await listen(t, app);
+  const res = await request("/admin/ingest?dry_run=false", { method: "POST", headers: admin, body: csv(1, 3) });
+  const body = await res.json();
+
+  assert.equal(res.status, 201);
+  assert.equal(body.history_entries, 3);
+  assert.equal(col("wells").docs.length, 3);
+  assert.equal(col("well_changes").docs.length, 3);
+  assert.equal(await dataVersion(), 1);
+
+  const [run] = col("ingest_runs").docs;
+  assert.equal(run.applied, true);
+  assert.equal(run.error, null);
+  assert.deepEqual(run.added, [1, 2, 3]);
+});
+
+test("a write failing part-way records what went in and still bumps the version", async (t) => {
+  const request = await listen(t, app);
+  const wells = col("wells");
+  const bulkWrite = wells.bulkWrite.bind(wells);
+  let calls = 0;
+  // the second chunk of 1000 loses its first op
+  wells.bulkWrite = async (ops) => {
+    if (++calls === 2) {
+      await bulkWrite(ops.slice(1));
+      throw Object.assign(new Error("write failed"), { writeErrors: [{ index: 0, code: 1 }] });
+    }
+    return bulkWrite(ops);
+  };
+
+  const res = await request("/admin/ingest?dry_run=false", { method: "POST", headers: admin, body: csv(1, 1500) });
+  const body = await res.json();
+
+  assert.equal(res.status, 500);
+  const run = col("ingest_runs").docs.find(r => String(r._id) === body.run_id);
+  assert.equal(run.applied, false);
+  assert.equal(run.error, "write failed");
+  assert.equal(run.added.length, 1499);
+  assert.ok(!run.added.includes(1001));
+  assert.equal(run.history_entries, 1499);
+  assert.equal(col("wells").docs.length, 1499);
+  assert.equal(col("well_changes").docs.length, 1499);
+  assert.equal(await dataVersion(), 1);
+
+  // sending the release again applies the rest
+  wells.bulkWrite = bulkWrite;
+  const retry = await (await request("/admin/ingest?dry_run=false", { method: "POST", headers: admin, body: csv(1, 1500) })).json();
+  assert.deepEqual(retry.counts.added, 1);
+  assert.equal(retry.history_entries, 1);
+  assert.equal(col("wells").docs.length, 1500);
+});
+
+test("bumping the data version by hand re-checks watched areas", async (t) => {
+  const request = await listen(t, app);
+  const square = { type: "Polygon", coordinates: [[[-101, 49], [-100, 49], [-100, 50], [-101, 50], [-101, 49]]] };
+  await col("areas").insertOne({ name: "Square", geometry: square, filters: {}, webhooks: [], baseline: { computed_at: new Date(0), count: 0, wells: [] } });
+  await col("wells").insertOne({ licence: 7, name: "Edited in place", location: { type: "Point", coordinates: [-100.5, 49.5] } });
+
+  const res = await request("/admin/data-version", { method: "POST", headers: { ...admin, "Content-Type": "application/json" }, body: JSON.stringify({ reason: "hand edit" }) });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).version, 1);
+
+  // the check runs after the response
+  let area;
+  for (let i = 0; i < 50 && !area?.last_change; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    [area] = col("areas").docs;
+  }
+  assert.deepEqual(area.last_change.entered.map(w => w.licence), [7]);
+  assert.equal(area.baseline.count, 1);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { deliver, signPayload } from "../src/areas.js";
+
+// A local receiver answering with the given statuses in turn and recording every request
+async function receiver(statuses) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const payload = { event: "area.changed", delivery_id: "d-1", area: { id: "a1", name: "Test" }, counts: { entered: 1 } };
+
+test("deliver signs the payload with the area secret", async (t) => {
+  const hook = await receiver([200]);
+  t.after(hook.close);
+
+  const result = await deliver(hook.url, "s3cret", payload);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 1);
+  assert.equal(hook.requests.length, 1);
+
+  const [{ headers, body }] = hook.requests;
+  assert.deepEqual(JSON.parse(body), payload);
+  assert.equal(headers["content-type"], "application/json");
+  assert.equal(headers["x-webhook-id"], "d-1");
+  assert.equal(headers["x-webhook-signature"], signPayload("s3cret", headers["x-webhook-timestamp"], body));
+  assert.notEqual(headers["x-webhook-signature"], signPayload("other", headers["x-webhook-timestamp"], body));
+});
+
+test("deliver retries a 5xx and reports the attempts", async (t) => {
+  const hook = await receiver([503, 200]);
+  t.after(hook.close);
+
+  const result = await deliver(hook.url, "s3cret", payload);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 200);
+  assert.equal(result.attempts, 2);
+  assert.equal(hook.requests.length, 2);
+  // every attempt carries the same delivery and a valid signature
+  for (const { headers, body } of hook.requests) {
+    assert.equal(headers["x-webhook-id"], "d-1");
+    assert.equal(headers["x-webhook-signature"], signPayload("s3cret", headers["x-webhook-timestamp"], body));
+  }
+});
+
+test("deliver takes a 4xx as final", async (t) => {
+  const hook = await receiver([410]);
+  t.after(hook.close);
+
+  const result = await deliver(hook.url, "s3cret", payload);
+
+  assert.deepEqual(
+    { ok: result.ok, status: result.status, attempts: result.attempts },
+    { ok: false, status: 410, attempts: 1 }
+  );
+  assert.equal(hook.requests.length, 1);
+});
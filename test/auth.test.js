@@ -0,0 +1,141 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useDB, getDB } from "../src/db.js";
+import { createKey, updateKey } from "../src/apikeys.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+process.env.ADMIN_TOKEN = "test-admin-token";
+
+const keyFields = { origins: [], rate_limit_per_min: 1000, daily_quota: null };
+
+beforeEach(() => useDB(fakeDb()));
+
+test("an export-only key can export but not read", async (t) => {
+  const request = await listen(t, app);
+  const { key } = await createKey({ name: "exporter", scopes: ["export"], ...keyFields });
+  const headers = { "X-API-Key": key };
+
+  // an invalid format is a 400 from the handler, so the scope checks let it through
+  assert.equal((await request("/wells/export?format=xlsx", { headers })).status, 400);
+  assert.equal((await request("/wells/export/?format=xlsx", { headers })).status, 400);
+  assert.equal((await request("/wells?limit=0", { headers })).status, 403);
+  assert.equal((await request("/stats/summary", { headers })).status, 403);
+});
+
+test("a read-only key can read but not export", async (t) => {
+  const request = await listen(t, app);
+  const { key } = await createKey({ name: "reader", scopes: ["read"], ...keyFields });
+  const headers = { "X-API-Key": key };
+
+  assert.equal((await request("/wells/export?format=xlsx", { headers })).status, 403);
+  assert.equal((await request("/wells?limit=0", { headers })).status, 400);
+});
+
+test("anonymous callers need a key to export", async (t) => {
+  const request = await listen(t, app);
+  const res = await request("/wells/export?format=csv");
+  assert.equal(res.status, 401);
+  assert.match((await res.json()).error, /"export" scope is required/);
+});
+
+test("a key is accepted from the header, a bearer token or ?api_key=", async (t) => {
+  const request = await listen(t, app);
+  const { key } = await createKey({ name: "reader", scopes: ["read"], ...keyFields });
+
+  for (const [path, headers] of [
+    ["/me/usage", { "X-API-Key": key }],
+    ["/me/usage", { Authorization: `Bearer ${key}` }],
+    [`/me/usage?api_key=${key}`, {}]
+  ]) {
+    const res = await request(path, { headers });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).key.name, "reader");
+  }
+});
+
+test("the admin token and admin-scope keys reach admin routes, other keys don't", async (t) => {
+  const request = await listen(t, app);
+  const { key: admin } = await createKey({ name: "ops", scopes: ["admin"], ...keyFields });
+  const { key: reader } = await createKey({ name: "reader", scopes: ["read"], ...keyFields });
+
+  assert.equal((await request("/admin/keys", { headers: { Authorization: "Bearer test-admin-token" } })).status, 200);
+  assert.equal((await request("/admin/keys", { headers: { "X-API-Key": admin } })).status, 200);
+  // admin implies read
+  assert.equal((await request("/wells?limit=0", { headers: { "X-API-Key": admin } })).status, 400);
+
+  assert.equal((await request("/admin/keys", { headers: { "X-API-Key": reader } })).status, 403);
+  const anonymous = await request("/admin/keys", { headers: { Authorization: "Bearer wrong-token" } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get("www-authenticate"), 'Bearer realm="admin"');
+});
+
+test("keys restricted to origins refuse browsers from elsewhere", async (t) => {
+  const request = await listen(t, app);
+  const { key } = await createKey({ name: "site", scopes: ["read"], ...keyFields, origins: ["https://maps.example.org"] });
+
+  assert.equal((await request("/me/usage", { headers: { "X-API-Key": key, Origin: "https://maps.example.org" } })).status, 200);
+  assert.equal((await request("/me/usage", { headers: { "X-API-Key": key, Origin: "https://evil.example" } })).status, 403);
+  // server-side callers send no Origin
+  assert.equal((await request("/me/usage", { headers: { "X-API-Key": key } })).status, 200);
+});
+
+test("the daily quota refuses requests past it and counts them per endpoint", async (t) => {
+  const request = await listen(t, app);
+  const { key } = await createKey({ name: "metered", scopes: ["read"], ...keyFields, daily_quota: 3 });
+  const headers = { "X-API-Key": key };
+
+  const first = await request("/me/usage", { headers });
+  assert.equal(first.headers.get("x-quota-limit"), "3");
+  assert.equal(first.headers.get("x-quota-remaining"), "2");
+  await request("/wells?limit=0", { headers });
+
+  const third = await (await request("/me/usage", { headers })).json();
+  assert.equal(third.today.total, 3);
+  assert.equal(third.today.remaining, 0);
+  assert.deepEqual(third.today.endpoints.map(e => e.endpoint).sort(), ["GET /me/usage", "GET /wells/"]);
+
+  const refused = await request("/me/usage", { headers });
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers.get("retry-after")) > 0);
+});
+
+test("unknown keys are refused and looked up once, disabling a key takes effect at once", async (t) => {
+  const request = await listen(t, app);
+  const keys = getDB().collection("api_keys");
+  const findOne = keys.findOne.bind(keys);
+  let lookups = 0;
+  keys.findOne = (...args) => (lookups++, findOne(...args));
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await request("/me/usage", { headers: { "X-API-Key": "mw_not-a-real-key" } })).status, 401);
+  }
+  assert.equal(lookups, 1);
+
+  const { key, doc } = await createKey({ name: "soon disabled", scopes: ["read"], ...keyFields });
+  assert.equal((await request("/me/usage", { headers: { "X-API-Key": key } })).status, 200);
+  await updateKey(String(doc._id), { disabled: true });
+  assert.equal((await request("/me/usage", { headers: { "X-API-Key": key } })).status, 401);
+});
+
+test("an IP presenting bad keys is cut off before the lookup, good keys aren't counted", async (t) => {
+  const request = await listen(t, app);
+  const { key } = await createKey({ name: "good", scopes: ["read"], ...keyFields });
+
+  // an address of its own, so the other tests' refusals don't count
+  const from = { "X-Forwarded-For": "203.0.113.7" };
+  const bad = (i) => request("/me/usage", { headers: { ...from, "X-API-Key": `mw_guess-${i}` } });
+  for (let i = 1; i < 20; i++) assert.equal((await bad(i)).status, 401);
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await request("/me/usage", { headers: { ...from, "X-API-Key": key } })).status, 200);
+  }
+  assert.equal((await bad(20)).status, 401);
+  assert.equal((await bad(21)).status, 429);
+
+  const keys = getDB().collection("api_keys");
+  keys.findOne = () => assert.fail("looked up a key past the limit");
+  const res = await request("/me/usage", { headers: { ...from, "X-API-Key": "mw_one-more-guess" } });
+  assert.equal(res.status, 429);
+  assert.equal((await res.json()).error, "Too many requests with invalid credentials");
+});
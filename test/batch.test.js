@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDB, getDB } from "../src/db.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+test("/wells/batch keys found wells by input and lists the rest", async (t) => {
+  useDB(fakeDb());
+  const wells = getDB().collection("wells");
+  await wells.insertMany([{ licence: 1, name: "A" }, { licence: 2, name: "B" }]);
+  const [, b] = wells.docs;
+  const request = await listen(t, app);
+
+  const res = await request("/wells/batch?fields=licence,name", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ licences: [1, " 2 ", 3, "", 0, -4, 1.5, "x"], ids: [String(b._id), "nope"] })
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.requested, 10);
+  assert.deepEqual(Object.keys(body.found.licences), ["1", "2"]);
+  assert.equal(body.found.ids[String(b._id)].name, "B");
+  assert.deepEqual(body.not_found, { licences: ["3"], ids: [] });
+  assert.deepEqual(body.invalid.map(i => i.input), ["", 0, -4, 1.5, "x", "nope"]);
+
+  const refused = await request("/wells/batch", { method: "POST", headers: { "Content-Type": "application/json" }, body: '{"licences":[null]}' });
+  assert.equal(refused.status, 400);
+});
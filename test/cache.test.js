@@ -0,0 +1,137 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { get } from "node:http";
+import express from "express";
+import { useDB, getDB } from "../src/db.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+// Other instances' bumps are picked up after this long
+process.env.DATA_VERSION_POLL_MS = "20";
+const { cached, bumpDataVersion, onDataVersionChange, versionEtag } = await import("../src/cache.js");
+
+let handled = 0;
+let reloads = 0;
+onDataVersionChange(async () => reloads++);
+
+const app = express();
+app.use(express.json());
+app.get("/echo", cached, (req, res) => {
+  handled++;
+  res.json({ handled, query: req.query });
+});
+app.post("/echo", cached, (req, res) => {
+  handled++;
+  res.json({ handled, body: req.body });
+});
+app.get("/missing", cached, (req, res) => {
+  handled++;
+  res.status(404).json({ error: "Not found" });
+});
+app.get("/tag", async (req, res) => res.json({ etag: await versionEtag(req) }));
+
+// fetch adds Cache-Control: no-cache to conditional requests, which rules out a
+// 304, so revalidation is tested the way a browser cache sends it
+function revalidate(url, etag) {
+  return new Promise((resolve, reject) => {
+    get(url, { headers: { "If-None-Match": etag } }, res => {
+      let body = "";
+      res.on("data", chunk => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body }));
+    }).on("error", reject);
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One database for the file: the adopted version only moves forward
+before(() => useDB(fakeDb()));
+
+test("a repeated request is served from the cache", async (t) => {
+  const request = await listen(t, app);
+  const first = await request("/echo?a=1");
+  const second = await request("/echo?a=1");
+
+  assert.equal(first.headers.get("x-cache"), "MISS");
+  assert.equal(second.headers.get("x-cache"), "HIT");
+  assert.equal(second.headers.get("x-data-version"), first.headers.get("x-data-version"));
+  assert.deepEqual(await second.json(), await first.json());
+});
+
+test("parameter order, trailing slashes and api_key share an entry; values don't", async (t) => {
+  const request = await listen(t, app);
+  const { handled: n } = await (await request("/echo?b=2&a=1&a=0")).json();
+
+  for (const path of ["/echo?a=0&a=1&b=2", "/echo/?b=2&a=0&a=1", "/echo?a=1&b=2&a=0&api_key=mw_secret"]) {
+    const res = await request(path);
+    assert.equal(res.headers.get("x-cache"), "HIT", path);
+    assert.equal((await res.json()).handled, n);
+  }
+  assert.equal((await request("/echo?a=1&b=3&a=0")).headers.get("x-cache"), "MISS");
+});
+
+test("bodies that differ only in key order share an entry", async (t) => {
+  const request = await listen(t, app);
+  const post = (body) => request("/echo", { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+  assert.equal((await post('{"a":1,"b":{"c":2,"d":3}}')).headers.get("x-cache"), "MISS");
+  assert.equal((await post('{"b":{"d":3,"c":2},"a":1}')).headers.get("x-cache"), "HIT");
+  assert.equal((await post('{"a":1,"b":{"c":2,"d":4}}')).headers.get("x-cache"), "MISS");
+});
+
+test("a matching If-None-Match is answered with 304", async (t) => {
+  const request = await listen(t, app);
+  const first = await request("/echo?etag=1");
+  const etag = first.headers.get("etag");
+  assert.ok(etag);
+
+  const url = new URL("/echo?etag=1", first.url).href;
+  assert.deepEqual(await revalidate(url, etag), { status: 304, body: "" });
+  assert.equal((await revalidate(url, '"other"')).status, 200);
+});
+
+test("only 200s are cached", async (t) => {
+  const request = await listen(t, app);
+  const n = handled;
+  await request("/missing");
+  await request("/missing");
+  assert.equal(handled, n + 2);
+});
+
+test("a bump moves to a fresh key space after the reloaders ran", async (t) => {
+  const request = await listen(t, app);
+  const first = await request("/echo?bump=1");
+  const tag = (await (await request("/tag?x=1")).json()).etag;
+  const reloadsBefore = reloads;
+
+  const { version } = await bumpDataVersion("test");
+  assert.equal(reloads, reloadsBefore + 1);
+
+  const after = await request("/echo?bump=1");
+  assert.equal(after.headers.get("x-cache"), "MISS");
+  assert.equal(after.headers.get("x-data-version"), String(version));
+  assert.equal(Number(after.headers.get("x-data-version")), Number(first.headers.get("x-data-version")) + 1);
+  assert.notEqual((await (await request("/tag?x=1")).json()).etag, tag);
+});
+
+test("another instance's bump is adopted on the next poll", async (t) => {
+  const request = await listen(t, app);
+  const { version } = await bumpDataVersion("here");
+  await request("/echo?poll=1");
+  const reloadsBefore = reloads;
+
+  // as if another instance bumped it
+  await getDB().collection("meta").updateOne({ _id: "data_version" }, { $inc: { version: 1 } });
+  await wait(30);
+
+  // this request is still served under the old version while the check runs
+  const stale = await request("/echo?poll=1");
+  assert.equal(stale.headers.get("x-data-version"), String(version));
+  assert.equal(stale.headers.get("x-cache"), "HIT");
+  await wait(10);
+
+  const fresh = await request("/echo?poll=1");
+  assert.equal(fresh.headers.get("x-data-version"), String(version + 1));
+  assert.equal(fresh.headers.get("x-cache"), "MISS");
+  assert.equal(reloads, reloadsBefore + 1);
+});
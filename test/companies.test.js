@@ -0,0 +1,88 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useDB, getDB } from "../src/db.js";
+import {
+  companyKey,
+  refreshCompanyResolver,
+  setAlias,
+  deleteAlias,
+  expandCompanies,
+  foldCompanyCounts,
+  AliasError
+} from "../src/companies.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+// licence -> company, one well each
+async function seed(companies) {
+  await getDB().collection("wells").insertMany(companies.map((company, i) => ({ licence: i + 1, name: `Well ${i + 1}`, company })));
+  return refreshCompanyResolver();
+}
+
+beforeEach(() => useDB(fakeDb()));
+
+test("companyKey folds case, accents, punctuation, & and corporate suffixes", () => {
+  assert.equal(companyKey("Tundra Oil & Gas Ltd."), "tundra oil and gas");
+  assert.equal(companyKey("TUNDRA OIL AND GAS LIMITED"), "tundra oil and gas");
+  assert.equal(companyKey("Pétro-Nord Inc"), "petro nord");
+  assert.equal(companyKey("Enerplus Corp. Ltd"), "enerplus");
+  // a name that is only a suffix keeps it
+  assert.equal(companyKey("Co"), "co");
+});
+
+test("spelling variants resolve to the most common one", async () => {
+  const r = await seed(["Tundra Oil & Gas Ltd.", "Tundra Oil & Gas Ltd.", "TUNDRA OIL AND GAS LIMITED", "Corex Resources"]);
+
+  assert.equal(r.canonicalOf("tundra oil and gas"), "Tundra Oil & Gas Ltd.");
+  assert.equal(r.canonicalOf("TUNDRA OIL AND GAS LIMITED"), "Tundra Oil & Gas Ltd.");
+  assert.equal(r.canonicalOf("Nobody Ltd"), "Nobody Ltd");
+  assert.equal(r.canonicalOf(null), null);
+  assert.deepEqual(r.variantsOf("Tundra Oil and Gas"), ["Tundra Oil & Gas Ltd.", "TUNDRA OIL AND GAS LIMITED"]);
+  assert.deepEqual(expandCompanies(["tundra oil & gas", "Nobody"]), ["Tundra Oil & Gas Ltd.", "TUNDRA OIL AND GAS LIMITED", "Nobody"]);
+});
+
+test("aliases merge renamed operators under the canonical name", async () => {
+  await seed(["Chinook Energy", "Chinook Energy", "Old Chinook Ltd"]);
+  await setAlias("Old Chinook", "Chinook Energy Inc");
+
+  const r = await refreshCompanyResolver();
+  assert.equal(r.canonicalOf("Old Chinook Ltd"), "Chinook Energy Inc");
+  assert.equal(r.canonicalOf("Chinook Energy"), "Chinook Energy Inc");
+  assert.deepEqual(foldCompanyCounts([{ company: "Old Chinook Ltd", count: 1 }, { company: "Chinook Energy", count: 2 }], r), [
+    { company: "Chinook Energy Inc", count: 3 }
+  ]);
+
+  assert.equal(await deleteAlias("old chinook"), true);
+  assert.equal((await refreshCompanyResolver()).canonicalOf("Old Chinook Ltd"), "Old Chinook Ltd");
+});
+
+test("alias chains are flattened on write", async () => {
+  await seed(["Alpha Oil", "Beta Oil", "Gamma Oil"]);
+  await setAlias("Alpha Oil", "Beta Oil");
+  await setAlias("Beta Oil", "Gamma Oil");
+
+  const targets = () => getDB().collection("company_aliases").docs.map(a => [a._id, a.canonical_key]).sort();
+  assert.deepEqual(targets(), [["alpha oil", "gamma oil"], ["beta oil", "gamma oil"]]);
+
+  // pointing at an alias points at what it resolves to
+  await setAlias("Delta Oil", "Alpha Oil");
+  assert.deepEqual(targets(), [["alpha oil", "gamma oil"], ["beta oil", "gamma oil"], ["delta oil", "gamma oil"]]);
+});
+
+test("an alias onto itself is refused", async () => {
+  await seed(["Alpha Oil"]);
+  await assert.rejects(setAlias("ALPHA OIL LTD", "Alpha Oil"), AliasError);
+  await assert.rejects(setAlias("...", "Alpha Oil"), AliasError);
+});
+
+test("suggestions count every variant of an operator before the limit", async (t) => {
+  await seed([
+    "Tundra Oil & Gas Ltd.", "Tundra Oil & Gas Ltd.", "TUNDRA OIL AND GAS LIMITED", "TUNDRA OIL AND GAS LIMITED",
+    "Tundra Energy", "Tundra Energy", "Tundra Energy"
+  ]);
+  const request = await listen(t, app);
+  const res = await request("/wells/suggest?q=tundra&limit=1");
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).companies, [{ company: "Tundra Oil & Gas Ltd.", count: 4 }]);
+});
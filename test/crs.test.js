@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  crsSchema, isWgs84, toWgs84, fromWgs84, geometryToWgs84, geometryFromWgs84, bboxToWgs84, crsMember
+} from "../src/crs.js";
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message ?? ""} ${actual} vs ${expected}`);
+
+test("crsSchema accepts bare, EPSG and URN codes", () => {
+  for (const s of ["26914", "EPSG:26914", "epsg:26914", "urn:ogc:def:crs:EPSG::26914", " 26914 "]) {
+    assert.equal(crsSchema.parse(s), "EPSG:26914", s);
+  }
+  const bad = crsSchema.safeParse("EPSG:9999");
+  assert.equal(bad.success, false);
+  assert.match(bad.error.issues[0].message, /Unsupported crs/);
+});
+
+test("WGS84 (or no crs) passes coordinates through", () => {
+  assert.ok(isWgs84(undefined) && isWgs84("EPSG:4326"));
+  assert.deepEqual(toWgs84(undefined, [-97, 50]), [-97, 50]);
+  assert.deepEqual(fromWgs84("EPSG:4326", [-97, 50]), [-97, 50]);
+});
+
+test("UTM zones put their central meridian at easting 500000", () => {
+  const [e, n] = fromWgs84("EPSG:26914", [-99, 0]);
+  close(e, 500000, 1e-6);
+  close(n, 0, 1e-6);
+  close(fromWgs84("EPSG:26915", [-93, 50])[0], 500000, 1e-6);
+  close(fromWgs84("EPSG:26913", [-105, 50])[0], 500000, 1e-6);
+});
+
+test("Web Mercator matches the spherical formula", () => {
+  const [x, y] = fromWgs84("EPSG:3857", [-97, 50]);
+  close(x, (-97 * Math.PI * 6378137) / 180, 1e-6);
+  close(y, 6378137 * Math.log(Math.tan(Math.PI / 4 + (50 * Math.PI) / 360)), 1e-6);
+});
+
+test("projected coordinates round-trip to lon/lat", () => {
+  const winnipeg = [-97.1384, 49.8951];
+  for (const crs of ["EPSG:26914", "EPSG:3158", "EPSG:32614", "EPSG:26915", "EPSG:3857", "EPSG:3347"]) {
+    const [lon, lat] = toWgs84(crs, fromWgs84(crs, winnipeg));
+    close(lon, winnipeg[0], 1e-8, crs);
+    close(lat, winnipeg[1], 1e-8, crs);
+  }
+});
+
+test("NAD83 and WGS84 UTM agree to the millimetre (no datum shift is applied)", () => {
+  const a = fromWgs84("EPSG:26914", [-97.1384, 49.8951]);
+  const b = fromWgs84("EPSG:32614", [-97.1384, 49.8951]);
+  close(a[0], b[0], 1e-3);
+  close(a[1], b[1], 1e-3);
+});
+
+test("geometry helpers convert every position of features and collections", () => {
+  const fc = {
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", properties: { a: 1 }, geometry: { type: "Point", coordinates: [-97, 50] } },
+      { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[-97, 50], [-98, 51]] } }
+    ]
+  };
+  const utm = geometryFromWgs84("EPSG:26914", fc);
+  assert.equal(utm.features[0].properties.a, 1);
+  assert.ok(utm.features[0].geometry.coordinates[0] > 1000, "eastings, not degrees");
+
+  const back = geometryToWgs84("EPSG:26914", utm);
+  close(back.features[1].geometry.coordinates[1][0], -98, 1e-8);
+  close(back.features[1].geometry.coordinates[1][1], 51, 1e-8);
+  assert.equal(geometryToWgs84(undefined, fc), fc);
+});
+
+test("bboxToWgs84 covers the whole projected box", () => {
+  const box = [500000, 5500000, 700000, 5700000];
+  const [w, s, e, n] = bboxToWgs84("EPSG:26914", box);
+  for (const corner of [[box[0], box[1]], [box[0], box[3]], [box[2], box[1]], [box[2], box[3]]]) {
+    const [lon, lat] = toWgs84("EPSG:26914", corner);
+    assert.ok(lon >= w && lon <= e && lat >= s && lat <= n);
+  }
+  // the north edge bows north of its corners in lon/lat, so the envelope reaches past them
+  const [, cornerLat] = toWgs84("EPSG:26914", [box[2], box[3]]);
+  assert.ok(n >= cornerLat);
+});
+
+test("crsMember names non-WGS84 CRSs with an OGC URN", () => {
+  assert.equal(crsMember(undefined), undefined);
+  assert.deepEqual(crsMember("EPSG:26914"), { type: "name", properties: { name: "urn:ogc:def:crs:EPSG::26914" } });
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDls, lonLatToDls, dlsBounds, formatDls, dlsSchema } from "../src/dls.js";
+
+const centre = ([w, s, e, n]) => [(w + e) / 2, (s + n) / 2];
+
+test("parseDls reads LSD, section and township descriptions", () => {
+  assert.deepEqual(parseDls("04-12-010-28W1"), {
+    lsd: 4, section: 12, township: 10, range: 28, meridian: "W1", level: "lsd", label: "04-12-010-28W1"
+  });
+  assert.equal(parseDls("12-010-28W1").level, "section");
+  assert.equal(parseDls("12-010-28W1").lsd, null);
+  assert.equal(parseDls("10-28w1").label, "010-28W1");
+  assert.equal(parseDls(" 4-2-5-3 E 1 ").label, "04-02-005-03E1");
+});
+
+test("parseDls rejects malformed and out-of-range descriptions", () => {
+  for (const s of ["", "abc", "04-12-010-28W9", "17-12-010-28W1", "04-37-010-28W1", "000-28W1", "010-35W1"]) {
+    assert.equal(parseDls(s), null, s);
+  }
+  assert.equal(dlsSchema.safeParse("nope").success, false);
+  assert.equal(dlsSchema.parse("010-28W1").level, "township");
+});
+
+test("formatDls pads each part", () => {
+  assert.equal(formatDls({ lsd: 1, section: 2, township: 3, range: 4, meridian: "W1" }), "01-02-003-04W1");
+  assert.equal(formatDls({ township: 3, range: 4, meridian: "E1" }), "003-04E1");
+});
+
+test("lonLatToDls returns null south of the 49th parallel", () => {
+  assert.equal(lonLatToDls([-98, 48.99]), null);
+});
+
+test("every section and LSD maps back to itself through its bounds", () => {
+  for (const [township, range, meridian] of [[10, 28, "W1"], [1, 1, "E1"], [45, 3, "W2"]]) {
+    for (let section = 1; section <= 36; section++) {
+      for (let lsd = 1; lsd <= 16; lsd++) {
+        const parts = { lsd, section, township, range, meridian };
+        const found = lonLatToDls(centre(dlsBounds(parts)));
+        assert.equal(found.label, formatDls(parts));
+      }
+    }
+  }
+});
+
+test("sections and LSDs are numbered back and forth from the south-east corner", () => {
+  const bounds = (section, lsd) => dlsBounds({ lsd, section, township: 10, range: 28, meridian: "W1" });
+  const [w1, s1, e1] = bounds(1);
+  const [w6, s6, e6] = bounds(6);
+  const [, s7, e7] = bounds(7);
+
+  assert.ok(w6 < w1 && s6 === s1, "section 6 is west of section 1 on the same row");
+  assert.ok(s7 > s6 && Math.abs(e7 - e6) < 1e-9, "section 7 sits north of section 6");
+  assert.ok(Math.abs(e1 - dlsBounds({ township: 10, range: 28, meridian: "W1" })[2]) < 1e-9, "section 1 is at the east edge");
+
+  const [lw1] = bounds(1, 1);
+  const [lw4] = bounds(1, 4);
+  const [lw5, ls5] = bounds(1, 5);
+  assert.ok(lw4 < lw1, "LSD 4 is west of LSD 1");
+  assert.ok(Math.abs(lw5 - lw4) < 1e-9 && ls5 > s1, "LSD 5 sits north of LSD 4");
+});
+
+test("bounds nest: an LSD lies inside its section, which lies inside its township", () => {
+  const inside = ([w, s, e, n], [W, S, E, N]) => w >= W - 1e-9 && s >= S - 1e-9 && e <= E + 1e-9 && n <= N + 1e-9;
+  const twp = dlsBounds({ township: 10, range: 28, meridian: "W1" });
+  const sec = dlsBounds({ section: 12, township: 10, range: 28, meridian: "W1" });
+  const lsd = dlsBounds({ lsd: 4, section: 12, township: 10, range: 28, meridian: "W1" });
+  assert.ok(inside(sec, twp));
+  assert.ok(inside(lsd, sec));
+});
+
+test("ranges count away from the principal meridian on both sides", () => {
+  const west = lonLatToDls([-97.5, 50]);
+  const east = lonLatToDls([-97.4, 50]);
+  assert.equal(west.meridian, "W1");
+  assert.equal(west.range, 1);
+  assert.equal(east.meridian, "E1");
+  assert.equal(east.range, 1);
+  assert.equal(lonLatToDls([-102.1, 50]).meridian, "W2");
+});
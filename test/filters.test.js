@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filterSchema, buildWellsFilter, FilterError } from "../src/filters.js";
+import { useDB } from "../src/db.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+const BOW_TIE = "-101,49,-100,50,-100,49,-101,50";
+
+test("a polygon that crosses itself is refused", () => {
+  const parsed = filterSchema.safeParse({ polygon: BOW_TIE });
+  assert.equal(parsed.success, false);
+  assert.match(parsed.error.issues[0].message, /self-intersects/);
+});
+
+test("a polygon with too many points is refused before the crossing check", () => {
+  const ring = Array.from({ length: 2001 }, (_, i) => {
+    const a = (2 * Math.PI * i) / 2001;
+    return `${-100 + Math.cos(a)},${50 + Math.sin(a)}`;
+  });
+  const parsed = filterSchema.safeParse({ polygon: ring.join(",") });
+  assert.equal(parsed.success, false);
+  assert.match(parsed.error.issues[0].message, /at most 2000/);
+});
+
+test("a clockwise polygon is closed and rewound counter-clockwise", () => {
+  const { data } = filterSchema.safeParse({ polygon: "-101,49,-101,50,-100,50,-100,49" });
+  assert.deepEqual(data.polygon, [[-101, 49], [-100, 49], [-100, 50], [-101, 50], [-101, 49]]);
+
+  const { location } = buildWellsFilter(data);
+  assert.deepEqual(location.$geoWithin.$geometry.coordinates[0], data.polygon);
+});
+
+test("a polygon in crs units is checked in those units", () => {
+  const ok = filterSchema.safeParse({ polygon: "600000,5500000,610000,5500000,610000,5510000", crs: "EPSG:26914" });
+  assert.equal(ok.success, true);
+  assert.equal(filterSchema.safeParse({ polygon: "600000,5500000,610000,5510000,610000,5500000,600000,5510000", crs: "EPSG:26914" }).success, false);
+});
+
+test("a bow-tie polygon is a 400, not a database error", async (t) => {
+  useDB(fakeDb());
+  const request = await listen(t, app);
+  const res = await request(`/wells?polygon=${BOW_TIE}`);
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, "Invalid query");
+});
+
+test("bbox and polygon that crs can't convert to lon/lat are refused", () => {
+  const far = filterSchema.parse({ bbox: "600000,5500000,610000,1e12", crs: "EPSG:26914" });
+  assert.throws(() => buildWellsFilter(far), err => err instanceof FilterError && err.field === "bbox");
+
+  const polygon = filterSchema.parse({ polygon: "600000,5500000,610000,5500000,610000,1e12", crs: "EPSG:26914" });
+  assert.throws(() => buildWellsFilter(polygon), err => err instanceof FilterError && err.field === "polygon");
+
+  const near = filterSchema.parse({ bbox: "600000,5500000,610000,5510000", crs: "EPSG:26914" });
+  assert.ok(buildWellsFilter(near).location);
+});
+
+test("non-finite bbox and polygon values are refused", () => {
+  assert.equal(filterSchema.safeParse({ bbox: "-101,49,Infinity,50" }).success, false);
+  assert.equal(filterSchema.safeParse({ polygon: "-101,49,-100,49,-100,Infinity" }).success, false);
+});
+
+test("lon/lat past the edges is still clamped rather than refused", () => {
+  const { location } = buildWellsFilter(filterSchema.parse({ polygon: "-181,49,-100,49,-100,91" }));
+  assert.deepEqual(location.$geoWithin.$geometry.coordinates[0][0], [-180, 49]);
+});
+
+test("an unconvertible crs bbox is a 400 with the usual error shape", async (t) => {
+  useDB(fakeDb());
+  const request = await listen(t, app);
+  const res = await request("/stats/status?bbox=600000,5500000,610000,1e12&crs=EPSG:26914");
+  const body = await res.json();
+  assert.equal(res.status, 400);
+  assert.equal(body.error, "Invalid query");
+  assert.deepEqual(Object.keys(body.details.fieldErrors), ["bbox"]);
+});
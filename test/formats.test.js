@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { exportFormats } from "../src/formats.js";
+import { useDB, getDB } from "../src/db.js";
+import { createKey } from "../src/apikeys.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+const WELL = {
+  _id: new ObjectId("64b000000000000000000001"),
+  licence: 1234,
+  name: 'Daly "North" 4-12',
+  company: "Tundra Oil & Gas",
+  map_status: "Pumping",
+  status: "Producing",
+  location: { type: "Point", coordinates: [-101.0525, 49.7123] }
+};
+const NO_POINT = { _id: new ObjectId("64b000000000000000000002"), licence: 99, name: "Unlocated", location: null };
+
+function exported(format, docs, opts = {}) {
+  const fmt = exportFormats[format];
+  let out = fmt.head(opts);
+  let i = 0;
+  for (const d of docs) {
+    if (fmt.skip?.(d)) continue;
+    out += fmt.row(d, i++, opts);
+  }
+  return out + fmt.tail(opts);
+}
+
+test("CSV quotes cells with commas, quotes and line breaks", () => {
+  const csv = exported("csv", [{ ...WELL, company: "Tundra, Ltd", status: "Line\nbreak" }], { fields: ["licence", "name", "company", "status", "location"] });
+  assert.equal(
+    csv,
+    'licence,name,company,status,lon,lat\r\n1234,"Daly ""North"" 4-12","Tundra, Ltd","Line\nbreak",-101.0525,49.7123\r\n'
+  );
+});
+
+test("CSV defuses cells a spreadsheet would run as formulas", () => {
+  const rows = ["=HYPERLINK(\"http://x\")", "+1+1", "-2+3", "@SUM(A1)", "\tTab"].map(name => ({ ...WELL, name }));
+  const cells = exported("csv", rows, { fields: ["name"] }).split("\r\n").slice(1, -1);
+  assert.deepEqual(cells, ["\"'=HYPERLINK(\"\"http://x\"\")\"", "'+1+1", "'-2+3", "'@SUM(A1)", "'\tTab"]);
+
+  // numbers stay numbers
+  assert.match(exported("csv", [WELL], { fields: ["location"] }), /\r\n-101\.0525,49\.7123\r\n$/);
+});
+
+test("CSV leaves location cells empty for wells without a point", () => {
+  assert.equal(exported("csv", [NO_POINT], { fields: ["licence", "location", "dls"] }), "licence,lon,lat,dls\r\n99,,,\r\n");
+});
+
+test("NDJSON writes one serialized well per line", () => {
+  const lines = exported("ndjson", [WELL, NO_POINT], { fields: ["licence", "name", "location"] }).split("\n");
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], "");
+  assert.deepEqual(JSON.parse(lines[0]), { _id: String(WELL._id), licence: 1234, name: WELL.name, location: WELL.location });
+  assert.equal(JSON.parse(lines[1]).location, null);
+});
+
+test("GeoJSON is a FeatureCollection of located wells, reprojected with crs", () => {
+  const gj = JSON.parse(exported("geojson", [WELL, NO_POINT, WELL], { fields: ["licence", "dls"] }));
+  assert.equal(gj.type, "FeatureCollection");
+  assert.equal(gj.crs, undefined);
+  assert.equal(gj.features.length, 2);
+  assert.deepEqual(gj.features[0].geometry, WELL.location);
+  assert.equal(gj.features[0].id, String(WELL._id));
+  assert.equal(typeof gj.features[0].properties.dls, "string");
+
+  const utm = JSON.parse(exported("geojson", [WELL], { crs: "EPSG:26914", fields: ["licence"] }));
+  assert.equal(utm.crs.properties.name, "urn:ogc:def:crs:EPSG::26914");
+  const [x, y] = utm.features[0].geometry.coordinates;
+  assert.ok(x > 200000 && x < 800000 && y > 5400000 && y < 5600000);
+});
+
+test("KML escapes text and skips wells without a point", () => {
+  const kml = exported("kml", [{ ...WELL, company: "A & B <Oil>" }, NO_POINT], { fields: ["licence", "company"] });
+  assert.equal((kml.match(/<Placemark /g) ?? []).length, 1);
+  assert.match(kml, /<name>Daly &quot;North&quot; 4-12<\/name>/);
+  assert.match(kml, /<Data name="company"><value>A &amp; B &lt;Oil&gt;<\/value><\/Data>/);
+  assert.match(kml, /<coordinates>-101.0525,49.7123<\/coordinates>/);
+  assert.ok(kml.endsWith("</Document>\n</kml>\n"));
+});
+
+test("/wells/export streams the matching wells as a download", async (t) => {
+  useDB(fakeDb());
+  await getDB().collection("wells").insertMany([WELL, { ...WELL, _id: new ObjectId(), licence: 5678, company: "Other" }]);
+  const { key } = await createKey({ name: "exporter", scopes: ["export"], origins: [], rate_limit_per_min: 1000, daily_quota: null });
+  const request = await listen(t, app);
+
+  const res = await request("/wells/export?format=csv&fields=licence,company&company=Other", { headers: { "X-API-Key": key } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "text/csv; charset=utf-8");
+  assert.match(res.headers.get("content-disposition"), /^attachment; filename="wells-\d{4}-\d{2}-\d{2}\.csv"$/);
+  assert.equal(await res.text(), "licence,company\r\n5678,Other\r\n");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { binPoints } from "../src/grid.js";
+import { fromWgs84, toWgs84 } from "../src/crs.js";
+import { useDB, getDB } from "../src/db.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+const GRID_CRS = "EPSG:26914";
+
+// Cell outline back in grid metres
+const ringMetres = (cell) => cell.polygon.coordinates[0].map(p => fromWgs84(GRID_CRS, p));
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function randomLonLats(n, seed) {
+  let s = seed;
+  const next = () => (s = (s * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+  return Array.from({ length: n }, () => [-100 + next() * 2, 49.5 + next()]);
+}
+
+test("size is the cell width for both shapes", () => {
+  for (const shape of ["hex", "square"]) {
+    const [cell] = binPoints([{ coords: [-98, 50] }], { shape, size: 5000 });
+    const xs = ringMetres(cell).map(p => p[0]);
+    assert.ok(Math.abs(Math.max(...xs) - Math.min(...xs) - 5000) < 1e-3, shape);
+  }
+});
+
+test("hexagons have six corners size/√3 from their centre", () => {
+  const [cell] = binPoints([{ coords: [-98, 50] }], { shape: "hex", size: 3000 });
+  const ring = ringMetres(cell);
+  assert.equal(ring.length, 7);
+  const corners = ring.slice(0, 6);
+  const cx = corners.reduce((a, p) => a + p[0], 0) / 6;
+  const cy = corners.reduce((a, p) => a + p[1], 0) / 6;
+  for (const [x, y] of corners) assert.ok(Math.abs(Math.hypot(x - cx, y - cy) - 3000 / Math.sqrt(3)) < 1e-3);
+});
+
+test("every point lands in the cell whose outline contains it", () => {
+  const points = randomLonLats(500, 3).map((coords, i) => ({ coords, i }));
+  for (const shape of ["hex", "square"]) {
+    const cells = binPoints(points, { shape, size: 20000 });
+    assert.equal(cells.reduce((n, c) => n + c.items.length, 0), points.length);
+    for (const cell of cells) {
+      const ring = ringMetres(cell);
+      for (const p of cell.items) assert.ok(pointInRing(fromWgs84(GRID_CRS, p.coords), ring), `${shape} ${p.i}`);
+    }
+  }
+});
+
+test("nearby points share a cell and cell ids carry the shape and size", () => {
+  const a = toWgs84(GRID_CRS, [600100, 5500100]);
+  const b = toWgs84(GRID_CRS, [600300, 5500200]);
+  const cells = binPoints([{ coords: a }, { coords: b }], { shape: "square", size: 1000 });
+  assert.equal(cells.length, 1);
+  assert.equal(cells[0].id, "square:1000:600:5500");
+  assert.match(binPoints([{ coords: a }], { shape: "hex", size: 1000 })[0].id, /^hex:1000:-?\d+:-?\d+$/);
+});
+
+test("/stats/grid bins the wells in the box and refuses more than it can hold", async (t) => {
+  useDB(fakeDb());
+  const request = await listen(t, app);
+  const well = (licence, lon) => ({ licence, company: "A", map_status: "Active", location: { type: "Point", coordinates: [lon, 49.5] } });
+  await getDB().collection("wells").insertMany([well(1, -100.5), well(2, -100.5), well(3, -90)]);
+
+  const res = await request("/stats/grid?bbox=-101,49,-100,50&shape=square&size=1000");
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.total, 2);
+  assert.equal(body.features.length, 1);
+  assert.equal(body.features[0].properties.count, 2);
+
+  const many = Array.from({ length: 50001 }, (_, i) => well(10 + i, -100.2));
+  await getDB().collection("wells").insertMany(many);
+  const refused = await request("/stats/grid?bbox=-101,49,-100,50&map_status=Active");
+  assert.equal(refused.status, 400);
+  assert.match((await refused.json()).error, /More than 50000 wells/);
+});
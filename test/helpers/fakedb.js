@@ -0,0 +1,263 @@
+import { ObjectId } from "mongodb";
+
+// Just enough of a Mongo database for the code under test: equality, a few
+// comparison operators and point $geoWithin ($box or Polygon) in filters,
+// field-path projections, $set/$inc/$setOnInsert updates, replaceOne, upserts,
+// sort, limit and async iteration on find, bulk updateOne, and $match/$group
+// pipelines. Documents are copied on the way in and out.
+
+function copy(v) {
+  if (Array.isArray(v)) return v.map(copy);
+  if (v instanceof Date) return new Date(v);
+  if (v instanceof ObjectId || v == null || typeof v !== "object") return v;
+  return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, copy(x)]));
+}
+
+function get(doc, path) {
+  return path.split(".").reduce((v, k) => v?.[k], doc);
+}
+
+function set(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((v, k) => (v[k] ??= {}), doc);
+  parent[last] = value;
+}
+
+// Ray casting against the outer ring of a Polygon $geometry
+function pointInPolygon(point, { type, coordinates }) {
+  if (type !== "Polygon" || point?.type !== "Point") throw new Error("fakedb: $geoWithin supports Point in Polygon only");
+  const [x, y] = point.coordinates;
+  let inside = false;
+  const ring = coordinates[0];
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInBox(point, [[minX, minY], [maxX, maxY]]) {
+  const [x, y] = point?.coordinates ?? [];
+  return x >= minX && x <= maxX && y >= minY && y <= maxY;
+}
+
+const key = (v) => (v instanceof ObjectId ? `oid:${v}` : v instanceof Date ? `date:${+v}` : JSON.stringify(v));
+const equal = (a, b) => (Array.isArray(a) && !Array.isArray(b) ? a.some(x => key(x) === key(b)) : key(a) === key(b));
+
+function matchValue(value, cond) {
+  const ops = cond && typeof cond === "object" && !(cond instanceof ObjectId) && !(cond instanceof Date) && !Array.isArray(cond)
+    ? Object.keys(cond).filter(k => k.startsWith("$"))
+    : [];
+  if (!ops.length) return equal(value ?? null, cond ?? null);
+  return ops.every(op => {
+    const arg = cond[op];
+    switch (op) {
+      case "$in": return arg.some(a => equal(value ?? null, a));
+      case "$nin": return !arg.some(a => equal(value ?? null, a));
+      case "$ne": return !equal(value ?? null, arg);
+      case "$gt": return value > arg;
+      case "$gte": return value >= arg;
+      case "$lt": return value < arg;
+      case "$lte": return value <= arg;
+      case "$exists": return (value !== undefined) === arg;
+      case "$type": return arg === "number" ? typeof value === "number" : arg === "string" ? typeof value === "string" : false;
+      case "$geoWithin": return arg.$box ? pointInBox(value, arg.$box) : pointInPolygon(value, arg.$geometry);
+      default: throw new Error(`fakedb: unsupported operator ${op}`);
+    }
+  });
+}
+
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([k, cond]) => {
+    if (k === "$and") return cond.every(f => matches(doc, f));
+    if (k === "$or") return cond.some(f => matches(doc, f));
+    return matchValue(get(doc, k), cond);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, v] of Object.entries(fields)) {
+      if (op === "$set") set(doc, path, copy(v));
+      else if (op === "$inc") set(doc, path, (get(doc, path) ?? 0) + v);
+      else if (op === "$setOnInsert") { if (inserting) set(doc, path, copy(v)); }
+      else throw new Error(`fakedb: unsupported update ${op}`);
+    }
+  }
+}
+
+function project(doc, projection) {
+  if (!projection) return copy(doc);
+  const out = {};
+  for (const [k, v] of Object.entries(projection)) {
+    if (typeof v === "string" && v.startsWith("$")) set(out, k, copy(get(doc, v.slice(1))));
+    else if (v) set(out, k, copy(get(doc, k)));
+  }
+  if (projection._id !== 0) out._id = doc._id;
+  return out;
+}
+
+// $group by a field path with $sum/$min/$max of field paths or constants
+function group(rows, { _id, ...accumulators }) {
+  const value = (d, e) => (typeof e === "string" && e.startsWith("$") ? get(d, e.slice(1)) : e);
+  const groups = new Map();
+  for (const d of rows) {
+    const id = value(d, _id) ?? null;
+    if (!groups.has(key(id))) groups.set(key(id), { _id: id, rows: [] });
+    groups.get(key(id)).rows.push(d);
+  }
+  return [...groups.values()].map(g => {
+    const out = { _id: g._id };
+    for (const [name, acc] of Object.entries(accumulators)) {
+      const [[op, e]] = Object.entries(acc);
+      const values = g.rows.map(d => value(d, e));
+      if (op === "$sum") out[name] = values.reduce((a, b) => a + (b ?? 0), 0);
+      else if (op === "$max") out[name] = values.reduce((a, b) => (a == null || b > a ? b : a), null);
+      else if (op === "$min") out[name] = values.reduce((a, b) => (a == null || b < a ? b : a), null);
+      else throw new Error(`fakedb: unsupported accumulator ${op}`);
+    }
+    return out;
+  });
+}
+
+class Collection {
+  constructor() {
+    this.docs = [];
+  }
+
+  find(filter, { projection } = {}) {
+    let rows = this.docs.filter(d => matches(d, filter));
+    const cursor = {
+      sort: (spec) => {
+        const keys = Object.entries(spec);
+        rows = [...rows].sort((a, b) => {
+          for (const [k, dir] of keys) {
+            const x = key(get(a, k));
+            const y = key(get(b, k));
+            if (x !== y) return (x < y ? -1 : 1) * dir;
+          }
+          return 0;
+        });
+        return cursor;
+      },
+      limit: (n) => {
+        rows = rows.slice(0, n);
+        return cursor;
+      },
+      toArray: async () => rows.map(d => project(d, projection)),
+      async *[Symbol.asyncIterator]() {
+        for (const d of rows) yield project(d, projection);
+      }
+    };
+    return cursor;
+  }
+
+  async findOne(filter, opts) {
+    const [doc] = await this.find(filter, opts).limit(1).toArray();
+    return doc ?? null;
+  }
+
+  async countDocuments(filter) {
+    return this.docs.filter(d => matches(d, filter)).length;
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: new ObjectId(), ...copy(doc) };
+    this.docs.push(stored);
+    return { insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    for (const d of docs) await this.insertOne(d);
+    return { insertedCount: docs.length };
+  }
+
+  upsertTarget(filter, update, upsert) {
+    let doc = this.docs.find(d => matches(d, filter));
+    if (doc) {
+      applyUpdate(doc, update, false);
+      return doc;
+    }
+    if (!upsert) return null;
+    doc = {};
+    for (const [k, v] of Object.entries(filter)) if (!k.startsWith("$") && (typeof v !== "object" || v instanceof ObjectId)) set(doc, k, v);
+    doc._id ??= new ObjectId();
+    applyUpdate(doc, update, true);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const doc = this.upsertTarget(filter, update, upsert);
+    return { matchedCount: doc ? 1 : 0 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.docs.filter(d => matches(d, filter));
+    for (const d of docs) applyUpdate(d, update, false);
+    return { matchedCount: docs.length };
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const i = this.docs.findIndex(d => matches(d, filter));
+    if (i < 0 && !upsert) return { matchedCount: 0 };
+    const doc = { _id: i >= 0 ? this.docs[i]._id : filter._id ?? new ObjectId(), ...copy(replacement) };
+    if (i >= 0) this.docs[i] = doc;
+    else this.docs.push(doc);
+    return { matchedCount: i >= 0 ? 1 : 0 };
+  }
+
+  async findOneAndUpdate(filter, update, { upsert = false, returnDocument = "before", projection } = {}) {
+    const before = this.docs.find(d => matches(d, filter));
+    const snapshot = before && copy(before);
+    const doc = this.upsertTarget(filter, update, upsert);
+    const out = returnDocument === "after" ? doc : snapshot;
+    return out ? project(out, projection) : null;
+  }
+
+  async deleteOne(filter) {
+    const i = this.docs.findIndex(d => matches(d, filter));
+    if (i >= 0) this.docs.splice(i, 1);
+    return { deletedCount: i >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(d => !matches(d, filter));
+    return { deletedCount: before - this.docs.length };
+  }
+
+  async bulkWrite(ops) {
+    for (const { updateOne } of ops) {
+      if (!updateOne) throw new Error("fakedb: only updateOne bulk writes are supported");
+      this.upsertTarget(updateOne.filter, updateOne.update, updateOne.upsert);
+    }
+    return { ok: 1 };
+  }
+
+  aggregate(pipeline) {
+    let rows = this.docs.map(copy);
+    for (const stage of pipeline) {
+      const [[op, arg]] = Object.entries(stage);
+      if (op === "$match") rows = rows.filter(d => matches(d, arg));
+      else if (op === "$group") rows = group(rows, arg);
+      else throw new Error(`fakedb: unsupported stage ${op}`);
+    }
+    return { toArray: async () => rows };
+  }
+
+  async createIndex() {
+    return "ok";
+  }
+}
+
+export function fakeDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new Collection());
+      return collections.get(name);
+    }
+  };
+}
@@ -0,0 +1,10 @@
+import { createServer } from "node:http";
+
+// Serves app on a free local port for the duration of a test
+export async function listen(t, app) {
+  const server = createServer(app);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, init) => fetch(base + path, init);
+}
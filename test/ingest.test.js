@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, rowsFromCsv, rowsFromGeoJson, toWellRecord, changedFields, INGEST_FIELDS } from "../src/ingest.js";
+import { fromWgs84 } from "../src/crs.js";
+
+test("parseCsv handles quotes, escaped quotes, embedded newlines and CRLF", () => {
+  const text = 'a,b,c\r\n1,"two, too","say ""hi"""\n3,"multi\nline",\r\n\r\n';
+  assert.deepEqual(parseCsv(text), [
+    ["a", "b", "c"],
+    ["1", "two, too", 'say "hi"'],
+    ["3", "multi\nline", ""]
+  ]);
+});
+
+test("parseCsv keeps a last row without a trailing newline and drops blank lines", () => {
+  assert.deepEqual(parseCsv("a,b\n\n , \n1,2"), [["a", "b"], ["1", "2"]]);
+});
+
+test("rowsFromCsv maps header aliases and drops unknown columns", () => {
+  const rows = rowsFromCsv("\uFEFFLicence,Well Name,OPERATOR,STATUS_DAT,TECHDOC_UR,Colour\n123,Test 1,Acme,2020/01/02,https://x.test/a,red\n");
+  assert.deepEqual(rows, [
+    { licence: "123", name: "Test 1", company: "Acme", status_date: "2020/01/02", techdoc_url: "https://x.test/a" }
+  ]);
+  assert.deepEqual(rowsFromCsv(""), []);
+});
+
+test("rowsFromGeoJson reads properties and Point geometry, reprojecting from crs", () => {
+  const [x, y] = fromWgs84("EPSG:26914", [-100, 50]);
+  const rows = rowsFromGeoJson({
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", properties: { LICENCE: 5, MINERAL_RI: "Crown" }, geometry: { type: "Point", coordinates: [x, y] } },
+      { type: "Feature", properties: { licence: 6 }, geometry: null }
+    ]
+  }, "EPSG:26914");
+
+  assert.equal(rows[0].licence, 5);
+  assert.equal(rows[0].mineral_ri, "Crown");
+  assert.ok(Math.abs(rows[0].lon + 100) < 1e-8 && Math.abs(rows[0].lat - 50) < 1e-8);
+  assert.deepEqual(rows[1], { licence: 6 });
+  assert.equal(rowsFromGeoJson({ type: "Point", coordinates: [0, 0] }), null);
+});
+
+test("toWellRecord normalises values and fills every ingest field", () => {
+  const { record, error } = toWellRecord(
+    { licence: " 42 ", name: "  Well A ", company: "", status_date: "2021-03-04T05:06", lon: "-98.123456789", lat: "49.5" },
+    "EPSG:26914"
+  );
+  assert.equal(error, undefined);
+  assert.deepEqual(Object.keys(record).sort(), [...INGEST_FIELDS].sort());
+  assert.equal(record.licence, 42);
+  assert.equal(record.name, "Well A");
+  assert.equal(record.company, null);
+  assert.equal(record.status_date, "2021-03-04 05:06:00");
+  assert.deepEqual(record.location, { type: "Point", coordinates: [-98.1234568, 49.5] });
+});
+
+test("toWellRecord takes the location from easting/northing without lon/lat", () => {
+  const [easting, northing] = fromWgs84("EPSG:26914", [-99, 50]);
+  const { record } = toWellRecord({ licence: 1, easting, northing }, "EPSG:26914");
+  assert.equal(record.easting, easting);
+  const [lon, lat] = record.location.coordinates;
+  assert.ok(Math.abs(lon + 99) < 1e-6 && Math.abs(lat - 50) < 1e-6);
+  assert.equal(toWellRecord({ licence: 2 }, "EPSG:26914").record.location, null);
+});
+
+test("toWellRecord reports invalid rows instead of throwing", () => {
+  assert.ok(toWellRecord({ name: "no licence" }).error.fieldErrors.licence);
+  assert.ok(toWellRecord({ licence: "abc" }).error.fieldErrors.licence);
+  assert.ok(toWellRecord({ licence: 1, status_date: "March 2020" }).error.fieldErrors.status_date);
+  assert.ok(toWellRecord({ licence: 1, techdoc_url: "not a url" }).error.fieldErrors.techdoc_url);
+  assert.match(toWellRecord({ licence: 1, lon: 500, lat: 50 }).error.formErrors[0], /outside lon\/lat range/);
+});
+
+test("changedFields lists field changes and ignores sub-10 cm moves", () => {
+  const { record } = toWellRecord({ licence: 7, status: "Active", lon: -98, lat: 50 });
+  const existing = { ...record, status: "Abandoned", location: { type: "Point", coordinates: [-98.0000001, 50] } };
+
+  assert.deepEqual(changedFields(existing, record), { status: { from: "Abandoned", to: "Active" } });
+  assert.deepEqual(changedFields(record, record), {});
+
+  const moved = { ...record, location: { type: "Point", coordinates: [-98.001, 50] } };
+  assert.deepEqual(Object.keys(changedFields(moved, record)), ["location"]);
+  // fields missing on older documents count as null
+  const { name, ...older } = record;
+  assert.deepEqual(changedFields(older, record), {});
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PbfReader } from "pbf";
+import { TILE_EXTENT, tileBounds, projectToTile, tileProjectionExpr, encodeTile } from "../src/mvt.js";
+
+// Just enough of the vector tile spec to read back what encodeTile writes
+function decodeTile(buf) {
+  const layers = {};
+  new PbfReader(buf).readFields((tag, _, pbf) => {
+    if (tag !== 3) return;
+    const layer = pbf.readMessage(readLayer, { features: [], keys: [], values: [] });
+    layers[layer.name] = layer;
+  });
+  return layers;
+}
+
+function readLayer(tag, layer, pbf) {
+  if (tag === 15) layer.version = pbf.readVarint();
+  else if (tag === 1) layer.name = pbf.readString();
+  else if (tag === 2) layer.features.push(pbf.readMessage(readFeature, { tags: [] }));
+  else if (tag === 3) layer.keys.push(pbf.readString());
+  else if (tag === 4) layer.values.push(pbf.readMessage(readValue, {}).value);
+  else if (tag === 5) layer.extent = pbf.readVarint();
+}
+
+function readFeature(tag, f, pbf) {
+  if (tag === 1) f.id = pbf.readVarint();
+  else if (tag === 2) f.tags = pbf.readPackedVarint();
+  else if (tag === 3) f.type = pbf.readVarint();
+  else if (tag === 4) f.geometry = pbf.readPackedVarint();
+}
+
+function readValue(tag, v, pbf) {
+  if (tag === 1) v.value = pbf.readString();
+  else if (tag === 3) v.value = pbf.readDouble();
+  else if (tag === 5) v.value = pbf.readVarint();
+  else if (tag === 6) v.value = pbf.readSVarint();
+  else if (tag === 7) v.value = pbf.readBoolean();
+}
+
+const unzigzag = (n) => (n >>> 1) ^ -(n & 1);
+
+function properties(layer, f) {
+  const out = {};
+  for (let i = 0; i < f.tags.length; i += 2) out[layer.keys[f.tags[i]]] = layer.values[f.tags[i + 1]];
+  return out;
+}
+
+// Evaluates the operators tileProjectionExpr uses, over one document
+function evaluate(expr, doc) {
+  if (typeof expr === "number") return expr;
+  if (typeof expr === "string") return expr.slice(1).split(".").reduce((v, k) => v?.[k], doc);
+  const [[op, arg]] = Object.entries(expr);
+  const args = Array.isArray(arg) ? arg.map(a => evaluate(a, doc)) : [evaluate(arg, doc)];
+  switch (op) {
+    case "$arrayElemAt": return args[0][args[1]];
+    case "$min": return Math.min(...args);
+    case "$max": return Math.max(...args);
+    case "$add": return args[0] + args[1];
+    case "$subtract": return args[0] - args[1];
+    case "$multiply": return args[0] * args[1];
+    case "$divide": return args[0] / args[1];
+    case "$sin": return Math.sin(args[0]);
+    case "$ln": return Math.log(args[0]);
+    case "$degreesToRadians": return (args[0] * Math.PI) / 180;
+    case "$round": return Math.round(args[0]);
+    default: throw new Error(`Unexpected operator ${op}`);
+  }
+}
+
+test("tileBounds of the world tile span the Web Mercator square", () => {
+  const [w, s, e, n] = tileBounds(0, 0, 0);
+  assert.deepEqual([w, e], [-180, 180]);
+  assert.ok(Math.abs(s + 85.0511) < 1e-4 && Math.abs(n - 85.0511) < 1e-4);
+});
+
+test("tileBounds of a child tile is a quarter of its parent", () => {
+  const [w, s, e, n] = tileBounds(1, 0, 0);
+  assert.deepEqual([w, s, e], [-180, 0, 0]);
+  assert.ok(n > 85);
+  const [bw, , be] = tileBounds(1, 0, 0, 256);
+  assert.ok(bw === -180 && be > 0, "a buffer grows the tile but stays within the world");
+});
+
+test("projectToTile puts tile corners and centres where expected", () => {
+  assert.deepEqual(projectToTile([0, 0], 0, 0, 0), [TILE_EXTENT / 2, TILE_EXTENT / 2]);
+  const [w, s, e, n] = tileBounds(10, 236, 347);
+  assert.deepEqual(projectToTile([w, n], 10, 236, 347), [0, 0]);
+  assert.deepEqual(projectToTile([e, s], 10, 236, 347), [TILE_EXTENT, TILE_EXTENT]);
+  const [x, y] = projectToTile([w - 0.001, n], 10, 236, 347);
+  assert.ok(x < 0 && y === 0, "points in the buffer fall outside 0..extent");
+});
+
+test("tileProjectionExpr matches projectToTile", () => {
+  const expr = tileProjectionExpr("$location.coordinates", 12, 944, 1391);
+  const [w, s, e, n] = tileBounds(12, 944, 1391, 64);
+  for (let i = 0; i < 500; i++) {
+    const lonLat = [w + ((e - w) * ((i * 37) % 500)) / 500, s + ((n - s) * ((i * 91) % 500)) / 500];
+    const doc = { location: { coordinates: lonLat } };
+    assert.deepEqual([evaluate(expr.x, doc), evaluate(expr.y, doc)], projectToTile(lonLat, 12, 944, 1391), String(lonLat));
+  }
+});
+
+test("encodeTile writes readable v2 point layers", () => {
+  const buf = encodeTile({
+    wells: [
+      { id: 7, x: 10, y: 20, properties: { licence: 123, status: "Active", depth: 1.5, flowing: true, none: null } },
+      { x: -5, y: 4100, properties: { status: "Active", offset: -3 } }
+    ],
+    empty: []
+  });
+  const layers = decodeTile(buf);
+
+  assert.deepEqual(Object.keys(layers), ["wells"], "empty layers are left out");
+  const layer = layers.wells;
+  assert.equal(layer.version, 2);
+  assert.equal(layer.extent, TILE_EXTENT);
+  assert.equal(layer.features.length, 2);
+
+  const [a, b] = layer.features;
+  assert.equal(a.id, 7);
+  assert.equal(b.id, undefined);
+  assert.equal(a.type, 1);
+  assert.deepEqual(properties(layer, a), { licence: 123, status: "Active", depth: 1.5, flowing: true });
+  assert.deepEqual(properties(layer, b), { status: "Active", offset: -3 });
+  assert.equal(layer.values.filter(v => v === "Active").length, 1, "repeated values are shared");
+
+  // MoveTo x1, then zigzagged coordinates
+  assert.equal(a.geometry[0], 9);
+  assert.deepEqual([unzigzag(a.geometry[1]), unzigzag(a.geometry[2])], [10, 20]);
+  assert.deepEqual([unzigzag(b.geometry[1]), unzigzag(b.geometry[2])], [-5, 4100]);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import {
+  encodeCursor, idCursorParam, nearCursorParam, rankCursorParam,
+  afterId, idCursorFor, rankCursorFor, nearCursorFor, paginate
+} from "../src/pagination.js";
+
+const ids = ["65a000000000000000000001", "65a000000000000000000002", "65a000000000000000000003"];
+const rows = ids.map(id => ({ _id: new ObjectId(id) }));
+
+test("cursors round-trip through their param schemas", () => {
+  assert.deepEqual(idCursorParam.parse(encodeCursor({ k: "id", id: ids[0] })), { k: "id", id: ids[0] });
+  assert.deepEqual(rankCursorParam.parse(encodeCursor({ k: "rank", o: 40 })), { k: "rank", o: 40 });
+  const near = { k: "near", d: 12.5, ids: [ids[1]] };
+  assert.deepEqual(nearCursorParam.parse(encodeCursor(near)), near);
+});
+
+test("a cursor from one kind of endpoint is rejected by another", () => {
+  const id = encodeCursor({ k: "id", id: ids[0] });
+  const result = rankCursorParam.safeParse(id);
+  assert.equal(result.success, false);
+  assert.equal(result.error.issues[0].message, "Invalid cursor");
+  assert.equal(nearCursorParam.safeParse(id).success, false);
+});
+
+test("garbage and tampered cursors are rejected", () => {
+  for (const s of ["", "not-base64!", encodeCursor({ k: "id", id: "zz" }), encodeCursor({ k: "rank", o: -1 }), encodeCursor(null)]) {
+    for (const param of [idCursorParam, nearCursorParam, rankCursorParam]) assert.equal(param.safeParse(s).success, false, s);
+  }
+  assert.equal(idCursorParam.safeParse(Buffer.from("{").toString("base64url")).success, false);
+});
+
+test("afterId resumes strictly after the cursor's id", () => {
+  assert.deepEqual(afterId(undefined), {});
+  const { _id } = afterId({ k: "id", id: ids[1] });
+  assert.ok(_id.$gt.equals(new ObjectId(ids[1])));
+});
+
+test("paginate returns limit rows and a next link only when there are more", () => {
+  const req = { originalUrl: "/wells?status=Active&limit=2&cursor=old" };
+  const more = paginate(req, rows, 2, idCursorFor);
+
+  assert.equal(more.page.length, 2);
+  assert.deepEqual(idCursorParam.parse(more.next_cursor), { k: "id", id: ids[1] });
+  const next = new URL(more.next, "http://localhost");
+  assert.equal(next.pathname, "/wells");
+  assert.equal(next.searchParams.get("status"), "Active");
+  assert.equal(next.searchParams.get("cursor"), more.next_cursor);
+
+  const last = paginate(req, rows.slice(0, 2), 2, idCursorFor);
+  assert.deepEqual(last, { page: rows.slice(0, 2), next_cursor: null, next: null });
+});
+
+test("next links never carry the caller's api_key", () => {
+  const { next } = paginate({ originalUrl: "/wells?api_key=mwk_secret&limit=1" }, rows, 1, idCursorFor);
+  assert.equal(new URL(next, "http://localhost").searchParams.has("api_key"), false);
+  assert.doesNotMatch(next, /mwk_secret/);
+});
+
+test("rank cursors advance by the page size", () => {
+  const { next_cursor } = paginate({ originalUrl: "/wells/search?q=x" }, rows, 2, rankCursorFor(10));
+  assert.deepEqual(rankCursorParam.parse(next_cursor), { k: "rank", o: 12 });
+});
+
+test("near cursors remember every id at the last distance, across pages", () => {
+  const page = [
+    { _id: ids[0], distance_m: 5 },
+    { _id: ids[1], distance_m: 9 },
+    { _id: ids[2], distance_m: 9 }
+  ];
+  assert.deepEqual(nearCursorFor(null)(page), { k: "near", d: 9, ids: [ids[1], ids[2]] });
+
+  // still at the same distance as the previous page: keep its ids too
+  const prev = { k: "near", d: 9, ids: ["65a000000000000000000000"] };
+  assert.deepEqual(nearCursorFor(prev)(page.slice(1)).ids, [ids[1], ids[2], prev.ids[0]]);
+  assert.deepEqual(nearCursorFor({ ...prev, d: 4 })(page).ids, [ids[1], ids[2]]);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tourLength, nearestNeighbourTour, twoOpt } from "../src/routing.js";
+import { useDB, getDB } from "../src/db.js";
+import { app } from "../src/app.js";
+import { fakeDb } from "./helpers/fakedb.js";
+import { listen } from "./helpers/http.js";
+
+const matrixOf = (pts) => pts.map(a => pts.map(b => Math.hypot(a[0] - b[0], a[1] - b[1])));
+
+// Deterministic pseudo-random points
+function randomPoints(n, seed) {
+  let s = seed;
+  const next = () => (s = (s * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+  return Array.from({ length: n }, () => [next() * 1000, next() * 1000]);
+}
+
+const isPermutation = (order, n) => order.length === n && [...order].sort((a, b) => a - b).every((v, i) => v === i);
+
+test("tourLength adds the closing leg only for round trips", () => {
+  const m = matrixOf([[0, 0], [3, 0], [3, 4]]);
+  assert.equal(tourLength([0, 1, 2], m, false), 7);
+  assert.equal(tourLength([0, 1, 2], m, true), 12);
+  assert.equal(tourLength([0], m, true), 0);
+});
+
+test("nearestNeighbourTour always steps to the closest unvisited stop", () => {
+  const m = matrixOf([[0, 0], [10, 0], [1, 0], [5, 0], [2, 0]]);
+  assert.deepEqual(nearestNeighbourTour(m), [0, 2, 4, 3, 1]);
+  assert.deepEqual(nearestNeighbourTour(m, 3), [3, 4, 2, 0, 1]);
+});
+
+test("twoOpt untangles a crossing round trip", () => {
+  const m = matrixOf([[0, 0], [1, 0], [1, 1], [0, 1]]);
+  const tour = twoOpt([0, 2, 1, 3], m, true);
+  assert.equal(tour[0], 0);
+  assert.equal(tourLength(tour, m, true), 4);
+});
+
+test("twoOpt straightens an open path and keeps the first stop", () => {
+  const m = matrixOf([[0, 0], [3, 0], [1, 0], [4, 0], [2, 0]]);
+  const tour = twoOpt([0, 1, 2, 3, 4], m, false);
+  assert.deepEqual(tour, [0, 2, 4, 1, 3]);
+  assert.equal(tourLength(tour, m, false), 4);
+});
+
+test("twoOpt finds the optimal tour of points on a convex polygon", () => {
+  const pts = Array.from({ length: 12 }, (_, i) => [Math.cos((i * Math.PI) / 6), Math.sin((i * Math.PI) / 6)]);
+  const shuffled = [0, 7, 3, 10, 1, 5, 11, 2, 8, 4, 9, 6];
+  const m = matrixOf(pts);
+  const perimeter = tourLength([...pts.keys()], m, true);
+  assert.ok(Math.abs(tourLength(twoOpt(shuffled, m, true), m, true) - perimeter) < 1e-9);
+});
+
+test("nearest neighbour + 2-opt never lengthens the tour and visits every stop once", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const m = matrixOf(randomPoints(30, seed));
+    for (const roundTrip of [true, false]) {
+      const nn = nearestNeighbourTour(m);
+      const improved = twoOpt(nn, m, roundTrip);
+      assert.ok(isPermutation(improved, 30));
+      assert.equal(improved[0], 0);
+      assert.ok(tourLength(improved, m, roundTrip) <= tourLength(nn, m, roundTrip) + 1e-9);
+    }
+  }
+});
+
+test("twoOpt stops at a 2-opt local optimum", () => {
+  // no reversal of a segment after the first stop shortens the result
+  for (let seed = 1; seed <= 10; seed++) {
+    const m = matrixOf(randomPoints(12, seed));
+    for (const roundTrip of [true, false]) {
+      const tour = twoOpt(nearestNeighbourTour(m), m, roundTrip);
+      const length = tourLength(tour, m, roundTrip);
+      for (let i = 1; i < tour.length; i++) {
+        for (let k = i + 1; k < tour.length; k++) {
+          const reversed = [...tour.slice(0, i), ...tour.slice(i, k + 1).reverse(), ...tour.slice(k + 1)];
+          assert.ok(tourLength(reversed, m, roundTrip) >= length - 1e-9, `seed ${seed}, reverse ${i}..${k}`);
+        }
+      }
+    }
+  }
+});
+
+test("/wells/distance-matrix refuses licences that aren't positive integers", async (t) => {
+  useDB(fakeDb());
+  await getDB().collection("wells").insertMany([
+    { licence: 1, name: "A", location: { type: "Point", coordinates: [-101, 49.5] } },
+    { licence: 2, name: "B", location: { type: "Point", coordinates: [-100.9, 49.5] } }
+  ]);
+  const request = await listen(t, app);
+  const post = (body) =>
+    request("/wells/distance-matrix", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+  for (const body of [
+    { licences: [1, null] },
+    { licences: [1, ""] },
+    { licences: [1, 0] },
+    { licences: [1, 2.5] },
+    { stops: [{ licence: 1 }, { licence: null }] },
+    { stops: [{ licence: 1 }, { licence: " " }] }
+  ]) {
+    const res = await post(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal((await res.json()).error, "Invalid body");
+  }
+
+  const res = await post({ licences: ["1"], stops: [{ licence: 2 }] });
+  assert.equal(res.status, 200);
+  const { stops, distances_m } = await res.json();
+  assert.deepEqual(stops.map(s => s.licence), [1, 2]);
+  assert.ok(distances_m[0][1] > 7000 && distances_m[0][1] < 7500);
+});
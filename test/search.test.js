@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { refreshSearchIndex, searchIndex, highlight, editDistance, suggest } from "../src/search.js";
+import { fakeDb } from "./helpers/fakedb.js";
+
+const WELLS = [
+  { licence: 101, name: "Tundra Daly Sinclair 4-12", company: "Tundra Oil & Gas", status: "Pumping" },
+  { licence: 202, name: "Corex Waskada 1-5", company: "Corex Resources", status: "Abandoned" },
+  { licence: 303, name: "Daly <North> 7-9", company: "Tundra Oil & Gas", status: "Capped" },
+  { licence: 4040, name: "Sinclair Unit 101", company: "Vermilion Energy", status: "Pumping" }
+];
+
+async function indexOf(wells) {
+  const db = fakeDb();
+  await db.collection("wells").insertMany(wells);
+  return refreshSearchIndex(db.collection("wells"));
+}
+
+const licences = (hits) => hits.map(h => h.doc.licence);
+
+test("every query token has to match", async () => {
+  const idx = await indexOf(WELLS);
+  assert.deepEqual(licences(searchIndex(idx, "tundra daly")).sort(), [101, 303]);
+  assert.deepEqual(licences(searchIndex(idx, "tundra waskada")), []);
+});
+
+test("a licence match outranks the same number in a name", async () => {
+  const idx = await indexOf(WELLS);
+  assert.deepEqual(licences(searchIndex(idx, "101")), [101, 4040]);
+});
+
+test("exact words rank above prefixes and prefixes above typos", async () => {
+  const idx = await indexOf([
+    { licence: 1, name: "Sinclairville" },
+    { licence: 2, name: "Sinclair" },
+    { licence: 3, name: "Sinclear" }
+  ]);
+  assert.deepEqual(licences(searchIndex(idx, "sinclair")), [2, 1, 3]);
+});
+
+test("typos are forgiven within the edit budget", async () => {
+  const idx = await indexOf(WELLS);
+  assert.deepEqual(licences(searchIndex(idx, "waksada")), [202]);
+  assert.deepEqual(licences(searchIndex(idx, "tundar oil")).sort(), [101, 303]);
+  // short words allow one edit, numbers none
+  assert.deepEqual(licences(searchIndex(idx, "dali")).sort(), [101, 303]);
+  assert.deepEqual(licences(searchIndex(idx, "dxlx")), []);
+  assert.deepEqual(licences(searchIndex(idx, "203")), []);
+});
+
+test("a typo in the first letter isn't corrected", async () => {
+  const idx = await indexOf(WELLS);
+  assert.deepEqual(licences(searchIndex(idx, "xorex")), []);
+});
+
+test("editDistance gives up past the budget", () => {
+  assert.equal(editDistance("kitten", "sitting", 3), 3);
+  assert.equal(editDistance("kitten", "sitting", 2), 3);
+  assert.equal(editDistance("a", "abcd", 1), 2);
+});
+
+test("highlights wrap the matched words and escape the rest", async () => {
+  const idx = await indexOf(WELLS);
+  const [hit] = searchIndex(idx, "north");
+  assert.deepEqual(highlight(hit.doc, hit.terms), { name: "Daly &lt;<mark>North</mark>&gt; 7-9" });
+
+  const [tundra] = searchIndex(idx, "oil gas");
+  assert.deepEqual(highlight(tundra.doc, tundra.terms), { company: "Tundra <mark>Oil</mark> &amp; <mark>Gas</mark>" });
+});
+
+test("suggest matches every token as a word prefix, biggest operators first", async () => {
+  const idx = await indexOf(WELLS);
+  const { companies, names, licences: byLicence } = suggest(idx, "tun oi", 10);
+  assert.deepEqual(companies, [{ company: "Tundra Oil & Gas", count: 2 }]);
+  assert.deepEqual(names, []);
+  assert.deepEqual(byLicence, []);
+
+  assert.deepEqual(suggest(idx, "oil tun", 10).companies, [{ company: "Tundra Oil & Gas", count: 2 }]);
+  assert.deepEqual(suggest(idx, "tundra x", 10).companies, []);
+  assert.deepEqual(suggest(idx, "r", 10).companies, [{ company: "Corex Resources", count: 1 }]);
+});
+
+test("suggested names that start with the query come first, then shorter ones", async () => {
+  const idx = await indexOf(WELLS);
+  const names = suggest(idx, "sinclair", 10).names.map(n => n.name);
+  assert.deepEqual(names, ["Sinclair Unit 101", "Tundra Daly Sinclair 4-12"]);
+  assert.deepEqual(suggest(idx, "sinclair", 1).names.map(n => n.licence), [4040]);
+});
+
+test("licences are suggested by numeric prefix, only for all-digit queries", async () => {
+  const idx = await indexOf(WELLS);
+  assert.deepEqual(suggest(idx, "40", 10).licences.map(l => l.licence), [4040]);
+  assert.deepEqual(suggest(idx, "10", 10).licences.map(l => l.licence), [101]);
+  assert.deepEqual(suggest(idx, "10 unit", 10).licences, []);
+});
+
+test("company variants are folded before ranking and the limit", async () => {
+  const idx = await indexOf([
+    ...Array.from({ length: 2 }, (_, i) => ({ licence: 10 + i, company: "Tundra Oil & Gas" })),
+    ...Array.from({ length: 2 }, (_, i) => ({ licence: 20 + i, company: "TUNDRA OIL AND GAS" })),
+    ...Array.from({ length: 3 }, (_, i) => ({ licence: 30 + i, company: "Tundra Energy" }))
+  ]);
+  assert.deepEqual(suggest(idx, "tundra", 1).companies, [{ company: "Tundra Energy", count: 3 }]);
+
+  // both spellings of Tundra Oil & Gas as one operator
+  const fold = rows => {
+    const merged = new Map();
+    for (const { company, count } of rows) {
+      const name = company === "Tundra Energy" ? company : "Tundra Oil & Gas";
+      merged.set(name, (merged.get(name) ?? 0) + count);
+    }
+    return [...merged].map(([company, count]) => ({ company, count }));
+  };
+  assert.deepEqual(suggest(idx, "tundra", 1, { foldCompanies: fold }).companies, [{ company: "Tundra Oil & Gas", count: 4 }]);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nearestNeighborDistances, ripley, dbscan, convexHull, clusterHulls, toMetres } from "../src/spatial.js";
+
+function randomPoints(n, seed, size = 10000) {
+  let s = seed;
+  const next = () => (s = (s * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+  return Array.from({ length: n }, () => [next() * size, next() * size]);
+}
+
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Textbook DBSCAN over all pairs, to check the grid-indexed one against
+function referenceDbscan(xy, eps, minPoints) {
+  const neighbours = (i) => xy.flatMap((p, j) => (dist(xy[i], p) <= eps ? [j] : []));
+  const labels = new Array(xy.length).fill(-2);
+  let cluster = 0;
+  for (let i = 0; i < xy.length; i++) {
+    if (labels[i] !== -2) continue;
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = -1;
+      continue;
+    }
+    labels[i] = cluster;
+    const queue = [...seeds];
+    while (queue.length) {
+      const j = queue.shift();
+      if (labels[j] === -1) labels[j] = cluster;
+      if (labels[j] !== -2) continue;
+      labels[j] = cluster;
+      const more = neighbours(j);
+      if (more.length >= minPoints) queue.push(...more);
+    }
+    cluster++;
+  }
+  return labels;
+}
+
+test("nearestNeighborDistances matches a brute-force search", () => {
+  for (const seed of [1, 2, 3]) {
+    const xy = [...randomPoints(400, seed), ...randomPoints(50, seed + 10, 100)]; // sparse plus a dense patch
+    const expected = xy.map((p, i) => Math.min(...xy.filter((_, j) => j !== i).map(q => dist(p, q))));
+    assert.deepEqual(nearestNeighborDistances(xy), expected);
+  }
+});
+
+test("co-located points are each other's nearest neighbours at 0 m", () => {
+  assert.deepEqual(nearestNeighborDistances([[0, 0], [0, 0], [10, 0]]), [0, 0, 10]);
+  assert.deepEqual(nearestNeighborDistances([[5, 5]]), []);
+});
+
+test("ripley counts the same pairs as a brute-force count", () => {
+  const xy = randomPoints(300, 7);
+  const area = 10000 * 10000;
+  const radii = [250, 100, 500, 100];
+  const result = ripley(xy, area, radii);
+
+  assert.deepEqual(result.map(r => r.distance_m), [100, 250, 500], "distances sorted and de-duplicated");
+  for (const { distance_m, k, l, l_minus_r } of result) {
+    let pairs = 0;
+    for (let i = 0; i < xy.length; i++) for (let j = 0; j < xy.length; j++) if (i !== j && dist(xy[i], xy[j]) <= distance_m) pairs++;
+    assert.ok(Math.abs(k - (area * pairs) / (xy.length * (xy.length - 1))) < 1e-6);
+    assert.ok(Math.abs(l - Math.sqrt(k / Math.PI)) < 1e-9);
+    assert.ok(Math.abs(l_minus_r - (l - distance_m)) < 1e-9);
+  }
+  assert.deepEqual(ripley([[0, 0]], area, [100]), []);
+});
+
+test("dbscan agrees with the textbook algorithm", () => {
+  for (const seed of [1, 2, 3, 4]) {
+    const xy = [...randomPoints(300, seed), ...randomPoints(80, seed + 100, 500)];
+    for (const [eps, minPoints] of [[300, 4], [150, 3], [60, 5]]) {
+      assert.deepEqual([...dbscan(xy, eps, minPoints)], referenceDbscan(xy, eps, minPoints), `seed ${seed}, eps ${eps}`);
+    }
+  }
+});
+
+test("dbscan separates two blobs from isolated noise", () => {
+  const blob = ([cx, cy]) => Array.from({ length: 20 }, (_, i) => [cx + (i % 5) * 10, cy + Math.floor(i / 5) * 10]);
+  const xy = [...blob([0, 0]), [5000, 5000], ...blob([2000, 0])];
+  const labels = [...dbscan(xy, 15, 4)];
+  assert.deepEqual(new Set(labels.slice(0, 20)), new Set([0]));
+  assert.equal(labels[20], -1);
+  assert.deepEqual(new Set(labels.slice(21)), new Set([1]));
+});
+
+test("every point of a dense cluster joins it", () => {
+  // 2500 points all within eps of each other, so each is everyone's neighbour
+  const xy = Array.from({ length: 2500 }, (_, i) => [i % 50, Math.floor(i / 50)]);
+  const labels = dbscan(xy, 100, 5);
+  assert.ok(labels.every(l => l === 0));
+});
+
+test("convexHull returns the outer ring counter-clockwise", () => {
+  const hull = convexHull([[0, 0], [2, 0], [1, 1], [2, 2], [0, 2], [1, 0]]);
+  assert.deepEqual(hull, [[0, 0], [2, 0], [2, 2], [0, 2]]);
+  assert.deepEqual(convexHull([[1, 1], [0, 0]]), [[0, 0], [1, 1]]);
+});
+
+test("clusterHulls orders clusters by size and reports hull areas", () => {
+  const origin = toMetres([-98, 50]);
+  const square = (d, n) => [[0, 0], [d, 0], [d, d], [0, d]].slice(0, n).map(([x, y]) => [origin[0] + x, origin[1] + y]);
+  const xy = [...square(100, 3), ...square(1000, 4), square(100, 1)[0]];
+  const { features } = clusterHulls(xy, [0, 0, 0, 1, 1, 1, 1, -1]);
+
+  assert.deepEqual(features.map(f => f.properties.count), [4, 3]);
+  assert.deepEqual(features.map(f => f.properties.cluster), [0, 1]);
+  assert.ok(Math.abs(features[0].properties.hull_area_m2 - 1e6) < 1e-3);
+  assert.ok(Math.abs(features[1].properties.hull_area_m2 - 5000) < 1e-3);
+  assert.equal(features[0].geometry.type, "Polygon");
+  const [lon, lat] = features[0].geometry.coordinates[0][0];
+  assert.ok(Math.abs(lon + 98) < 1e-6 && Math.abs(lat - 50) < 1e-6, "hulls are in lon/lat");
+});